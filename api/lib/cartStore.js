@@ -0,0 +1,263 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { createHash, randomUUID } = require('crypto');
+
+/**
+ * Storage for the Express server's local carts (the CART_MODE=mock cart in
+ * ./mockCart.js).
+ *
+ * The store is pluggable: anything implementing the CartStore interface can
+ * replace the default via setCartStore(). Two adapters ship here, selected
+ * with CART_STORE:
+ *   - `file` (default) — one JSON file per cart under CART_STORE_DIR, so
+ *     carts survive restarts and every process sharing the directory sees
+ *     the same carts. Writes are atomic (write, then rename), and update()
+ *     holds a lock file for the cart so processes can't interleave changes.
+ *   - `memory` — a Map, lost on restart; handy for throwaway runs.
+ *
+ * Carts expire CART_TTL_DAYS (default 10, like Shopify's) after their last
+ * change. Expired carts read as missing and are swept periodically.
+ *
+ * @typedef {Object} CartStore
+ * @property {(id: string) => Promise<Object|undefined>} get
+ *   Resolves undefined for missing or expired carts
+ * @property {(id: string, cart: Object, ttlMs: number) => Promise<void>} set
+ *   `ttlMs` is how long the cart lives without further changes
+ * @property {(id: string, change: (cart: Object|undefined) => Promise<Object>,
+ *   ttlMs: number) => Promise<Object>} update
+ *   Read-modify-write: stores and resolves what `change` resolves for the
+ *   current cart (undefined if missing or expired). Changes to one cart run
+ *   one at a time; if `change` throws, nothing is stored
+ * @property {(id: string) => Promise<void>} delete
+ * @property {() => Promise<number>} deleteExpired - Resolves the number removed
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CART_TTL_MS = (parseFloat(process.env.CART_TTL_DAYS) || 10) * DAY_MS;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const LOCK_RETRY_MS = 10;
+const LOCK_TIMEOUT_MS = 5000;
+// A lock this old was left behind by a process that died holding it
+const LOCK_STALE_MS = 30 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run tasks one at a time per key, in call order, within this process.
+ * @returns {(key: string, task: () => Promise<*>) => Promise<*>}
+ */
+function createKeyedQueue() {
+  const tails = new Map();
+
+  return (key, task) => {
+    const result = (tails.get(key) || Promise.resolve()).then(task);
+    const tail = result.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+    return result;
+  };
+}
+
+/**
+ * In-memory cart store. Carts are copied in and out so callers can't
+ * mutate stored state, matching the file store.
+ * @returns {CartStore}
+ */
+function createMemoryCartStore() {
+  const carts = new Map();
+  const queue = createKeyedQueue();
+
+  return {
+    async get(id) {
+      const item = carts.get(id);
+      if (!item) return undefined;
+      if (item.expiresAt <= Date.now()) {
+        carts.delete(id);
+        return undefined;
+      }
+      return structuredClone(item.cart);
+    },
+    async set(id, cart, ttlMs) {
+      carts.set(id, { cart: structuredClone(cart), expiresAt: Date.now() + ttlMs });
+    },
+    update(id, change, ttlMs) {
+      return queue(id, async () => {
+        const cart = await change(await this.get(id));
+        await this.set(id, cart, ttlMs);
+        return structuredClone(cart);
+      });
+    },
+    async delete(id) {
+      carts.delete(id);
+    },
+    async deleteExpired() {
+      const now = Date.now();
+      let removed = 0;
+      for (const [id, item] of carts) {
+        if (item.expiresAt <= now) {
+          carts.delete(id);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+/**
+ * File-backed cart store: one `<sha1(id)>.json` file per cart holding the
+ * cart and its expiry time.
+ * @param {Object} options
+ * @param {string} options.dir - Directory for cart files; created if missing
+ * @returns {CartStore}
+ */
+function createFileCartStore({ dir }) {
+  const ready = fs.mkdir(dir, { recursive: true });
+  const queue = createKeyedQueue();
+  const fileFor = (id) => path.join(dir, `${createHash('sha1').update(id).digest('hex')}.json`);
+
+  async function read(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      // Missing, or removed by another process's sweep mid-read
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+  }
+
+  async function remove(file) {
+    await fs.rm(file, { force: true });
+  }
+
+  /**
+   * Run `task` holding `<file>.lock`, which other processes sharing the
+   * directory take too. Created exclusively, so only one holder at a time.
+   */
+  async function withLock(file, task) {
+    const lock = `${file}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        await (await fs.open(lock, 'wx')).close();
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const stat = await fs.stat(lock).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        await remove(lock);
+      } else if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for cart lock ${lock}`);
+      } else {
+        await sleep(LOCK_RETRY_MS);
+      }
+    }
+
+    try {
+      return await task();
+    } finally {
+      await remove(lock);
+    }
+  }
+
+  return {
+    async get(id) {
+      await ready;
+      const file = fileFor(id);
+      const item = await read(file);
+      if (!item) return undefined;
+      if (item.expiresAt <= Date.now()) {
+        await remove(file);
+        return undefined;
+      }
+      return item.cart;
+    },
+    async set(id, cart, ttlMs) {
+      await ready;
+      const file = fileFor(id);
+      const tmp = `${file}.${randomUUID()}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ cart, expiresAt: Date.now() + ttlMs }));
+      await fs.rename(tmp, file);
+    },
+    update(id, change, ttlMs) {
+      // Queue this process's own changes rather than have them poll the lock
+      return queue(id, async () => {
+        await ready;
+        return withLock(fileFor(id), async () => {
+          const cart = await change(await this.get(id));
+          await this.set(id, cart, ttlMs);
+          return cart;
+        });
+      });
+    },
+    async delete(id) {
+      await ready;
+      await remove(fileFor(id));
+    },
+    async deleteExpired() {
+      await ready;
+      const now = Date.now();
+      let removed = 0;
+      for (const name of await fs.readdir(dir)) {
+        if (!name.endsWith('.json')) continue;
+        const file = path.join(dir, name);
+        const item = await read(file).catch(() => undefined);
+        if (item && item.expiresAt <= now) {
+          await remove(file);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+function createDefaultCartStore() {
+  if (process.env.CART_STORE === 'memory') return createMemoryCartStore();
+  return createFileCartStore({
+    dir: path.resolve(__dirname, '..', process.env.CART_STORE_DIR || '.data/carts'),
+  });
+}
+
+let store = null;
+let cleanupTimer = null;
+
+/**
+ * The active cart store, created from CART_STORE on first use. Expired
+ * carts are swept hourly from then on.
+ * @returns {CartStore}
+ */
+function getCartStore() {
+  if (!store) store = createDefaultCartStore();
+  if (!cleanupTimer) {
+    cleanupTimer = setInterval(() => {
+      store.deleteExpired().catch((error) => {
+        console.error('Cart cleanup failed:', error.message);
+      });
+    }, CLEANUP_INTERVAL_MS);
+    // Don't keep the process alive just to sweep carts
+    cleanupTimer.unref();
+  }
+  return store;
+}
+
+/**
+ * Replace the cart store, e.g. with a Redis- or database-backed adapter.
+ * @param {CartStore} adapter
+ */
+function setCartStore(adapter) {
+  store = adapter;
+}
+
+module.exports = {
+  CART_TTL_MS,
+  createMemoryCartStore,
+  createFileCartStore,
+  getCartStore,
+  setCartStore,
+};
@@ -0,0 +1,26 @@
+/**
+ * HTTP caching for public catalog responses.
+ *
+ * Express generates a weak ETag for every res.json() body and answers
+ * 304 Not Modified on a matching If-None-Match, so only Cache-Control
+ * needs adding: CDNs hold responses for `maxAge` seconds and may serve
+ * them stale for `staleWhileRevalidate` more while refetching.
+ */
+
+/**
+ * Send a shared-cacheable JSON response.
+ * @param {import('express').Response} res
+ * @param {Object} body - Response body
+ * @param {Object} [options]
+ * @param {number} [options.maxAge=60] - Shared cache lifetime in seconds
+ * @param {number} [options.staleWhileRevalidate=300] - Stale window in seconds
+ */
+function sendCachedJson(res, body, { maxAge = 60, staleWhileRevalidate = 300 } = {}) {
+  res.set(
+    'Cache-Control',
+    `public, max-age=0, s-maxage=${maxAge}, stale-while-revalidate=${staleWhileRevalidate}`
+  );
+  return res.json(body);
+}
+
+module.exports = { sendCachedJson };
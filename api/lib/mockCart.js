@@ -0,0 +1,149 @@
+const { randomUUID } = require('crypto');
+const { NotFoundError } = require('../../shared/storefront/errors');
+const { getCartStore, CART_TTL_MS } = require('./cartStore');
+
+/**
+ * Offline mock cart (CART_MODE=mock).
+ *
+ * A local stand-in for the Storefront cart functions in
+ * shared/storefront/cart.js, with the same signatures and the same cart
+ * shape, so the cart routes and Swagger docs can be exercised without a
+ * Shopify store. Carts are kept in the cart store (./cartStore.js) and expire
+ * like Shopify's. There is no catalog to price against: every line costs
+ * 0.00, and prices sent by clients are ignored.
+ */
+
+const CURRENCY_CODE = 'USD';
+
+function generateCartId() {
+  return `gid://mock/Cart/${randomUUID()}`;
+}
+
+function generateLineId() {
+  return `gid://mock/CartLine/${randomUUID()}`;
+}
+
+function money(amount) {
+  return { amount: amount.toFixed(2), currencyCode: CURRENCY_CODE };
+}
+
+/** Lines merge like Shopify's: same variant and same attributes */
+function sameLine(node, { merchandiseId, attributes = [] }) {
+  return node.merchandise.id === merchandiseId
+    && JSON.stringify(node.attributes) === JSON.stringify(attributes);
+}
+
+function toLineNode({ merchandiseId, quantity = 1, attributes = [] }) {
+  return {
+    id: generateLineId(),
+    quantity,
+    attributes,
+    cost: null,
+    discountAllocations: [],
+    merchandise: {
+      id: merchandiseId,
+      title: null,
+      priceV2: money(0),
+      product: { title: null, handle: null, images: { edges: [] } },
+    },
+  };
+}
+
+function addLines(cart, lines) {
+  for (const line of lines) {
+    const existing = cart.lines.edges.find((edge) => sameLine(edge.node, line));
+    if (existing) {
+      existing.node.quantity += line.quantity ?? 1;
+    } else {
+      cart.lines.edges.push({ node: toLineNode(line) });
+    }
+  }
+}
+
+/** Recompute quantities and costs after the lines change */
+function recompute(cart) {
+  const nodes = cart.lines.edges.map((edge) => edge.node);
+  nodes.forEach((node) => {
+    const unit = parseFloat(node.merchandise.priceV2.amount);
+    node.cost = {
+      amountPerQuantity: money(unit),
+      subtotalAmount: money(unit * node.quantity),
+      totalAmount: money(unit * node.quantity),
+    };
+  });
+
+  const total = nodes.reduce((sum, node) => sum + parseFloat(node.cost.totalAmount.amount), 0);
+  cart.totalQuantity = nodes.reduce((sum, node) => sum + node.quantity, 0);
+  cart.cost = {
+    subtotalAmount: money(total),
+    totalAmount: money(total),
+    totalTaxAmount: null,
+    checkoutChargeAmount: money(total),
+  };
+  cart.updatedAt = new Date().toISOString();
+  return cart;
+}
+
+/**
+ * Apply `change` to a stored cart and save it. Runs under the store's
+ * update(), so concurrent changes to one cart can't overwrite each other.
+ * @param {string} cartId
+ * @param {(cart: Object) => void} change - Mutates the cart's lines
+ */
+function updateCart(cartId, change) {
+  return getCartStore().update(cartId, async (cart) => {
+    if (!cart) throw new NotFoundError('Cart not found', 'CART_NOT_FOUND');
+    change(cart);
+    return recompute(cart);
+  }, CART_TTL_MS);
+}
+
+async function getCart(cartId) {
+  return (await getCartStore().get(cartId)) || null;
+}
+
+async function cartCreate(lines = [], { countryCode = null } = {}) {
+  const cart = {
+    id: generateCartId(),
+    checkoutUrl: null,
+    buyerIdentity: { countryCode },
+    note: null,
+    attributes: [],
+    discountCodes: [],
+    discountAllocations: [],
+    lines: { edges: [] },
+  };
+  addLines(cart, lines);
+  recompute(cart);
+  await getCartStore().set(cart.id, cart, CART_TTL_MS);
+  return cart;
+}
+
+async function cartLinesAdd(cartId, lines) {
+  return updateCart(cartId, (cart) => addLines(cart, lines));
+}
+
+async function cartLinesUpdate(cartId, lines) {
+  return updateCart(cartId, (cart) => {
+    for (const { id, quantity } of lines) {
+      const edge = cart.lines.edges.find((e) => e.node.id === id);
+      if (edge) edge.node.quantity = quantity;
+    }
+    // Shopify removes lines whose quantity is set to 0
+    cart.lines.edges = cart.lines.edges.filter((edge) => edge.node.quantity > 0);
+  });
+}
+
+async function cartLinesRemove(cartId, lineIds) {
+  return updateCart(cartId, (cart) => {
+    cart.lines.edges = cart.lines.edges.filter((edge) => !lineIds.includes(edge.node.id));
+  });
+}
+
+module.exports = {
+  getCart,
+  cartCreate,
+  cartLinesAdd,
+  cartLinesUpdate,
+  cartLinesRemove,
+};
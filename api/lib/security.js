@@ -0,0 +1,92 @@
+const {
+  API_CSP,
+  DOCS_CSP,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  securityHeaders,
+  isAllowedOrigin,
+  parseCookies,
+  checkCsrf,
+  getRateLimiter,
+  rateLimitHeaders,
+} = require('../../shared/security');
+
+/**
+ * Express middleware for the request hardening in shared/security:
+ * CORS allowlist, security headers, per-IP rate limits and CSRF checks.
+ * Client IPs come from req.ip, so set TRUST_PROXY=true behind a proxy.
+ */
+
+/**
+ * Options for cors(): only CORS_ORIGINS (and same-origin requests, which
+ * send no CORS headers) may call the API from a browser. Credentials are
+ * allowed so the CSRF cookie is sent along.
+ */
+const corsOptions = {
+  origin: (origin, callback) => callback(null, !origin || isAllowedOrigin(origin)),
+  credentials: true,
+  allowedHeaders: ['Content-Type', 'X-CSRF-Token'],
+};
+
+const apiHeaders = securityHeaders(API_CSP);
+const docsHeaders = securityHeaders(DOCS_CSP);
+
+/** Security headers on every response; Swagger UI gets a CSP it can run under */
+function securityHeadersMiddleware(req, res, next) {
+  const headers = req.path.startsWith('/api/docs') ? docsHeaders : apiHeaders;
+  for (const { key, value } of headers) {
+    res.set(key, value);
+  }
+  next();
+}
+
+/**
+ * Limit each client IP to the bucket's requests per minute, answering 429
+ * RATE_LIMITED with Retry-After beyond that.
+ * @param {'cart'|'products'} bucket
+ * @returns {import('express').RequestHandler}
+ */
+function rateLimit(bucket) {
+  const limiter = getRateLimiter(bucket);
+
+  return (req, res, next) => {
+    const result = limiter.hit(req.ip || 'unknown');
+    res.set(rateLimitHeaders(result));
+
+    if (result.limited) {
+      return res.status(429).json({
+        error: {
+          message: 'Too many requests — please try again shortly',
+          status: 429,
+          code: 'RATE_LIMITED',
+        },
+      });
+    }
+    next();
+  };
+}
+
+/** Refuse mutating requests without a valid X-CSRF-Token (403) */
+function csrfProtection(req, res, next) {
+  const failure = checkCsrf({
+    method: req.method,
+    origin: req.get('Origin'),
+    host: req.get('Host'),
+    cookieToken: parseCookies(req.get('Cookie'))[CSRF_COOKIE],
+    headerToken: req.get(CSRF_HEADER),
+  });
+
+  if (failure) {
+    return res.status(403).json({
+      error: { message: failure.message, status: 403, code: failure.code },
+    });
+  }
+  next();
+}
+
+module.exports = {
+  corsOptions,
+  securityHeaders: securityHeadersMiddleware,
+  rateLimit,
+  csrfProtection,
+};
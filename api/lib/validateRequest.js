@@ -0,0 +1,44 @@
+const { validate, describeErrors, operationSchemas } = require('../../shared/validation');
+
+/**
+ * Validate a request against its operation in docs/openapi.json.
+ *
+ * Path parameters, query and JSON body are all checked; on failure the
+ * request is answered with a 400 listing every invalid field:
+ *   { error: { message, status: 400, code: 'INVALID_REQUEST', fields: [{ field, message }] } }
+ * On success `req.query` and `req.body` hold the validated values, with
+ * query strings read as numbers/booleans and schema defaults filled in.
+ *
+ * @param {string} path - OpenAPI path, e.g. '/api/cart/{cartId}/lines'
+ * @param {string} method - HTTP method of the operation
+ * @returns {import('express').RequestHandler}
+ */
+function validateRequest(path, method) {
+  const schemas = operationSchemas(path, method);
+
+  return (req, res, next) => {
+    const fields = [];
+    const run = (schema, value, options) => {
+      if (!schema) return value;
+      const result = validate(schema, value, options);
+      if (result.errors) fields.push(...result.errors);
+      return result.value;
+    };
+
+    run(schemas.params, req.params, { coerce: true });
+    const query = run(schemas.query, req.query, { coerce: true });
+    const body = run(schemas.body, req.body ?? {});
+
+    if (fields.length > 0) {
+      return res.status(400).json({
+        error: { message: describeErrors(fields), status: 400, code: 'INVALID_REQUEST', fields },
+      });
+    }
+
+    req.query = query;
+    req.body = body;
+    next();
+  };
+}
+
+module.exports = { validateRequest };
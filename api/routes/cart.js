@@ -1,66 +1,95 @@
 const express = require('express');
 const router = express.Router();
+const { validateRequest } = require('../lib/validateRequest');
 
 /**
- * In-memory cart store.
+ * Cart backend. Carts live in Shopify and are created and changed through
+ * the Storefront cart mutations, so prices, currency and checkout URLs come
+ * from Shopify and responses match the Next.js /api/cart/* routes.
  *
- * Cart management is handled client-side in the React app (localStorage).
- * These API endpoints provide a RESTful demonstration layer using an
- * in-memory Map so the Express proxy still showcases CRUD operations,
- * request validation, and Swagger-documented endpoints.
+ * Set CART_MODE=mock to use the offline mock instead (../lib/mockCart.js),
+ * which keeps carts in the local cart store — it has no catalog, so every
+ * line is priced at 0.00.
  */
-const carts = new Map();
+const CART_MODE = process.env.CART_MODE === 'mock' ? 'mock' : 'shopify';
 
-let nextCartId = 1;
-let nextLineId = 1;
+const {
+  getCart,
+  cartCreate,
+  cartLinesAdd,
+  cartLinesUpdate,
+  cartLinesRemove,
+} = CART_MODE === 'mock'
+  ? require('../lib/mockCart')
+  : require('../../shared/storefront');
 
-function generateCartId() {
-  return `cart_${nextCartId++}`;
-}
-
-function generateLineId() {
-  return `line_${nextLineId++}`;
-}
-
-function computeTotals(lines) {
-  const sum = lines.reduce(
-    (acc, l) => acc + parseFloat(l.price) * l.quantity,
-    0
-  );
-  return {
-    subtotal: { amount: sum.toFixed(2), currencyCode: 'USD' },
-    total: { amount: sum.toFixed(2), currencyCode: 'USD' },
-  };
+if (CART_MODE === 'mock') {
+  console.warn('CART_MODE=mock — carts are kept in the local cart store and never reach Shopify');
 }
 
 /**
  * @swagger
  * components:
  *   schemas:
+ *     Money:
+ *       type: object
+ *       properties:
+ *         amount:
+ *           type: string
+ *         currencyCode:
+ *           type: string
  *     CartLine:
  *       type: object
  *       properties:
  *         id:
  *           type: string
- *         merchandiseId:
- *           type: string
+ *           description: Shopify cart line GID
  *         quantity:
  *           type: integer
- *         price:
- *           type: string
+ *         attributes:
+ *           type: array
+ *           items:
+ *             type: object
+ *         cost:
+ *           type: object
+ *           properties:
+ *             amountPerQuantity:
+ *               $ref: '#/components/schemas/Money'
+ *             subtotalAmount:
+ *               $ref: '#/components/schemas/Money'
+ *             totalAmount:
+ *               $ref: '#/components/schemas/Money'
+ *         merchandise:
+ *           type: object
+ *           description: The ProductVariant, with its title, priceV2 and product
  *     Cart:
  *       type: object
  *       properties:
  *         id:
  *           type: string
- *         lines:
- *           type: array
- *           items:
- *             $ref: '#/components/schemas/CartLine'
- *         subtotal:
+ *           description: Shopify cart GID
+ *         checkoutUrl:
+ *           type: string
+ *           nullable: true
+ *         totalQuantity:
+ *           type: integer
+ *         cost:
  *           type: object
- *         total:
+ *           properties:
+ *             subtotalAmount:
+ *               $ref: '#/components/schemas/Money'
+ *             totalAmount:
+ *               $ref: '#/components/schemas/Money'
+ *         lines:
  *           type: object
+ *           properties:
+ *             edges:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   node:
+ *                     $ref: '#/components/schemas/CartLine'
  */
 
 /**
@@ -68,7 +97,14 @@ function computeTotals(lines) {
  * /api/cart:
  *   post:
  *     summary: Create a new cart
- *     description: Creates an empty in-memory cart
+ *     description: Creates a Shopify cart, optionally with initial line items
+ *     security:
+ *       - csrfToken: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CartCreateRequest'
  *     responses:
  *       201:
  *         description: Cart created successfully
@@ -79,12 +115,23 @@ function computeTotals(lines) {
  *               properties:
  *                 cart:
  *                   $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Invalid request — error.fields lists each invalid field
+ *       403:
+ *         description: Missing or invalid X-CSRF-Token, or a disallowed Origin
+ *       422:
+ *         description: Shopify rejected the lines (userErrors)
+ *       429:
+ *         description: Too many requests — retry after the Retry-After header
  */
-router.post('/', (req, res) => {
-  const id = generateCartId();
-  const cart = { id, lines: [], ...computeTotals([]) };
-  carts.set(id, cart);
-  res.status(201).json({ cart });
+router.post('/', validateRequest('/api/cart', 'post'), async (req, res, next) => {
+  try {
+    const { lines = [], countryCode = null, languageCode = null } = req.body;
+    const cart = await cartCreate(lines, { countryCode, languageCode });
+    res.status(201).json({ cart });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
@@ -97,19 +144,39 @@ router.post('/', (req, res) => {
  *         name: cartId
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/CartId'
+ *         description: URL-encoded Shopify cart GID
  *     responses:
  *       200:
  *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 cart:
+ *                   $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Invalid cart ID
  *       404:
- *         description: Cart not found
+ *         description: Cart not found, expired or already checked out
+ *       429:
+ *         description: Too many requests — retry after the Retry-After header
  */
-router.get('/:cartId', (req, res) => {
-  const cart = carts.get(req.params.cartId);
-  if (!cart) {
-    return res.status(404).json({ error: { message: 'Cart not found', status: 404 } });
+router.get('/:cartId', validateRequest('/api/cart/{cartId}', 'get'), async (req, res, next) => {
+  try {
+    const cart = await getCart(req.params.cartId);
+
+    if (!cart) {
+      return res.status(404).json({
+        error: { message: 'Cart not found or expired', status: 404, code: 'CART_NOT_FOUND' },
+      });
+    }
+
+    res.json({ cart });
+  } catch (error) {
+    next(error);
   }
-  res.json({ cart });
 });
 
 /**
@@ -117,168 +184,139 @@ router.get('/:cartId', (req, res) => {
  * /api/cart/{cartId}/lines:
  *   post:
  *     summary: Add items to cart
+ *     security:
+ *       - csrfToken: []
  *     parameters:
  *       - in: path
  *         name: cartId
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/CartId'
+ *         description: URL-encoded Shopify cart GID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               lines:
- *                 type: array
- *                 items:
- *                   type: object
- *                   required: [merchandiseId, quantity]
- *                   properties:
- *                     merchandiseId:
- *                       type: string
- *                     quantity:
- *                       type: integer
- *                       minimum: 1
- *                     price:
- *                       type: string
- *                       description: Unit price (default "0.00")
+ *             $ref: '#/components/schemas/CartLinesAddRequest'
  *     responses:
  *       200:
  *         description: Items added successfully
  *       400:
- *         description: Invalid request body
+ *         description: Invalid request — error.fields lists each invalid field
+ *       403:
+ *         description: Missing or invalid X-CSRF-Token, or a disallowed Origin
  *       404:
  *         description: Cart not found
+ *       422:
+ *         description: Shopify rejected the lines (userErrors)
+ *       429:
+ *         description: Too many requests — retry after the Retry-After header
  */
-router.post('/:cartId/lines', (req, res) => {
-  const cart = carts.get(req.params.cartId);
-  if (!cart) {
-    return res.status(404).json({ error: { message: 'Cart not found', status: 404 } });
-  }
-
-  const { lines } = req.body;
-  if (!lines || !Array.isArray(lines) || lines.length === 0) {
-    return res.status(400).json({
-      error: { message: 'Request body must include a non-empty "lines" array', status: 400 },
-    });
-  }
-
-  for (const line of lines) {
-    const existing = cart.lines.find((l) => l.merchandiseId === line.merchandiseId);
-    if (existing) {
-      existing.quantity += line.quantity || 1;
-    } else {
-      cart.lines.push({
-        id: generateLineId(),
-        merchandiseId: line.merchandiseId,
-        quantity: line.quantity || 1,
-        price: line.price || '0.00',
-      });
+router.post(
+  '/:cartId/lines',
+  validateRequest('/api/cart/{cartId}/lines', 'post'),
+  async (req, res, next) => {
+    try {
+      const cart = await cartLinesAdd(req.params.cartId, req.body.lines);
+      res.json({ cart });
+    } catch (error) {
+      next(error);
     }
   }
-
-  Object.assign(cart, computeTotals(cart.lines));
-  res.json({ cart });
-});
+);
 
 /**
  * @swagger
  * /api/cart/{cartId}/lines:
  *   put:
  *     summary: Update cart line quantities
+ *     description: A quantity of 0 removes the line
+ *     security:
+ *       - csrfToken: []
  *     parameters:
  *       - in: path
  *         name: cartId
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/CartId'
+ *         description: URL-encoded Shopify cart GID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               lines:
- *                 type: array
- *                 items:
- *                   type: object
- *                   required: [id, quantity]
- *                   properties:
- *                     id:
- *                       type: string
- *                     quantity:
- *                       type: integer
- *                       minimum: 0
+ *             $ref: '#/components/schemas/CartLinesUpdateRequest'
  *     responses:
  *       200:
  *         description: Cart updated successfully
  *       400:
- *         description: Invalid request body
+ *         description: Invalid request — error.fields lists each invalid field
+ *       403:
+ *         description: Missing or invalid X-CSRF-Token, or a disallowed Origin
  *       404:
  *         description: Cart not found
+ *       422:
+ *         description: Shopify rejected the update (userErrors)
+ *       429:
+ *         description: Too many requests — retry after the Retry-After header
  */
-router.put('/:cartId/lines', (req, res) => {
-  const cart = carts.get(req.params.cartId);
-  if (!cart) {
-    return res.status(404).json({ error: { message: 'Cart not found', status: 404 } });
-  }
-
-  const { lines } = req.body;
-  if (!lines || !Array.isArray(lines) || lines.length === 0) {
-    return res.status(400).json({
-      error: { message: 'Request body must include a non-empty "lines" array', status: 400 },
-    });
-  }
-
-  for (const update of lines) {
-    const idx = cart.lines.findIndex((l) => l.id === update.id);
-    if (idx !== -1) {
-      if (update.quantity <= 0) {
-        cart.lines.splice(idx, 1);
-      } else {
-        cart.lines[idx].quantity = update.quantity;
-      }
+router.put(
+  '/:cartId/lines',
+  validateRequest('/api/cart/{cartId}/lines', 'put'),
+  async (req, res, next) => {
+    try {
+      const cart = await cartLinesUpdate(req.params.cartId, req.body.lines);
+      res.json({ cart });
+    } catch (error) {
+      next(error);
     }
   }
-
-  Object.assign(cart, computeTotals(cart.lines));
-  res.json({ cart });
-});
+);
 
 /**
  * @swagger
  * /api/cart/{cartId}/lines/{lineId}:
  *   delete:
  *     summary: Remove a line item from cart
+ *     security:
+ *       - csrfToken: []
  *     parameters:
  *       - in: path
  *         name: cartId
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/CartId'
+ *         description: URL-encoded Shopify cart GID
  *       - in: path
  *         name: lineId
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/CartLineId'
+ *         description: URL-encoded cart line GID
  *     responses:
  *       200:
  *         description: Item removed successfully
+ *       400:
+ *         description: Invalid cart or line ID
+ *       403:
+ *         description: Missing or invalid X-CSRF-Token, or a disallowed Origin
  *       404:
  *         description: Cart not found
+ *       429:
+ *         description: Too many requests — retry after the Retry-After header
  */
-router.delete('/:cartId/lines/:lineId', (req, res) => {
-  const cart = carts.get(req.params.cartId);
-  if (!cart) {
-    return res.status(404).json({ error: { message: 'Cart not found', status: 404 } });
+router.delete(
+  '/:cartId/lines/:lineId',
+  validateRequest('/api/cart/{cartId}/lines/{lineId}', 'delete'),
+  async (req, res, next) => {
+    try {
+      const cart = await cartLinesRemove(req.params.cartId, [req.params.lineId]);
+      res.json({ cart });
+    } catch (error) {
+      next(error);
+    }
   }
-
-  cart.lines = cart.lines.filter((l) => l.id !== req.params.lineId);
-  Object.assign(cart, computeTotals(cart.lines));
-  res.json({ cart });
-});
+);
 
 module.exports = router;
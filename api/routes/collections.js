@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const { getCollections, getCollectionByHandle } = require('../../shared/storefront');
+const { validateRequest } = require('../lib/validateRequest');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Collection:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Shopify collection GID
+ *         title:
+ *           type: string
+ *         handle:
+ *           type: string
+ *           description: URL-friendly slug
+ *         description:
+ *           type: string
+ *         image:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             url:
+ *               type: string
+ *             altText:
+ *               type: string
+ *         products:
+ *           type: array
+ *           description: Only present on single-collection responses
+ *           items:
+ *             $ref: '#/components/schemas/Product'
+ */
+
+/**
+ * @swagger
+ * /api/collections:
+ *   get:
+ *     summary: List all collections
+ *     description: Retrieve the store's product collections (e.g. reagents, assay kits)
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of collections to return
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 collections:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Collection'
+ *                 count:
+ *                   type: integer
+ *       500:
+ *         description: Server error
+ */
+router.get('/', validateRequest('/api/collections', 'get'), async (req, res, next) => {
+  try {
+    const collections = await getCollections(req.query.limit);
+
+    res.json({ collections, count: collections.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/{handle}:
+ *   get:
+ *     summary: Get a single collection by handle
+ *     description: Retrieve a collection and its products by URL handle
+ *     parameters:
+ *       - in: path
+ *         name: handle
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The collection handle (URL slug)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of products to include
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 collection:
+ *                   $ref: '#/components/schemas/Collection'
+ *       404:
+ *         description: Collection not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:handle',
+  validateRequest('/api/collections/{handle}', 'get'),
+  async (req, res, next) => {
+    try {
+      const collection = await getCollectionByHandle(req.params.handle, req.query.limit);
+
+      if (!collection) {
+        return res.status(404).json({
+          error: { message: 'Collection not found', status: 404, code: 'COLLECTION_NOT_FOUND' },
+        });
+      }
+
+      res.json({ collection });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { CSRF_COOKIE, parseCookies, issueCsrfToken } = require('../../shared/security');
+
+/**
+ * @swagger
+ * /api/csrf:
+ *   get:
+ *     summary: Get a CSRF token
+ *     description: >
+ *       Returns the token that cart mutations must send in the X-CSRF-Token
+ *       header and stores it in an HttpOnly cookie. Call this first, then
+ *       paste the token under Authorize to try the cart endpoints.
+ *     responses:
+ *       200:
+ *         description: Token issued (or the still-valid current one)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ */
+router.get('/', (req, res) => {
+  const { token, setCookie } = issueCsrfToken(parseCookies(req.get('Cookie'))[CSRF_COOKIE]);
+
+  if (setCookie) {
+    res.set('Set-Cookie', setCookie);
+  }
+  res.set('Cache-Control', 'no-store');
+  res.json({ token });
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { storefrontFetch } = require('../lib/shopifyClient');
+const { getProducts, getProductByHandle } = require('../../shared/storefront');
+const { parseFiltersParam } = require('../../shared/storefront/productFilters');
+const { sendCachedJson } = require('../lib/httpCache');
+const { validateRequest } = require('../lib/validateRequest');
 
 /**
  * @swagger
@@ -19,6 +22,9 @@ const { storefrontFetch } = require('../lib/shopifyClient');
  *           description: URL-friendly slug
  *         description:
  *           type: string
+ *         descriptionHtml:
+ *           type: string
+ *           nullable: true
  *         price:
  *           type: object
  *           properties:
@@ -34,6 +40,10 @@ const { storefrontFetch } = require('../lib/shopifyClient');
  *               type: string
  *             altText:
  *               type: string
+ *         images:
+ *           type: array
+ *           items:
+ *             type: object
  *         variants:
  *           type: array
  *           items:
@@ -47,33 +57,30 @@ const { storefrontFetch } = require('../lib/shopifyClient');
  *                 type: object
  *               availableForSale:
  *                 type: boolean
+ *               selectedOptions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *         options:
+ *           type: array
+ *           description: Only populated on single-product responses
+ *           items:
+ *             type: object
+ *     PageInfo:
+ *       type: object
+ *       properties:
+ *         hasNextPage:
+ *           type: boolean
+ *         hasPreviousPage:
+ *           type: boolean
+ *         startCursor:
+ *           type: string
+ *           nullable: true
+ *         endCursor:
+ *           type: string
+ *           nullable: true
  */
 
-/**
- * Transform raw Shopify Storefront API product data into a clean API response.
- */
-function transformProduct(node) {
-  return {
-    id: node.id,
-    title: node.title,
-    handle: node.handle,
-    description: node.description,
-    descriptionHtml: node.descriptionHtml || null,
-    price: node.priceRange?.minVariantPrice || null,
-    image: node.images?.edges?.[0]?.node || null,
-    images: node.images?.edges?.map((e) => e.node) || [],
-    variants:
-      node.variants?.edges?.map((e) => ({
-        id: e.node.id,
-        title: e.node.title,
-        price: e.node.priceV2,
-        availableForSale: e.node.availableForSale,
-        selectedOptions: e.node.selectedOptions || [],
-      })) || [],
-    options: node.options || [],
-  };
-}
-
 /**
  * @swagger
  * /api/products:
@@ -89,6 +96,35 @@ function transformProduct(node) {
  *           minimum: 1
  *           maximum: 100
  *         description: Number of products to return
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Return products after this cursor (pageInfo.endCursor)
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Return products before this cursor (pageInfo.startCursor)
+ *       - in: query
+ *         name: sortKey
+ *         schema:
+ *           type: string
+ *           enum: [BEST_SELLING, CREATED_AT, ID, PRICE, PRODUCT_TYPE, RELEVANCE, TITLE, UPDATED_AT, VENDOR]
+ *         description: Storefront ProductSortKeys value
+ *       - in: query
+ *         name: reverse
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Reverse the sort order
+ *       - in: query
+ *         name: filters
+ *         schema:
+ *           type: string
+ *         description: >
+ *           JSON-encoded array of Storefront ProductFilter inputs, e.g.
+ *           `[{"available":true},{"productVendor":"BioPhase"},{"price":{"min":10,"max":500}}]`
  *     responses:
  *       200:
  *         description: Successful response
@@ -103,63 +139,48 @@ function transformProduct(node) {
  *                     $ref: '#/components/schemas/Product'
  *                 count:
  *                   type: integer
+ *                 pageInfo:
+ *                   $ref: '#/components/schemas/PageInfo'
+ *       304:
+ *         description: Not modified — If-None-Match matched the response ETag
+ *       400:
+ *         description: Invalid query parameters — error.fields lists each one
+ *       429:
+ *         description: Too many requests — retry after the Retry-After header
  *       500:
  *         description: Server error
  */
-router.get('/', async (req, res, next) => {
+router.get('/', validateRequest('/api/products', 'get'), async (req, res, next) => {
   try {
-    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { limit, after, before, sortKey, reverse } = req.query;
 
-    const query = `
-      query GetProducts($first: Int!) {
-        products(first: $first) {
-          edges {
-            node {
-              id
-              title
-              handle
-              description
-              priceRange {
-                minVariantPrice {
-                  amount
-                  currencyCode
-                }
-              }
-              images(first: 1) {
-                edges {
-                  node {
-                    url
-                    altText
-                    width
-                    height
-                  }
-                }
-              }
-              variants(first: 10) {
-                edges {
-                  node {
-                    id
-                    title
-                    priceV2 {
-                      amount
-                      currencyCode
-                    }
-                    availableForSale
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    `;
+    if (after && before) {
+      return res.status(400).json({
+        error: {
+          message: 'Use either "after" or "before", not both',
+          status: 400,
+          code: 'INVALID_REQUEST',
+        },
+      });
+    }
 
-    const data = await storefrontFetch(query, { first: limit });
-    const products = data.products.edges.map((edge) =>
-      transformProduct(edge.node)
-    );
+    const { filters, error: filtersError } = parseFiltersParam(req.query.filters);
 
-    res.json({ products, count: products.length });
+    if (filtersError) {
+      return res.status(400).json({
+        error: { message: filtersError, status: 400, code: 'INVALID_REQUEST' },
+      });
+    }
+
+    const { products, pageInfo } = await getProducts(limit, {
+      after: after || null,
+      before: before || null,
+      sortKey: sortKey || null,
+      reverse,
+      filters,
+    });
+
+    sendCachedJson(res, { products, count: products.length, pageInfo });
   } catch (error) {
     next(error);
   }
@@ -188,77 +209,28 @@ router.get('/', async (req, res, next) => {
  *               properties:
  *                 product:
  *                   $ref: '#/components/schemas/Product'
+ *       304:
+ *         description: Not modified — If-None-Match matched the response ETag
  *       404:
  *         description: Product not found
+ *       429:
+ *         description: Too many requests — retry after the Retry-After header
  *       500:
  *         description: Server error
  */
-router.get('/:handle', async (req, res, next) => {
+router.get('/:handle', validateRequest('/api/products/{handle}', 'get'), async (req, res, next) => {
   try {
     const { handle } = req.params;
 
-    const query = `
-      query GetProductByHandle($handle: String!) {
-        productByHandle(handle: $handle) {
-          id
-          title
-          handle
-          description
-          descriptionHtml
-          priceRange {
-            minVariantPrice {
-              amount
-              currencyCode
-            }
-            maxVariantPrice {
-              amount
-              currencyCode
-            }
-          }
-          images(first: 10) {
-            edges {
-              node {
-                url
-                altText
-                width
-                height
-              }
-            }
-          }
-          variants(first: 25) {
-            edges {
-              node {
-                id
-                title
-                priceV2 {
-                  amount
-                  currencyCode
-                }
-                availableForSale
-                selectedOptions {
-                  name
-                  value
-                }
-              }
-            }
-          }
-          options {
-            id
-            name
-            values
-          }
-        }
-      }
-    `;
-
-    const data = await storefrontFetch(query, { handle });
+    const product = await getProductByHandle(handle);
 
-    if (!data.productByHandle) {
-      return res.status(404).json({ error: { message: 'Product not found', status: 404 } });
+    if (!product) {
+      return res.status(404).json({
+        error: { message: 'Product not found', status: 404, code: 'PRODUCT_NOT_FOUND' },
+      });
     }
 
-    const product = transformProduct(data.productByHandle);
-    res.json({ product });
+    sendCachedJson(res, { product });
   } catch (error) {
     next(error);
   }
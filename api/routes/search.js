@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const { searchProducts } = require('../../shared/storefront');
+const { validateRequest } = require('../lib/validateRequest');
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search products
+ *     description: >
+ *       Full-text product search. Set `predictive=true` for type-ahead results
+ *       (prefix matching, at most 10 products, no pagination).
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search text
+ *       - in: query
+ *         name: predictive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Use Shopify predictive search for type-ahead
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of products to return (predictive max 10)
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Return results after this cursor (pageInfo.endCursor)
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *                 count:
+ *                   type: integer
+ *                 totalCount:
+ *                   type: integer
+ *                 pageInfo:
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/PageInfo'
+ *       400:
+ *         description: Invalid query parameters — error.fields lists each one
+ *       500:
+ *         description: Server error
+ */
+router.get('/', validateRequest('/api/search', 'get'), async (req, res, next) => {
+  try {
+    const { q, predictive, limit, after } = req.query;
+
+    const { products, totalCount, pageInfo } = await searchProducts(q.trim(), {
+      predictive,
+      first: limit,
+      after: after || null,
+    });
+
+    res.json({
+      products,
+      count: products.length,
+      totalCount,
+      pageInfo,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -7,16 +7,42 @@ const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 
 const productsRouter = require('./routes/products');
+const collectionsRouter = require('./routes/collections');
+const searchRouter = require('./routes/search');
 const cartRouter = require('./routes/cart');
+const csrfRouter = require('./routes/csrf');
+const { corsOptions, securityHeaders, rateLimit, csrfProtection } = require('./lib/security');
+const { StorefrontError } = require('../shared/storefront/errors');
+const openapi = require('../docs/openapi.json');
 
 const app = express();
 const PORT = process.env.API_PORT || 3001;
 
+// Behind a proxy, take client IPs (for rate limits) from X-Forwarded-For
+app.set('trust proxy', process.env.TRUST_PROXY === 'true');
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(securityHeaders);
+app.use(cors(corsOptions));
+app.use(express.json({ limit: '32kb' }));
 
 // Swagger configuration
+const REQUEST_SCHEMAS = [
+  'Handle',
+  'Cursor',
+  'CartId',
+  'CartLineId',
+  'ProductVariantId',
+  'CountryCode',
+  'LanguageCode',
+  'AttributeInput',
+  'CartLineInput',
+  'CartLineUpdateInput',
+  'CartCreateRequest',
+  'CartLinesAddRequest',
+  'CartLinesUpdateRequest',
+];
+
 const swaggerOptions = {
   definition: {
     openapi: '3.0.0',
@@ -24,7 +50,7 @@ const swaggerOptions = {
       title: 'BioPhase Solutions API',
       version: '1.0.0',
       description:
-        'REST API proxy for the Shopify Storefront API. Provides clean JSON endpoints for products and cart operations.',
+        'REST API proxy for the Shopify Storefront API. Provides clean JSON endpoints for products, collections, search and cart operations.',
       contact: {
         name: 'BioPhase Solutions',
       },
@@ -35,6 +61,14 @@ const swaggerOptions = {
         description: 'Development server',
       },
     ],
+    // Request input schemas live in docs/openapi.json, where the request
+    // validation (lib/validateRequest.js) reads them from too
+    components: {
+      schemas: Object.fromEntries(
+        REQUEST_SCHEMAS.map((name) => [name, openapi.components.schemas[name]])
+      ),
+      securitySchemes: openapi.components.securitySchemes,
+    },
   },
   apis: [path.join(__dirname, './routes/*.js')],
 };
@@ -43,8 +77,11 @@ const swaggerSpec = swaggerJsdoc(swaggerOptions);
 app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 // Routes
-app.use('/api/products', productsRouter);
-app.use('/api/cart', cartRouter);
+app.use('/api/products', rateLimit('products'), productsRouter);
+app.use('/api/collections', collectionsRouter);
+app.use('/api/search', searchRouter);
+app.use('/api/csrf', csrfRouter);
+app.use('/api/cart', rateLimit('cart'), csrfProtection, cartRouter);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -52,12 +89,36 @@ app.get('/api/health', (req, res) => {
 });
 
 // Error handling middleware
+// Error responses: { error: { message, status, code, userErrors? } }.
+// Storefront client errors (shared/storefront/errors.js) carry their status,
+// stable code, a message safe to send and sometimes a Retry-After hint;
+// anything else unexpected is reported as a generic 500.
 app.use((err, req, res, next) => {
   console.error('API Error:', err.message);
-  res.status(err.status || 500).json({
+
+  let status = 500;
+  let code = 'INTERNAL_ERROR';
+  let message = 'Internal server error';
+
+  if (err instanceof StorefrontError) {
+    ({ status, code } = err);
+    message = err.publicMessage || 'Storefront request failed';
+    if (err.retryAfter != null) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+  } else if (err.expose && err.status < 500) {
+    // express.json() rejections — malformed JSON, body too large
+    status = err.status;
+    code = status === 413 ? 'PAYLOAD_TOO_LARGE' : 'INVALID_REQUEST';
+    message = err.message;
+  }
+
+  res.status(status).json({
     error: {
-      message: err.message || 'Internal server error',
-      status: err.status || 500,
+      message,
+      status,
+      code,
+      ...(err.userErrors && { userErrors: err.userErrors }),
     },
   });
 });
@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import { Form, Button, InputGroup, Badge, CloseButton } from 'react-bootstrap';
+import { useTranslation } from '@/lib/i18n';
+
+/**
+ * Promo code entry for the cart summary, with the codes already on the cart
+ * listed underneath. Codes Shopify doesn't accept stay listed but are marked
+ * "Not applicable" so the buyer can see what went wrong.
+ * @param {Array} codes - [{ code, applicable, pending }] from useCart()
+ * @param {Function} onApply - (code) => Promise<boolean>
+ * @param {Function} onRemove - (code) => Promise<boolean>
+ */
+export default function DiscountCodeForm({ codes, onApply, onRemove }) {
+  const { t } = useTranslation();
+  const [code, setCode] = useState('');
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const trimmed = code.trim();
+    if (!trimmed) return;
+    setCode('');
+    const applied = await onApply(trimmed);
+    if (!applied) setCode(trimmed);
+  }
+
+  return (
+    <div className="mb-3">
+      <Form onSubmit={handleSubmit}>
+        <Form.Label htmlFor="discount-code" className="small fw-semibold mb-1">
+          {t('discounts.label')}
+        </Form.Label>
+        <InputGroup size="sm">
+          <Form.Control
+            id="discount-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder={t('discounts.placeholder')}
+            autoComplete="off"
+          />
+          <Button type="submit" variant="outline-primary" disabled={!code.trim()}>
+            {t('discounts.apply')}
+          </Button>
+        </InputGroup>
+      </Form>
+
+      {codes.length > 0 && (
+        <ul className="list-unstyled d-flex flex-wrap gap-2 mt-2 mb-0">
+          {codes.map((c) => (
+            <li key={c.code}>
+              <Badge
+                bg={c.applicable ? 'success' : 'warning'}
+                text={c.applicable ? undefined : 'dark'}
+                className={`d-inline-flex align-items-center gap-1 fw-normal ${
+                  c.pending ? 'opacity-50' : ''
+                }`}
+              >
+                <span className="text-uppercase">{c.code}</span>
+                {!c.applicable && <span>· {t('discounts.notApplicable')}</span>}
+                <CloseButton
+                  variant={c.applicable ? 'white' : undefined}
+                  className="ms-1"
+                  style={{ fontSize: '0.5rem' }}
+                  onClick={() => onRemove(c.code)}
+                  disabled={c.pending}
+                  aria-label={t('discounts.remove', { code: c.code })}
+                />
+              </Badge>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
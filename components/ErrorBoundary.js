@@ -1,5 +1,32 @@
 import { Component } from 'react';
 import { Container, Button } from 'react-bootstrap';
+import { useTranslation } from '@/lib/i18n';
+
+/**
+ * Recovery UI shown by ErrorBoundary. A function component so it can use
+ * the translation hook.
+ * @param {Function} onReset - Clear the error and re-render the page
+ */
+function ErrorFallback({ onReset }) {
+  const { t } = useTranslation();
+
+  return (
+    <Container className="py-5 text-center">
+      <div className="mx-auto" style={{ maxWidth: '480px' }}>
+        <h1 className="h3 mb-3">{t('errorBoundary.heading')}</h1>
+        <p className="text-muted mb-4">{t('errorBoundary.message')}</p>
+        <div className="d-flex gap-3 justify-content-center">
+          <Button variant="primary" onClick={onReset}>
+            {t('errorBoundary.retry')}
+          </Button>
+          <Button variant="outline-secondary" href="/">
+            {t('errorBoundary.home')}
+          </Button>
+        </div>
+      </div>
+    </Container>
+  );
+}
 
 /**
  * Catches uncaught React rendering errors and shows a recovery UI
@@ -28,25 +55,7 @@ export default class ErrorBoundary extends Component {
 
   render() {
     if (this.state.hasError) {
-      return (
-        <Container className="py-5 text-center">
-          <div className="mx-auto" style={{ maxWidth: '480px' }}>
-            <h1 className="h3 mb-3">Something went wrong</h1>
-            <p className="text-muted mb-4">
-              An unexpected error occurred. Please try again or return to the
-              home page.
-            </p>
-            <div className="d-flex gap-3 justify-content-center">
-              <Button variant="primary" onClick={this.handleReset}>
-                Try Again
-              </Button>
-              <Button variant="outline-secondary" href="/">
-                Go Home
-              </Button>
-            </div>
-          </div>
-        </Container>
-      );
+      return <ErrorFallback onReset={this.handleReset} />;
     }
 
     return this.props.children;
@@ -1,12 +1,43 @@
+import Head from 'next/head';
 import Link from 'next/link';
+import { useRouter } from 'next/router';
 import Navbar from './Navbar';
 import { Container } from 'react-bootstrap';
+import { useTranslation } from '@/lib/i18n';
+import { MARKETS, DEFAULT_MARKET } from '@/lib/markets';
+
+const SITE_URL = (process.env.NEXT_PUBLIC_SITE_URL || '').replace(/\/$/, '');
+
+/**
+ * hreflang alternates for the current page, one per market plus x-default,
+ * so search engines index each locale's translated, locally priced copy.
+ */
+function AlternateLinks() {
+  const { asPath } = useRouter();
+  const path = asPath.split(/[?#]/)[0];
+  const href = (locale) => {
+    if (locale === DEFAULT_MARKET.locale) return `${SITE_URL}${path}`;
+    return `${SITE_URL}/${locale}${path === '/' ? '' : path}`;
+  };
+
+  return (
+    <Head>
+      {MARKETS.map((m) => (
+        <link key={m.locale} rel="alternate" hrefLang={m.locale} href={href(m.locale)} />
+      ))}
+      <link rel="alternate" hrefLang="x-default" href={href(DEFAULT_MARKET.locale)} />
+    </Head>
+  );
+}
 
 export default function Layout({ children }) {
+  const { t } = useTranslation();
+
   return (
     <>
+      <AlternateLinks />
       <a href="#main-content" className="skip-link">
-        Skip to content
+        {t('layout.skipToContent')}
       </a>
       <Navbar />
       <main id="main-content">
@@ -22,30 +53,29 @@ export default function Layout({ children }) {
                 <span className="text-primary">Bio</span>Phase Solutions
               </h5>
               <p className="text-secondary mb-0" style={{ maxWidth: '320px' }}>
-                Premium biomedical products for research and clinical
-                applications. Quality you can trust.
+                {t('layout.footer.about')}
               </p>
             </div>
             <div className="col-6 col-md-3">
               <h6 className="text-uppercase small fw-bold mb-3 letter-spacing-wide">
-                Quick Links
+                {t('layout.footer.quickLinks')}
               </h6>
               <ul className="list-unstyled mb-0">
                 <li className="mb-2">
                   <Link href="/" className="footer-link">
-                    Products
+                    {t('nav.products')}
                   </Link>
                 </li>
                 <li className="mb-2">
                   <Link href="/cart" className="footer-link">
-                    Cart
+                    {t('nav.cart')}
                   </Link>
                 </li>
               </ul>
             </div>
             <div className="col-6 col-md-3">
               <h6 className="text-uppercase small fw-bold mb-3 letter-spacing-wide">
-                Contact
+                {t('layout.footer.contact')}
               </h6>
               <ul className="list-unstyled mb-0">
                 <li className="mb-2">
@@ -66,8 +96,7 @@ export default function Layout({ children }) {
           </div>
           <hr className="border-secondary my-4" />
           <p className="text-secondary text-center mb-0 small">
-            &copy; {new Date().getFullYear()} BioPhase Solutions. All rights
-            reserved.
+            {t('layout.footer.copyright', { year: new Date().getFullYear() })}
           </p>
         </Container>
       </footer>
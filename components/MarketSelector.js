@@ -0,0 +1,56 @@
+import { useRouter } from 'next/router';
+import { NavDropdown } from 'react-bootstrap';
+import { MARKETS, getMarket } from '@/lib/markets';
+import { useTranslation } from '@/lib/i18n';
+
+/**
+ * Navbar country/language picker. Each market is a Next.js locale, so
+ * switching re-renders the current page with that market's prices and
+ * translations; the cart follows along (see CartProvider).
+ * @param {Function} onSelect - Called after the user picks a market
+ */
+export default function MarketSelector({ onSelect }) {
+  const router = useRouter();
+  const { t } = useTranslation();
+  const current = getMarket(router.locale);
+
+  function selectMarket(market) {
+    onSelect?.();
+    if (market.locale === current.locale) return;
+    router.push({ pathname: router.pathname, query: router.query }, router.asPath, {
+      locale: market.locale,
+      scroll: false,
+    });
+  }
+
+  return (
+    <NavDropdown
+      title={
+        <span
+          aria-label={t('markets.current', {
+            country: current.label,
+            language: current.languageLabel,
+            currency: current.currencyCode,
+          })}
+        >
+          {current.country} · {current.language} · {current.currencyCode}
+        </span>
+      }
+      id="market-dropdown"
+      align="end"
+    >
+      <NavDropdown.Header>{t('markets.header')}</NavDropdown.Header>
+      {MARKETS.map((market) => (
+        <NavDropdown.Item
+          key={market.locale}
+          as="button"
+          lang={market.locale}
+          active={market.locale === current.locale}
+          onClick={() => selectMarket(market)}
+        >
+          {market.label} — {market.languageLabel} ({market.currencyCode})
+        </NavDropdown.Item>
+      ))}
+    </NavDropdown>
+  );
+}
@@ -4,21 +4,48 @@ import { useState, useEffect } from 'react';
 import {
   Navbar as BSNavbar,
   Nav,
+  NavDropdown,
   Container,
   Badge,
 } from 'react-bootstrap';
 import { useCart } from '@/lib/cartContext';
+import { useAccount } from '@/lib/accountContext';
+import { useWishlist } from '@/lib/wishlistContext';
+import PredictiveSearch from './PredictiveSearch';
+import MarketSelector from './MarketSelector';
+import { useTranslation } from '@/lib/i18n';
+import { getMarket } from '@/lib/markets';
 
 export default function Navbar() {
   const router = useRouter();
+  const { t } = useTranslation();
   const { itemCount } = useCart();
+  const { customer } = useAccount();
+  const { count: savedCount } = useWishlist();
   const [expanded, setExpanded] = useState(false);
-  const [mounted, setMounted] = useState(false);
+  const [collections, setCollections] = useState([]);
+  const onCollectionPage = router.pathname === '/collections/[handle]';
+
+  // Load collection links once per locale (titles are translated) — the
+  // Navbar lives in Layout, which has no access to page-level getStaticProps data.
+  const { country, language } = getMarket(router.locale);
 
-  // Prevent hydration flash — only show cart badge after client mount
   useEffect(() => {
-    setMounted(true);
-  }, []);
+    let cancelled = false;
+
+    fetch(`/api/collections?${new URLSearchParams({ country, language })}`)
+      .then((res) => (res.ok ? res.json() : { collections: [] }))
+      .then((data) => {
+        if (!cancelled) setCollections(data.collections || []);
+      })
+      .catch(() => {
+        // Collections are optional navigation — fail silently
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [country, language]);
 
   return (
     <BSNavbar
@@ -45,11 +72,87 @@ export default function Navbar() {
               active={router.pathname === '/'}
               onClick={() => setExpanded(false)}
             >
-              Products
+              {t('nav.products')}
+            </Nav.Link>
+            {collections.length > 0 && (
+              <NavDropdown
+                title={t('nav.collections')}
+                id="collections-dropdown"
+                active={onCollectionPage}
+              >
+                {collections.map((collection) => (
+                  <NavDropdown.Item
+                    key={collection.id}
+                    as={Link}
+                    href={`/collections/${collection.handle}`}
+                    active={onCollectionPage && router.query.handle === collection.handle}
+                    onClick={() => setExpanded(false)}
+                  >
+                    {collection.title}
+                  </NavDropdown.Item>
+                ))}
+              </NavDropdown>
+            )}
+            <Nav.Link
+              as={Link}
+              href="/quick-order"
+              active={router.pathname === '/quick-order'}
+              onClick={() => setExpanded(false)}
+            >
+              {t('nav.quickOrder')}
             </Nav.Link>
           </Nav>
 
+          <PredictiveSearch onNavigate={() => setExpanded(false)} />
+
           <Nav>
+            <MarketSelector onSelect={() => setExpanded(false)} />
+            {/* "Sign In" once we know nobody is; the account page redirects too */}
+            <Nav.Link
+              as={Link}
+              href={customer === null ? '/account/login' : '/account'}
+              active={router.pathname.startsWith('/account')}
+              onClick={() => setExpanded(false)}
+              className="d-flex align-items-center"
+            >
+              <svg
+                xmlns="http://www.w3.org/2000/svg"
+                width="20"
+                height="20"
+                fill="currentColor"
+                viewBox="0 0 16 16"
+                className="me-1"
+                aria-hidden="true"
+              >
+                <path d="M8 8a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm2-3a2 2 0 1 1-4 0 2 2 0 0 1 4 0zm4 8c0 1-1 1-1 1H3s-1 0-1-1 1-4 6-4 6 3 6 4zm-1-.004c-.001-.246-.154-.986-.832-1.664C11.516 10.68 10.289 10 8 10c-2.29 0-3.516.68-4.168 1.332-.678.678-.83 1.418-.832 1.664h10z" />
+              </svg>
+              {customer === null ? t('nav.signIn') : t('nav.account')}
+            </Nav.Link>
+            <Nav.Link
+              as={Link}
+              href="/wishlist"
+              active={router.pathname === '/wishlist'}
+              onClick={() => setExpanded(false)}
+              className="d-flex align-items-center"
+            >
+              <svg
+                xmlns="http://www.w3.org/2000/svg"
+                width="20"
+                height="20"
+                fill="currentColor"
+                viewBox="0 0 16 16"
+                className="me-1"
+                aria-hidden="true"
+              >
+                <path d="m8 2.748-.717-.737C5.6.281 2.514.878 1.4 3.053c-.523 1.023-.641 2.5.314 4.385.92 1.815 2.834 3.989 6.286 6.357 3.452-2.368 5.365-4.542 6.286-6.357.955-1.886.838-3.362.314-4.385C13.486.878 10.4.28 8.717 2.01L8 2.748zM8 15C-7.333 4.868 3.279-3.04 7.824 1.143c.06.055.119.112.176.171a3.12 3.12 0 0 1 .176-.17C12.72-3.042 23.333 4.867 8 15z" />
+              </svg>
+              {t('nav.wishlist')}
+              {savedCount > 0 && (
+                <Badge bg="secondary" pill className="ms-1">
+                  {savedCount}
+                </Badge>
+              )}
+            </Nav.Link>
             <Nav.Link
               as={Link}
               href="/cart"
@@ -68,8 +171,8 @@ export default function Navbar() {
               >
                 <path d="M0 1.5A.5.5 0 0 1 .5 1H2a.5.5 0 0 1 .485.379L2.89 3H14.5a.5.5 0 0 1 .491.592l-1.5 8A.5.5 0 0 1 13 12H4a.5.5 0 0 1-.491-.408L2.01 3.607 1.61 2H.5a.5.5 0 0 1-.5-.5zM3.102 4l1.313 7h8.17l1.313-7H3.102zM5 12a2 2 0 1 0 0 4 2 2 0 0 0 0-4zm7 0a2 2 0 1 0 0 4 2 2 0 0 0 0-4zm-7 1a1 1 0 1 1 0 2 1 1 0 0 1 0-2zm7 0a1 1 0 1 1 0 2 1 1 0 0 1 0-2z" />
               </svg>
-              Cart
-              {mounted && itemCount > 0 && (
+              {t('nav.cart')}
+              {itemCount > 0 && (
                 <Badge bg="primary" pill className="ms-1">
                   {itemCount}
                 </Badge>
@@ -0,0 +1,136 @@
+import Link from 'next/link';
+import Image from 'next/image';
+import { useRouter } from 'next/router';
+import { Card, Badge, Button } from 'react-bootstrap';
+import { useCart } from '@/lib/cartContext';
+import { formatPrice } from '@/lib/formatPrice';
+import { useTranslation } from '@/lib/i18n';
+
+// Badge colors by fulfillment status; anything else is still in progress
+const FULFILLMENT_BADGES = {
+  FULFILLED: 'success',
+  PARTIALLY_FULFILLED: 'info',
+  RESTOCKED: 'secondary',
+};
+
+/**
+ * One past order on the account page: number, date, payment and
+ * fulfillment status, line items and total, with a link to Shopify's order
+ * status page for tracking. "Reorder" adds the order's items to the cart
+ * and goes to the cart page, which sums up what changed since.
+ * @param {Object} order - From getCustomer (see transformOrder in
+ *   shared/storefront/transforms.js)
+ */
+export default function OrderCard({ order }) {
+  const router = useRouter();
+  const { t, locale } = useTranslation();
+  const { reorder } = useCart();
+  const canReorder = order.lineItems.some(
+    (item) => item.variant?.availableForSale && item.currentQuantity > 0
+  );
+  const placed = new Intl.DateTimeFormat(locale, { dateStyle: 'medium' })
+    .format(new Date(order.processedAt));
+  const fulfillmentBadge = FULFILLMENT_BADGES[order.fulfillmentStatus];
+
+  return (
+    <Card className="border-0 shadow-sm mb-3">
+      <Card.Header className="bg-light d-flex flex-wrap align-items-center gap-2">
+        <h3 className="h6 mb-0 me-2">{t('account.orders.order', { name: order.name })}</h3>
+        <small className="text-muted me-auto">{t('account.orders.placed', { date: placed })}</small>
+        {order.canceledAt ? (
+          <Badge bg="danger">{t('account.orders.canceled')}</Badge>
+        ) : (
+          <Badge
+            bg={fulfillmentBadge || 'warning'}
+            text={fulfillmentBadge ? undefined : 'dark'}
+          >
+            {t(`account.fulfillmentStatus.${order.fulfillmentStatus}`)}
+          </Badge>
+        )}
+        {order.financialStatus && (
+          <Badge bg="light" text="dark" className="border">
+            {t(`account.financialStatus.${order.financialStatus}`)}
+          </Badge>
+        )}
+      </Card.Header>
+
+      <Card.Body>
+        <ul className="list-unstyled mb-0">
+          {order.lineItems.map((item, index) => (
+            <li key={index} className="d-flex align-items-center gap-3 py-2 border-bottom">
+              {item.variant?.image ? (
+                <Image
+                  src={item.variant.image.url}
+                  alt={item.variant.image.altText || item.title}
+                  width={48}
+                  height={48}
+                  className="rounded"
+                  style={{ objectFit: 'cover' }}
+                />
+              ) : (
+                <div className="bg-light rounded" style={{ width: 48, height: 48 }} />
+              )}
+              <div className="me-auto">
+                {item.variant ? (
+                  <Link
+                    href={`/products/${item.variant.productHandle}`}
+                    className="text-dark fw-semibold text-decoration-none"
+                  >
+                    {item.title}
+                  </Link>
+                ) : (
+                  <span className="fw-semibold">{item.title}</span>
+                )}
+                {item.variant && item.variant.title !== 'Default Title' && (
+                  <small className="d-block text-muted">{item.variant.title}</small>
+                )}
+                {!item.variant && (
+                  <small className="d-block text-muted">{t('account.orders.unavailable')}</small>
+                )}
+              </div>
+              <small className="text-muted text-nowrap">
+                {t('account.orders.quantity', { quantity: item.quantity })}
+              </small>
+              <span className="text-nowrap">
+                {formatPrice(
+                  item.originalTotalPrice.amount,
+                  item.originalTotalPrice.currencyCode,
+                  locale
+                )}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </Card.Body>
+
+      <Card.Footer className="bg-white d-flex flex-wrap align-items-center gap-2">
+        <Button
+          size="sm"
+          variant="primary"
+          onClick={() => {
+            reorder(order);
+            router.push('/cart');
+          }}
+          disabled={!canReorder}
+          title={canReorder ? undefined : t('account.orders.reorderUnavailable')}
+        >
+          {t('account.orders.reorder')}
+        </Button>
+        <a
+          href={order.statusUrl}
+          className="btn btn-sm btn-outline-secondary me-auto"
+          target="_blank"
+          rel="noopener noreferrer"
+        >
+          {t('account.orders.status')}
+        </a>
+        <span>
+          {t('account.orders.total')}{' '}
+          <strong>
+            {formatPrice(order.totalPrice.amount, order.totalPrice.currencyCode, locale)}
+          </strong>
+        </span>
+      </Card.Footer>
+    </Card>
+  );
+}
@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react';
+import { Form, Button, Row, Col } from 'react-bootstrap';
+import { useTranslation } from '@/lib/i18n';
+
+/**
+ * Cart attributes collected for lab orders, in display order. `key` is what
+ * staff see on the order, so it stays the same in every language; the label
+ * and placeholder come from the `orderDetails.fields.<id>` messages.
+ */
+export const ORDER_ATTRIBUTE_FIELDS = [
+  { key: 'PO Number', id: 'poNumber' },
+  { key: 'Grant ID', id: 'grantId' },
+  { key: 'Lab / PI', id: 'labPi' },
+];
+
+function toFieldValues(attributes) {
+  return Object.fromEntries(
+    ORDER_ATTRIBUTE_FIELDS.map(({ key }) => [
+      key,
+      attributes.find((a) => a.key === key)?.value || '',
+    ])
+  );
+}
+
+/**
+ * Order metadata panel for the cart page: PO number, grant ID and lab/PI
+ * name (saved as cart attributes) plus a free-text order note. Both carry
+ * through to the Shopify order.
+ * @param {string} note - Current cart note
+ * @param {Array} attributes - Current cart attributes [{ key, value }]
+ * @param {Function} onSaveNote - (note) => Promise<boolean>
+ * @param {Function} onSaveAttributes - (attributes) => Promise<boolean>
+ */
+export default function OrderNotesPanel({ note, attributes, onSaveNote, onSaveAttributes }) {
+  const { t } = useTranslation();
+  const [fields, setFields] = useState(() => toFieldValues(attributes));
+  const [noteText, setNoteText] = useState(note);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  // Pick up values restored from Shopify or changed in another tab. Keyed on
+  // content so unrelated cart updates don't discard what's being typed.
+  const attributesKey = JSON.stringify(toFieldValues(attributes));
+  useEffect(() => {
+    setFields(JSON.parse(attributesKey));
+  }, [attributesKey]);
+
+  useEffect(() => {
+    setNoteText(note);
+  }, [note]);
+
+  const dirty = noteText !== note || JSON.stringify(fields) !== attributesKey;
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setSaved(false);
+
+    // Keep any attributes set elsewhere (e.g. by an integration)
+    const otherAttributes = attributes.filter(
+      (a) => !ORDER_ATTRIBUTE_FIELDS.some(({ key }) => key === a.key)
+    );
+    const results = await Promise.all([
+      onSaveAttributes([
+        ...otherAttributes,
+        ...ORDER_ATTRIBUTE_FIELDS.map(({ key }) => ({ key, value: fields[key] })),
+      ]),
+      noteText !== note ? onSaveNote(noteText) : true,
+    ]);
+
+    setSaving(false);
+    setSaved(results.every(Boolean));
+  }
+
+  return (
+    <Form onSubmit={handleSubmit} className="border rounded p-4">
+      <h2 className="h5 mb-1">{t('orderDetails.heading')}</h2>
+      <p className="text-muted small mb-3">
+        {t('orderDetails.intro')}
+      </p>
+
+      <Row className="g-3 mb-3">
+        {ORDER_ATTRIBUTE_FIELDS.map(({ key, id }) => (
+          <Col md={4} key={key}>
+            <Form.Group controlId={`order-attr-${id}`}>
+              <Form.Label className="small fw-semibold mb-1">
+                {t(`orderDetails.fields.${id}.label`)}
+              </Form.Label>
+              <Form.Control
+                size="sm"
+                value={fields[key]}
+                onChange={(e) => {
+                  setFields({ ...fields, [key]: e.target.value });
+                  setSaved(false);
+                }}
+                placeholder={t(`orderDetails.fields.${id}.placeholder`)}
+                maxLength={255}
+              />
+            </Form.Group>
+          </Col>
+        ))}
+      </Row>
+
+      <Form.Group controlId="order-note" className="mb-3">
+        <Form.Label className="small fw-semibold mb-1">{t('orderDetails.note')}</Form.Label>
+        <Form.Control
+          as="textarea"
+          rows={3}
+          size="sm"
+          value={noteText}
+          onChange={(e) => {
+            setNoteText(e.target.value);
+            setSaved(false);
+          }}
+          placeholder={t('orderDetails.notePlaceholder')}
+          maxLength={5000}
+        />
+      </Form.Group>
+
+      <div className="d-flex align-items-center gap-3">
+        <Button type="submit" variant="outline-primary" size="sm" disabled={!dirty || saving}>
+          {saving ? t('orderDetails.saving') : t('orderDetails.save')}
+        </Button>
+        {saved && !dirty && (
+          <span className="text-success small" role="status">
+            {t('orderDetails.saved')}
+          </span>
+        )}
+      </div>
+    </Form>
+  );
+}
@@ -0,0 +1,210 @@
+import Link from 'next/link';
+import Image from 'next/image';
+import { useRouter } from 'next/router';
+import { useState, useEffect, useRef } from 'react';
+import { Form, Spinner } from 'react-bootstrap';
+import { formatPrice } from '@/lib/formatPrice';
+import { getMarket } from '@/lib/markets';
+import { useTranslation } from '@/lib/i18n';
+
+const DEBOUNCE_MS = 250;
+const MIN_QUERY_LENGTH = 2;
+const RESULT_LIMIT = 6;
+
+/**
+ * Navbar search box with a debounced type-ahead dropdown.
+ * Suggestions come from `/api/search?predictive=true`; pressing Enter (with
+ * no suggestion highlighted) goes to the full results page.
+ * @param {Function} onNavigate - Called after the user picks a result or submits
+ */
+export default function PredictiveSearch({ onNavigate }) {
+  const router = useRouter();
+  const { t } = useTranslation();
+  const market = getMarket(router.locale);
+  const [term, setTerm] = useState('');
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const containerRef = useRef(null);
+
+  // Debounced fetch — each keystroke cancels the pending timer and any
+  // in-flight request so stale responses never overwrite newer ones.
+  useEffect(() => {
+    const q = term.trim();
+    if (q.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const params = new URLSearchParams({
+          q,
+          predictive: 'true',
+          limit: String(RESULT_LIMIT),
+          country: market.country,
+          language: market.language,
+        });
+        const res = await fetch(`/api/search?${params}`, { signal: controller.signal });
+        if (!res.ok) throw new Error('Search failed');
+        const data = await res.json();
+        setResults(data.products || []);
+        setActiveIndex(-1);
+      } catch (error) {
+        if (error.name !== 'AbortError') setResults([]);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [term, market]);
+
+  // Close the dropdown on navigation and on clicks outside the search box
+  useEffect(() => {
+    const close = () => setOpen(false);
+    router.events.on('routeChangeStart', close);
+    return () => router.events.off('routeChangeStart', close);
+  }, [router.events]);
+
+  useEffect(() => {
+    function handleClickOutside(e) {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    }
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  function finish() {
+    setOpen(false);
+    setActiveIndex(-1);
+    onNavigate?.();
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    const q = term.trim();
+    if (!q) return;
+
+    if (activeIndex >= 0 && results[activeIndex]) {
+      router.push(`/products/${results[activeIndex].handle}`);
+    } else {
+      router.push({ pathname: '/search', query: { q } });
+    }
+    finish();
+  }
+
+  function handleKeyDown(e) {
+    if (!open || results.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((i) => (i + 1) % results.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((i) => (i <= 0 ? results.length - 1 : i - 1));
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      setActiveIndex(-1);
+    }
+  }
+
+  const showDropdown = open && term.trim().length >= MIN_QUERY_LENGTH;
+
+  return (
+    <div className="predictive-search" ref={containerRef}>
+      <Form onSubmit={handleSubmit} role="search">
+        <Form.Control
+          type="search"
+          size="sm"
+          value={term}
+          onChange={(e) => {
+            setTerm(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder={t('search.navPlaceholder')}
+          aria-label={t('search.label')}
+          aria-autocomplete="list"
+          aria-controls="predictive-search-results"
+          aria-expanded={showDropdown}
+          role="combobox"
+        />
+      </Form>
+
+      {showDropdown && (
+        <div
+          id="predictive-search-results"
+          className="predictive-search__dropdown shadow"
+          role="listbox"
+        >
+          {loading && results.length === 0 ? (
+            <div className="p-3 text-center text-muted small">
+              <Spinner animation="border" size="sm" className="me-2" />
+              {t('search.searching')}
+            </div>
+          ) : results.length === 0 ? (
+            <div className="p-3 text-muted small">
+              {t('search.noSuggestions', { query: term.trim() })}
+            </div>
+          ) : (
+            <>
+              {results.map((product, idx) => {
+                const { image, price } = product;
+
+                return (
+                  <Link
+                    key={product.id}
+                    href={`/products/${product.handle}`}
+                    className={`predictive-search__item ${
+                      idx === activeIndex ? 'active' : ''
+                    }`}
+                    role="option"
+                    aria-selected={idx === activeIndex}
+                    onClick={finish}
+                  >
+                    {image ? (
+                      <Image
+                        src={image.url}
+                        alt={image.altText || product.title}
+                        width={40}
+                        height={40}
+                        className="rounded flex-shrink-0"
+                        style={{ objectFit: 'cover' }}
+                      />
+                    ) : (
+                      <div className="predictive-search__placeholder rounded bg-light flex-shrink-0" />
+                    )}
+                    <span className="flex-grow-1 text-truncate">{product.title}</span>
+                    {price && (
+                      <span className="text-muted small flex-shrink-0">
+                        {formatPrice(price.amount, price.currencyCode, router.locale)}
+                      </span>
+                    )}
+                  </Link>
+                );
+              })}
+              <Link
+                href={{ pathname: '/search', query: { q: term.trim() } }}
+                className="predictive-search__all small"
+                onClick={finish}
+              >
+                {t('search.viewAll', { query: term.trim() })}
+              </Link>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,47 +1,65 @@
 import Link from 'next/link';
 import Image from 'next/image';
+import { useRouter } from 'next/router';
 import { Card, Badge } from 'react-bootstrap';
 import { formatPrice } from '@/lib/formatPrice';
+import { useWishlist } from '@/lib/wishlistContext';
+import WishlistButton from './WishlistButton';
 
 export default function ProductCard({ product }) {
-  const image = product.images?.edges?.[0]?.node;
-  const price = product.priceRange?.minVariantPrice;
+  const { locale } = useRouter();
+  const { isSaved } = useWishlist();
+  const { image, price, variants } = product;
+
+  // The heart saves the first variant for sale (others are picked on the
+  // product page) and shows as saved if any of the product's variants is
+  const saveVariant = variants.find((v) => isSaved(v.id))
+    || variants.find((v) => v.availableForSale)
+    || variants[0]
+    || null;
 
   return (
-    <Link
-      href={`/products/${product.handle}`}
-      className="text-decoration-none"
-    >
-      <Card className="product-card h-100 border-0 shadow-sm">
-        <div className="product-card__image-wrapper">
-          {image ? (
-            <Image
-              src={image.url}
-              alt={image.altText || product.title}
-              width={400}
-              height={400}
-              className="card-img-top product-card__image"
-              sizes="(max-width: 576px) 100vw, (max-width: 768px) 50vw, 33vw"
-            />
-          ) : (
-            <div className="product-card__placeholder d-flex align-items-center justify-content-center bg-light">
-              <span className="text-muted">No image</span>
-            </div>
-          )}
-        </div>
-        <Card.Body className="d-flex flex-column">
-          <Card.Title as="h3" className="h6 mb-2 text-dark">
+    <Card className="product-card h-100 border-0 shadow-sm">
+      <div className="product-card__image-wrapper">
+        {image ? (
+          <Image
+            src={image.url}
+            alt={image.altText || product.title}
+            width={400}
+            height={400}
+            className="card-img-top product-card__image"
+            sizes="(max-width: 576px) 100vw, (max-width: 768px) 50vw, 33vw"
+          />
+        ) : (
+          <div className="product-card__placeholder d-flex align-items-center justify-content-center bg-light">
+            <span className="text-muted">No image</span>
+          </div>
+        )}
+        <WishlistButton
+          product={product}
+          variant={saveVariant}
+          compact
+          className="product-card__save rounded-circle shadow-sm"
+        />
+      </div>
+      <Card.Body className="d-flex flex-column">
+        <Card.Title as="h3" className="h6 mb-2">
+          {/* Stretched over the whole card, under the save button */}
+          <Link
+            href={`/products/${product.handle}`}
+            className="stretched-link text-dark text-decoration-none"
+          >
             {product.title}
-          </Card.Title>
-          {price && (
-            <p className="mt-auto mb-0">
-              <Badge bg="dark" className="fs-6 fw-normal">
-                {formatPrice(price.amount, price.currencyCode)}
-              </Badge>
-            </p>
-          )}
-        </Card.Body>
-      </Card>
-    </Link>
+          </Link>
+        </Card.Title>
+        {price && (
+          <p className="mt-auto mb-0">
+            <Badge bg="dark" className="fs-6 fw-normal">
+              {formatPrice(price.amount, price.currencyCode, locale)}
+            </Badge>
+          </p>
+        )}
+      </Card.Body>
+    </Card>
   );
 }
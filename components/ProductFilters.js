@@ -0,0 +1,125 @@
+import { useState, useEffect } from 'react';
+import { Form, Button, InputGroup } from 'react-bootstrap';
+import { useTranslation } from '@/lib/i18n';
+
+/**
+ * Filter controls for the product grid — availability, price range, vendor
+ * and product type. Purely presentational: the parent owns the state (which
+ * lives in the URL) and receives every change through `onChange`.
+ * @param {Object} facets   - { vendors, productTypes, price } from getProductFacets
+ * @param {Object} filters  - Grid state from parseFilterParams
+ * @param {Function} onChange - Called with the next grid state
+ * @param {Function} onClear  - Reset every filter
+ */
+export default function ProductFilters({ facets, filters, onChange, onClear }) {
+  const { t } = useTranslation();
+  const [minPrice, setMinPrice] = useState(filters.minPrice ?? '');
+  const [maxPrice, setMaxPrice] = useState(filters.maxPrice ?? '');
+
+  // Keep the price inputs in step with the URL (back/forward, "Clear all")
+  useEffect(() => {
+    setMinPrice(filters.minPrice ?? '');
+    setMaxPrice(filters.maxPrice ?? '');
+  }, [filters.minPrice, filters.maxPrice]);
+
+  function toggle(key, value) {
+    const current = filters[key];
+    const next = current.includes(value)
+      ? current.filter((v) => v !== value)
+      : [...current, value];
+    onChange({ ...filters, [key]: next });
+  }
+
+  function handlePriceSubmit(e) {
+    e.preventDefault();
+    const min = minPrice === '' ? null : Math.max(parseFloat(minPrice), 0);
+    const max = maxPrice === '' ? null : Math.max(parseFloat(maxPrice), 0);
+    onChange({
+      ...filters,
+      minPrice: Number.isFinite(min) ? min : null,
+      maxPrice: Number.isFinite(max) ? max : null,
+    });
+  }
+
+  return (
+    <div className="product-filters">
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <h2 className="h6 text-uppercase fw-bold mb-0 letter-spacing-wide">{t('filters.title')}</h2>
+        <Button variant="link" size="sm" className="p-0" onClick={onClear}>
+          {t('filters.clearAll')}
+        </Button>
+      </div>
+
+      <section className="mb-4">
+        <h3 className="h6 fw-semibold">{t('filters.availability')}</h3>
+        <Form.Check
+          type="switch"
+          id="filter-available"
+          label={t('filters.inStockOnly')}
+          checked={filters.available}
+          onChange={(e) => onChange({ ...filters, available: e.target.checked })}
+        />
+      </section>
+
+      <section className="mb-4">
+        <h3 className="h6 fw-semibold">{t('filters.price')}</h3>
+        <Form onSubmit={handlePriceSubmit}>
+          <InputGroup size="sm" className="mb-2">
+            <Form.Control
+              type="number"
+              min="0"
+              step="0.01"
+              placeholder={facets?.price ? String(facets.price.min) : t('filters.min')}
+              value={minPrice}
+              onChange={(e) => setMinPrice(e.target.value)}
+              aria-label={t('filters.minPrice')}
+            />
+            <InputGroup.Text>–</InputGroup.Text>
+            <Form.Control
+              type="number"
+              min="0"
+              step="0.01"
+              placeholder={facets?.price ? String(facets.price.max) : t('filters.max')}
+              value={maxPrice}
+              onChange={(e) => setMaxPrice(e.target.value)}
+              aria-label={t('filters.maxPrice')}
+            />
+          </InputGroup>
+          <Button type="submit" variant="outline-primary" size="sm" className="w-100">
+            {t('filters.apply')}
+          </Button>
+        </Form>
+      </section>
+
+      {facets?.vendors?.length > 0 && (
+        <section className="mb-4">
+          <h3 className="h6 fw-semibold">{t('filters.vendor')}</h3>
+          {facets.vendors.map((vendor) => (
+            <Form.Check
+              key={vendor}
+              id={`filter-vendor-${vendor}`}
+              label={vendor}
+              checked={filters.vendors.includes(vendor)}
+              onChange={() => toggle('vendors', vendor)}
+            />
+          ))}
+        </section>
+      )}
+
+      {facets?.productTypes?.length > 0 && (
+        <section className="mb-4">
+          <h3 className="h6 fw-semibold">{t('filters.productType')}</h3>
+          {facets.productTypes.map((type) => (
+            <Form.Check
+              key={type}
+              id={`filter-type-${type}`}
+              label={type}
+              checked={filters.types.includes(type)}
+              onChange={() => toggle('types', type)}
+            />
+          ))}
+        </section>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import { Alert } from 'react-bootstrap';
+import { formatPrice } from '@/lib/formatPrice';
+import { useTranslation } from '@/lib/i18n';
+
+function ItemLabel({ item }) {
+  const { t } = useTranslation();
+  return (
+    <>
+      <span className="fw-semibold">{item.title}</span>
+      {item.variantTitle && <span className="text-muted"> — {item.variantTitle}</span>}{' '}
+      <span className="text-muted">{t('reorder.quantity', { quantity: item.quantity })}</span>
+    </>
+  );
+}
+
+/**
+ * What a reorder changed, shown at the top of the cart: how many items were
+ * added, which items from the order are no longer available, and which cost
+ * something different now.
+ * @param {Object} summary - `reorderSummary` from useCart()
+ * @param {Function} onDismiss
+ */
+export default function ReorderSummary({ summary, onDismiss }) {
+  const { t, locale } = useTranslation();
+  const { orderName, added, unavailable, repriced } = summary;
+  const addedCount = added.reduce((sum, item) => sum + item.quantity, 0);
+  const changed = unavailable.length > 0 || repriced.length > 0;
+
+  return (
+    <Alert
+      variant={changed ? 'warning' : 'success'}
+      dismissible
+      onClose={onDismiss}
+      closeLabel={t('reorder.dismiss')}
+    >
+      <Alert.Heading as="h2" className="h6">
+        {t('reorder.heading', { name: orderName })}
+      </Alert.Heading>
+      <p className="mb-0">
+        {t('reorder.added', { count: addedCount })}
+        {!changed && ` ${t('reorder.unchanged')}`}
+      </p>
+
+      {unavailable.length > 0 && (
+        <>
+          <p className="mt-3 mb-1">{t('reorder.unavailable')}</p>
+          <ul className="mb-0">
+            {unavailable.map((item, index) => (
+              <li key={index}>
+                <ItemLabel item={item} />
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {repriced.length > 0 && (
+        <>
+          <p className="mt-3 mb-1">{t('reorder.repriced')}</p>
+          <ul className="mb-0">
+            {repriced.map((item, index) => (
+              <li key={index}>
+                <ItemLabel item={item} />:{' '}
+                {t('reorder.priceChange', {
+                  previous: formatPrice(
+                    item.previousPrice.amount,
+                    item.previousPrice.currencyCode,
+                    locale
+                  ),
+                  price: formatPrice(item.price.amount, item.price.currencyCode, locale),
+                })}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </Alert>
+  );
+}
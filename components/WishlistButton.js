@@ -0,0 +1,62 @@
+import { Button } from 'react-bootstrap';
+import { useWishlist } from '@/lib/wishlistContext';
+import { useTranslation } from '@/lib/i18n';
+
+function HeartIcon({ filled }) {
+  return (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      width="18"
+      height="18"
+      fill="currentColor"
+      viewBox="0 0 16 16"
+      aria-hidden="true"
+    >
+      {filled ? (
+        <path fillRule="evenodd" d="M8 1.314C12.438-3.248 23.534 4.735 8 15-7.534 4.736 3.562-3.248 8 1.314z" />
+      ) : (
+        <path d="m8 2.748-.717-.737C5.6.281 2.514.878 1.4 3.053c-.523 1.023-.641 2.5.314 4.385.92 1.815 2.834 3.989 6.286 6.357 3.452-2.368 5.365-4.542 6.286-6.357.955-1.886.838-3.362.314-4.385C13.486.878 10.4.28 8.717 2.01L8 2.748zM8 15C-7.333 4.868 3.279-3.04 7.824 1.143c.06.055.119.112.176.171a3.12 3.12 0 0 1 .176-.17C12.72-3.042 23.333 4.867 8 15z" />
+      )}
+    </svg>
+  );
+}
+
+/**
+ * Toggle a variant on the wishlist: saves it, or takes it off again once
+ * saved.
+ * @param {Object} product - Transformed product (needs title, handle, image)
+ * @param {Object|null} variant - The variant to save
+ * @param {number} [quantity=1]
+ * @param {Array<{key: string, value: string}>} [attributes] - Optional line attributes
+ * @param {boolean} [compact=false] - Icon only, for product cards
+ */
+export default function WishlistButton({
+  product,
+  variant,
+  quantity = 1,
+  attributes = [],
+  compact = false,
+  className,
+}) {
+  const { t } = useTranslation();
+  const { isSaved, save, remove, loading } = useWishlist();
+  const saved = variant ? isSaved(variant.id) : false;
+
+  return (
+    <Button
+      variant={compact ? 'light' : 'outline-secondary'}
+      className={`d-inline-flex align-items-center justify-content-center gap-2 ${
+        saved ? 'text-danger' : ''
+      } ${className || ''}`}
+      onClick={() => (saved ? remove(variant.id) : save(product, variant, quantity, attributes))}
+      disabled={!variant || loading}
+      aria-pressed={saved}
+      aria-label={compact
+        ? t(saved ? 'wishlist.removeLabel' : 'wishlist.saveLabel', { title: product.title })
+        : undefined}
+    >
+      <HeartIcon filled={saved} />
+      {!compact && (saved ? t('wishlist.saved') : t('wishlist.save'))}
+    </Button>
+  );
+}
@@ -0,0 +1,157 @@
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { useRouter } from 'next/router';
+import { translate } from '@/lib/i18n';
+import { fetchWithCsrf } from '@/lib/csrfFetch';
+import { useCart } from '@/lib/cartContext';
+
+const AccountContext = createContext();
+
+/**
+ * Customer shape (see transformCustomer in shared/storefront/transforms.js):
+ * { id, firstName, lastName, displayName, email }
+ *
+ * `customer` is undefined until the session has been checked, then the
+ * signed-in customer or null. The access token itself never reaches the
+ * browser — the /api/account/* routes keep it in an HttpOnly cookie (see
+ * lib/customerSession.js).
+ */
+
+/**
+ * Buyer-facing message for a failed account request: a translated message
+ * for its error code where there is one (e.g. wrong password, email taken),
+ * otherwise the route's own message.
+ * @param {{ message: string, code?: string }} error - The route's `error` object
+ * @param {string} locale - Next.js locale to translate into
+ */
+function accountErrorMessage(error, locale) {
+  const key = `accountErrors.${error.code}`;
+  const message = translate(locale, key);
+  return message === key ? error.message : message;
+}
+
+/**
+ * POST to one of the /api/account/* routes.
+ * @returns {Promise<{ data: Object|null, error: string|null }>} `error` is
+ *   a buyer-facing message
+ */
+async function postAccount(path, body, locale) {
+  try {
+    const res = await fetchWithCsrf(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = res.status === 204 ? {} : await res.json().catch(() => null);
+
+    if (!res.ok) {
+      const error = data?.error || { message: translate(locale, 'accountErrors.default') };
+      return { data: null, error: accountErrorMessage(error, locale) };
+    }
+    return { data, error: null };
+  } catch {
+    return { data: null, error: translate(locale, 'accountErrors.default') };
+  }
+}
+
+/**
+ * @param {Object} props
+ * @param {Object|null} [props.initialCustomer] - The signed-in customer, from
+ *   server-rendered account pages; otherwise the session is checked on mount
+ */
+export function AccountProvider({ children, initialCustomer }) {
+  const { locale } = useRouter();
+  const { clearCart } = useCart();
+  const [customer, setCustomer] = useState(initialCustomer);
+  const initialCustomerRef = useRef(initialCustomer);
+
+  // Server-rendered account pages know the customer; adopt what they found
+  useEffect(() => {
+    if (initialCustomer !== undefined) setCustomer(initialCustomer);
+  }, [initialCustomer]);
+
+  // Otherwise check the session once per page load
+  useEffect(() => {
+    if (initialCustomerRef.current !== undefined) return;
+
+    let cancelled = false;
+    fetch('/api/account')
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (!cancelled) setCustomer(data?.customer || null);
+      })
+      .catch(() => {
+        if (!cancelled) setCustomer(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  /** @returns {Promise<string|null>} Error message, or null once signed in */
+  const login = useCallback(async (email, password) => {
+    const { data, error } = await postAccount('/api/account/login', { email, password }, locale);
+    if (data) setCustomer(data.customer);
+    return error;
+  }, [locale]);
+
+  /**
+   * @param {{ email: string, password: string, firstName?: string,
+   *   lastName?: string, acceptsMarketing?: boolean }} fields
+   * @returns {Promise<string|null>} Error message, or null once signed in
+   */
+  const register = useCallback(async (fields) => {
+    const { data, error } = await postAccount('/api/account/register', fields, locale);
+    if (data) setCustomer(data.customer);
+    return error;
+  }, [locale]);
+
+  /** @returns {Promise<string|null>} Error message, or null once the email is on its way */
+  const recover = useCallback(async (email) => {
+    const { error } = await postAccount('/api/account/recover', { email }, locale);
+    return error;
+  }, [locale]);
+
+  /**
+   * Sign out. The cart goes too: it carries the customer's details into
+   * checkout, which the next person at this browser shouldn't see.
+   */
+  const logout = useCallback(async () => {
+    await postAccount('/api/account/logout', {}, locale);
+    setCustomer(null);
+    clearCart();
+  }, [locale, clearCart]);
+
+  const value = {
+    customer,
+    loading: customer === undefined,
+    login,
+    register,
+    recover,
+    logout,
+  };
+
+  return <AccountContext.Provider value={value}>{children}</AccountContext.Provider>;
+}
+
+/**
+ * Where to go after signing in: the page's `returnTo` query parameter if it
+ * is a path on this site, otherwise the account page.
+ * @param {Object} query - router.query
+ * @returns {string}
+ */
+export function getReturnTo(query) {
+  const { returnTo } = query;
+  return typeof returnTo === 'string' && /^\/(?![/\\])/.test(returnTo) ? returnTo : '/account';
+}
+
+/**
+ * Hook to access the signed-in customer and account actions
+ */
+export function useAccount() {
+  const context = useContext(AccountContext);
+  if (!context) {
+    throw new Error('useAccount must be used within an AccountProvider');
+  }
+  return context;
+}
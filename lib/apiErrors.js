@@ -0,0 +1,58 @@
+/**
+ * Error responses for Next.js API routes.
+ *
+ * Every error response has the shape
+ *   { error: { message, status, code, userErrors?, fields? } }
+ * where `code` is stable and machine-readable (the browser keys friendly
+ * messages off it — see lib/cartContext.js) and `message` is safe to show.
+ *
+ * Codes set by routes themselves:
+ *   - INVALID_REQUEST    (400) — missing or malformed parameters; when the
+ *     request failed schema validation, `fields` lists each invalid field
+ *   - UNAUTHENTICATED    (401) — account routes without a signed-in customer
+ *   - METHOD_NOT_ALLOWED (405)
+ *   - CART_NOT_FOUND, PRODUCT_NOT_FOUND, COLLECTION_NOT_FOUND, ORDER_NOT_FOUND (404)
+ *   - NOTHING_TO_REORDER (422) — none of a past order's items can be bought now
+ *   - INTERNAL_ERROR     (500) — anything unexpected
+ * Storefront client errors carry their own status and code; see
+ * shared/storefront/errors.js.
+ */
+
+import { describeErrors } from '@/shared/validation';
+
+/**
+ * Send the error response for a failed request. Details that shouldn't
+ * reach the browser (Shopify response bodies, setup hints) are replaced
+ * with `fallbackMessage`; log `error.message` for those.
+ * @param {import('next').NextApiResponse} res
+ * @param {Error} error - The caught error
+ * @param {string} fallbackMessage - Message to send if the error has no public one
+ */
+export function sendApiError(res, error, fallbackMessage) {
+  const status = error.status || 500;
+
+  if (error.retryAfter != null) {
+    res.setHeader('Retry-After', String(error.retryAfter));
+  }
+
+  return res.status(status).json({
+    error: {
+      message: error.publicMessage || fallbackMessage,
+      status,
+      code: error.code || 'INTERNAL_ERROR',
+      ...(error.userErrors && { userErrors: error.userErrors }),
+    },
+  });
+}
+
+/**
+ * Send a 400 for a request that failed schema validation (see
+ * lib/requestSchemas.js), listing every invalid field.
+ * @param {import('next').NextApiResponse} res
+ * @param {Array<{ field: string|null, message: string }>} fields - validate() errors
+ */
+export function sendValidationError(res, fields) {
+  return res.status(400).json({
+    error: { message: describeErrors(fields), status: 400, code: 'INVALID_REQUEST', fields },
+  });
+}
@@ -0,0 +1,88 @@
+/**
+ * Rate limiting and CSRF checks for Next.js API routes (see
+ * shared/security). Each check returns true when the request may proceed;
+ * otherwise it has already sent the error response:
+ *   - RATE_LIMITED       (429) — with Retry-After
+ *   - ORIGIN_NOT_ALLOWED (403) — Origin is another site
+ *   - CSRF_TOKEN_INVALID (403) — X-CSRF-Token missing or not matching the
+ *     cookie; the browser fetches a fresh token and retries
+ *
+ * Behind a proxy or on Vercel set TRUST_PROXY=true so clients are told apart
+ * by X-Forwarded-For rather than the proxy's own address.
+ */
+
+import {
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  checkCsrf,
+  getRateLimiter,
+  rateLimitHeaders,
+} from '@/shared/security';
+
+const trustProxy = process.env.TRUST_PROXY === 'true';
+
+function forwarded(req, name) {
+  const value = req.headers[name];
+  return trustProxy && typeof value === 'string' ? value.split(',')[0].trim() : null;
+}
+
+/** @param {import('next').NextApiRequest} req */
+function clientIp(req) {
+  return forwarded(req, 'x-forwarded-for') || req.socket.remoteAddress || 'unknown';
+}
+
+/** @param {import('next').NextApiRequest} req */
+function requestHost(req) {
+  return forwarded(req, 'x-forwarded-host') || req.headers.host;
+}
+
+/**
+ * Count the request against the client's limit for `bucket`.
+ * @param {import('next').NextApiRequest} req
+ * @param {import('next').NextApiResponse} res
+ * @param {'cart'|'products'|'account'} bucket
+ * @returns {boolean} false if a 429 was sent
+ */
+export function enforceRateLimit(req, res, bucket) {
+  const result = getRateLimiter(bucket).hit(clientIp(req));
+
+  for (const [name, value] of Object.entries(rateLimitHeaders(result))) {
+    res.setHeader(name, value);
+  }
+  if (!result.limited) return true;
+
+  res.status(429).json({
+    error: {
+      message: 'Too many requests — please try again shortly',
+      status: 429,
+      code: 'RATE_LIMITED',
+    },
+  });
+  return false;
+}
+
+/**
+ * Refuse cross-site requests. Only the storefront's own origin may call
+ * these routes.
+ * @param {import('next').NextApiRequest} req
+ * @param {import('next').NextApiResponse} res
+ * @returns {boolean} false if a 403 was sent
+ */
+export function enforceCsrf(req, res) {
+  const failure = checkCsrf(
+    {
+      method: req.method,
+      origin: req.headers.origin,
+      host: requestHost(req),
+      cookieToken: req.cookies[CSRF_COOKIE],
+      headerToken: req.headers[CSRF_HEADER],
+    },
+    { allowList: false }
+  );
+  if (!failure) return true;
+
+  res.status(403).json({
+    error: { message: failure.message, status: 403, code: failure.code },
+  });
+  return false;
+}
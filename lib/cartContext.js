@@ -1,59 +1,346 @@
-import { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
+import { createContext, useContext, useReducer, useEffect, useCallback, useRef } from 'react';
+import { useRouter } from 'next/router';
+import { getMarket } from '@/lib/markets';
+import { translate } from '@/lib/i18n';
+import { fetchWithCsrf } from '@/lib/csrfFetch';
 
 const CartContext = createContext();
 
-const CART_STORAGE_KEY = 'biophase_cart';
+/** BroadcastChannel used to share confirmed carts between open tabs */
+const CART_CHANNEL_NAME = 'biophase_cart';
 
 /**
  * Cart item shape (derived from Shopify Cart API lines):
  * {
- *   id: string,           // Shopify cart line GID
+ *   id: string,           // Shopify cart line GID (or "pending:<n>" while being added)
  *   variantId: string,    // Shopify variant GID
  *   productTitle: string,
  *   productHandle: string,
  *   variantTitle: string,
- *   price: string,        // e.g. "749.95"
+ *   price: string,        // unit price in the cart's currency, e.g. "749.95"
  *   currencyCode: string, // e.g. "USD"
  *   quantity: number,
+ *   cost: {               // Shopify's line totals; null until Shopify has priced the line
+ *     amountPerQuantity: Money,
+ *     subtotalAmount: Money, // before line-level discounts
+ *     totalAmount: Money,    // after line-level discounts
+ *   } | null,
  *   imageUrl: string | null,
  *   imageAlt: string,
+ *   discountAllocations: Array<{ label: string, amount: string, currencyCode: string }>,
+ *   attributes: Array<{ key: string, value: string }>, // e.g. lot requirements
  * }
+ *
+ * Items exposed through useCart() also carry:
+ *   pending: boolean,     // a request touching this line is in flight
+ *   optimistic: boolean,  // line exists only locally until Shopify creates it
+ *
+ * Money is Shopify's { amount: string, currencyCode: string }. Totals are
+ * always Shopify's own figures (see `cost` in the cart shape) — never summed
+ * on the client, so discounts, tax-inclusive pricing and rounding match what
+ * checkout will charge.
  */
 
+/**
+ * `items` is always the last cart Shopify confirmed. Mutations are applied
+ * optimistically by queuing an op in `pendingOps`; the UI renders the
+ * confirmed items with every pending op replayed on top (see applyPendingOps).
+ * When an op settles it is dropped from the queue — on success the server
+ * cart replaces `items`, on failure nothing else changes, which rolls the
+ * optimistic change back.
+ *
+ * Op shapes:
+ *   { id, type: 'add', line }             // line is a full cart item preview
+ *   { id, type: 'merge', lines }           // several adds (cross-tab cart merge)
+ *   { id, type: 'addLines', lines }        // several adds in one request (see addLines)
+ *   { id, type: 'reorder', lines }         // a past order's items (see reorder)
+ *   { id, type: 'update', lineId, quantity }
+ *   { id, type: 'remove', lineId }
+ *   { id, type: 'discounts', codes }       // complete list of codes to apply
+ *   { id, type: 'note', note }
+ *   { id, type: 'attributes', attributes } // complete list of cart attributes
+ *   { id, type: 'buyerIdentity', countryCode, languageCode } // move the cart to another market
+ *
+ * `updatedAt` is Shopify's timestamp for the confirmed cart. Other tabs share
+ * their carts too (see CartProvider), so snapshots can arrive out of order;
+ * an older snapshot of the same cart never replaces a newer one.
+ *
+ * `reorderSummary` describes the last reorder until it is dismissed:
+ * { orderName, added, unavailable, repriced } from POST /api/account/reorder.
+ */
 const initialState = {
   cartId: null,
   checkoutUrl: null,
+  updatedAt: null,
+  countryCode: null,
   items: [],
-  loading: false,
+  cost: null,
+  discountCodes: [],
+  discountAllocations: [],
+  note: '',
+  attributes: [],
+  pendingOps: [],
+  rehydrating: false,
   error: null,
+  reorderSummary: null,
 };
 
 function cartReducer(state, action) {
   switch (action.type) {
     case 'SET_CART':
+      if (isOlderSnapshot(action.payload, state)) {
+        return { ...state, rehydrating: false };
+      }
+      return {
+        ...state,
+        ...confirmedFields(action.payload),
+        rehydrating: false,
+      };
+    case 'REHYDRATE_START':
+      return { ...state, rehydrating: true };
+    case 'REHYDRATE_END':
+      return { ...state, rehydrating: false };
+    case 'OP_START':
       return {
         ...state,
-        cartId: action.payload.cartId,
-        checkoutUrl: action.payload.checkoutUrl,
-        items: action.payload.items,
-        loading: false,
+        pendingOps: [...state.pendingOps, action.payload],
         error: null,
       };
-    case 'SET_LOADING':
-      return { ...state, loading: true, error: null };
+    case 'OP_SUCCESS': {
+      const pendingOps = state.pendingOps.filter((op) => op.id !== action.payload.opId);
+      if (isOlderSnapshot(action.payload.cart, state)) {
+        return { ...state, pendingOps, rehydrating: false };
+      }
+      return {
+        ...state,
+        ...confirmedFields(action.payload.cart),
+        pendingOps,
+        rehydrating: false,
+      };
+    }
+    case 'OP_FAILURE':
+      return {
+        ...state,
+        pendingOps: state.pendingOps.filter((op) => op.id !== action.payload.opId),
+        rehydrating: false,
+        error: action.payload.message,
+      };
     case 'SET_ERROR':
-      return { ...state, loading: false, error: action.payload };
+      return { ...state, rehydrating: false, error: action.payload };
+    case 'SET_REORDER_SUMMARY':
+      return { ...state, reorderSummary: action.payload };
     case 'CLEAR_CART':
-      return { ...initialState };
+      return { ...initialState, pendingOps: state.pendingOps };
     default:
       return state;
   }
 }
 
+/** The parts of a normalized cart that make up the confirmed snapshot */
+function confirmedFields(cart) {
+  return {
+    cartId: cart.cartId,
+    checkoutUrl: cart.checkoutUrl,
+    updatedAt: cart.updatedAt,
+    countryCode: cart.countryCode || null,
+    items: cart.items,
+    cost: cart.cost || null,
+    discountCodes: cart.discountCodes || [],
+    discountAllocations: cart.discountAllocations || [],
+    note: cart.note || '',
+    attributes: cart.attributes || [],
+  };
+}
+
+/** Confirmed snapshot of "no cart" — used when a cart is discarded */
+const EMPTY_CART = confirmedFields(initialState);
+
+/** True if `cart` is an older Shopify snapshot of the cart already in `state` */
+function isOlderSnapshot(cart, state) {
+  return Boolean(
+    cart.cartId
+    && cart.cartId === state.cartId
+    && cart.updatedAt
+    && state.updatedAt
+    && cart.updatedAt < state.updatedAt
+  );
+}
+
+/** True if two attribute lists hold the same key/value pairs */
+function sameAttributes(a = [], b = []) {
+  const serialize = (attrs) =>
+    JSON.stringify([...attrs].sort((x, y) => x.key.localeCompare(y.key)));
+  return serialize(a) === serialize(b);
+}
+
+/**
+ * Optimistically add one line. Like Shopify, this merges into an existing
+ * line only when both the variant and the line attributes match.
+ */
+function addLine(items, line, pendingLineIds) {
+  const existing = items.find(
+    (i) => i.variantId === line.variantId && sameAttributes(i.attributes, line.attributes)
+  );
+  if (existing) {
+    pendingLineIds.add(existing.id);
+    return items.map((i) =>
+      i.id === existing.id ? { ...i, quantity: i.quantity + line.quantity } : i
+    );
+  }
+  pendingLineIds.add(line.id);
+  return [...items, line];
+}
+
+/**
+ * Replay pending ops over the confirmed items.
+ * @returns {Array} Items to display, flagged with `pending`/`optimistic`
+ */
+function applyPendingOps(items, pendingOps) {
+  const pendingLineIds = new Set();
+
+  const displayed = pendingOps.reduce((acc, op) => {
+    switch (op.type) {
+      case 'add':
+        return addLine(acc, op.line, pendingLineIds);
+      case 'merge':
+      case 'addLines':
+      case 'reorder':
+        return op.lines.reduce((merged, line) => addLine(merged, line, pendingLineIds), acc);
+      case 'update':
+        pendingLineIds.add(op.lineId);
+        return acc.map((i) =>
+          i.id === op.lineId ? { ...i, quantity: op.quantity } : i
+        );
+      case 'remove':
+        pendingLineIds.add(op.lineId);
+        return acc.filter((i) => i.id !== op.lineId);
+      default:
+        return acc;
+    }
+  }, items);
+
+  return displayed.map((i) => ({
+    ...i,
+    pending: pendingLineIds.has(i.id),
+    optimistic: Boolean(i.optimistic),
+  }));
+}
+
+/** Most recent pending op of a given type, if any */
+function latestPendingOp(pendingOps, type) {
+  return pendingOps.filter((op) => op.type === type).pop() || null;
+}
+
+/**
+ * Replay pending discount-code changes over the confirmed codes. Codes from
+ * a pending op show as `pending` until Shopify reports whether they apply.
+ * @returns {Array<{ code: string, applicable: boolean, pending: boolean }>}
+ */
+function applyPendingCodes(discountCodes, pendingOps) {
+  const latest = latestPendingOp(pendingOps, 'discounts');
+  if (!latest) return discountCodes.map((c) => ({ ...c, pending: false }));
+
+  return latest.codes.map((code) => {
+    const confirmed = discountCodes.find((c) => c.code.toLowerCase() === code.toLowerCase());
+    return confirmed
+      ? { ...confirmed, pending: false }
+      : { code, applicable: true, pending: true };
+  });
+}
+
+/** Flatten Shopify discount allocations into { label, amount, currencyCode } */
+function normalizeAllocations(allocations = []) {
+  return allocations.map((a) => ({
+    label: a.code || a.title || 'Discount',
+    amount: a.discountedAmount.amount,
+    currencyCode: a.discountedAmount.currencyCode,
+  }));
+}
+
+/**
+ * The cart item shown for a line until Shopify has added it.
+ * @param {string} id - Temporary line ID ("pending:…")
+ * @param {Object} product - Transformed product (needs title, handle, image)
+ * @param {Object} variant - Transformed variant (needs id, title, price)
+ */
+function previewLine(id, product, variant, quantity, attributes) {
+  const { image } = product;
+  return {
+    id,
+    variantId: variant.id,
+    productTitle: product.title,
+    productHandle: product.handle,
+    variantTitle: variant.title,
+    price: variant.price.amount,
+    currencyCode: variant.price.currencyCode,
+    quantity,
+    cost: null,
+    imageUrl: image?.url || null,
+    imageAlt: image?.altText || product.title,
+    discountAllocations: [],
+    attributes,
+    optimistic: true,
+  };
+}
+
+/**
+ * Error for a failed cart change. The message is for logs; buyers see the
+ * translation of `code` or, failing that, of `failureCode` (cartErrors in
+ * messages/*.json — see cartErrorMessage).
+ * @param {string} message
+ * @param {string|null} code - The route's error code (see lib/apiErrors.js), if any
+ * @param {string} failureCode - What failed, e.g. 'ADD_FAILED'
+ */
+function cartError(message, code, failureCode) {
+  return Object.assign(new Error(message), { code, failureCode });
+}
+
+/**
+ * POST to one of the /api/cart/* routes and return the raw Shopify cart.
+ * The routes act on the session's cart (see lib/cartSession.js).
+ * @param {string} path - API route path
+ * @param {Object} body - JSON request body
+ * @param {string} failureMessage - Error message if the request fails
+ * @param {string} failureCode - Code for the buyer-facing message if it fails
+ * @throws {Error} A cartError with the route's error `code`, if any
+ */
+async function postCart(path, body, failureMessage, failureCode) {
+  const res = await fetchWithCsrf(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => null);
+    throw cartError(failureMessage, data?.error?.code || null, failureCode);
+  }
+  const data = await res.json();
+  return data.cart;
+}
+
+/**
+ * Buyer-facing message for a failed cart change: a translated message for
+ * its error code where there is one (e.g. out of stock, store busy),
+ * otherwise for what failed (e.g. "couldn't save your order note").
+ * @param {Error} error - A cartError
+ * @param {string} locale - Next.js locale to translate into
+ */
+function cartErrorMessage(error, locale) {
+  const key = [error.code, error.failureCode, 'REQUEST_FAILED']
+    .filter(Boolean)
+    .map((code) => `cartErrors.${code}`)
+    .find((k) => translate(locale, k) !== k);
+  return translate(locale, key);
+}
+
 /**
  * Transform Shopify Cart API response into our local item shape.
  * @param {Object} cart - Raw Shopify cart object from the API
- * @returns {{ cartId: string, checkoutUrl: string, items: Array }}
+ * @returns {{ cartId: string, checkoutUrl: string, updatedAt: string,
+ *   countryCode: string|null, items: Array,
+ *   cost: { subtotalAmount: Money, totalAmount: Money, totalTaxAmount: Money|null,
+ *     checkoutChargeAmount: Money } | null,
+ *   discountCodes: Array, discountAllocations: Array, note: string, attributes: Array }}
  */
 function normalizeCart(cart) {
   const items = cart.lines.edges.map((edge) => {
@@ -68,207 +355,566 @@ function normalizeCart(cart) {
       productTitle: product.title,
       productHandle: product.handle,
       variantTitle: variant.title,
-      price: variant.priceV2.amount,
-      currencyCode: variant.priceV2.currencyCode,
+      // The line's own unit price is in the cart's currency; the variant's
+      // price is in the store default
+      price: (line.cost?.amountPerQuantity || variant.priceV2).amount,
+      currencyCode: (line.cost?.amountPerQuantity || variant.priceV2).currencyCode,
       quantity: line.quantity,
+      cost: line.cost || null,
       imageUrl: image?.url || null,
       imageAlt: image?.altText || product.title,
+      discountAllocations: normalizeAllocations(line.discountAllocations),
+      attributes: line.attributes || [],
     };
   });
 
   return {
     cartId: cart.id,
     checkoutUrl: cart.checkoutUrl,
+    updatedAt: cart.updatedAt || null,
+    countryCode: cart.buyerIdentity?.countryCode || null,
     items,
+    cost: cart.cost || null,
+    discountCodes: cart.discountCodes || [],
+    discountAllocations: normalizeAllocations(cart.discountAllocations),
+    note: cart.note || '',
+    attributes: cart.attributes || [],
   };
 }
 
 /**
- * Save cart identifiers to localStorage for session persistence.
- * Only the cartId is needed — the full cart is re-fetched from Shopify.
+ * Load the session's cart. The cart ID is in an HttpOnly cookie, so only
+ * the server knows which cart that is.
+ * @returns {Promise<Object|null>} Raw Shopify cart, or null if the session
+ *   has none
  */
-function persistCartId(cartId) {
-  if (cartId) {
-    localStorage.setItem(CART_STORAGE_KEY, JSON.stringify({ cartId }));
-  } else {
-    localStorage.removeItem(CART_STORAGE_KEY);
-  }
+async function fetchSessionCart() {
+  const res = await fetch('/api/cart');
+  if (res.status === 404) return null;
+  if (!res.ok) throw cartError('Failed to load cart', null, 'LOAD_FAILED');
+  const { cart } = await res.json();
+  return cart;
 }
 
-/** Load stored cartId from localStorage */
-function loadCartId() {
-  try {
-    const stored = localStorage.getItem(CART_STORAGE_KEY);
-    if (stored) {
-      const parsed = JSON.parse(stored);
-      return parsed.cartId || null;
-    }
-  } catch {
-    localStorage.removeItem(CART_STORAGE_KEY);
-  }
-  return null;
+/**
+ * Initial state from the session's cart when the page was server-rendered
+ * with it (see getCartSessionProps in lib/cartSession.js).
+ * @param {Object|null|undefined} initialCart - Raw Shopify cart
+ */
+function initCartState(initialCart) {
+  if (!initialCart) return initialState;
+  return { ...initialState, ...confirmedFields(normalizeCart(initialCart)) };
 }
 
-export function CartProvider({ children }) {
-  const [state, dispatch] = useReducer(cartReducer, initialState);
+/**
+ * @param {Object} props
+ * @param {Object|null} [props.initialCart] - The session's cart, on pages
+ *   rendered with getCartSessionProps (null: the session has no cart). When
+ *   left out, the cart is loaded in the browser after mount.
+ */
+export function CartProvider({ children, initialCart }) {
+  const [state, dispatch] = useReducer(cartReducer, initialCart, initCartState);
+  const initialCartRef = useRef(initialCart);
+
+  // New carts are created in the market the buyer is browsing (the locale)
+  const market = getMarket(useRouter().locale);
+  const marketRef = useRef(market);
+
+  useEffect(() => {
+    marketRef.current = market;
+  }, [market]);
+
+  // Requests run one at a time, in click order, so rapid +/− clicks can't
+  // race each other. Each request reads the cart id from this ref when it
+  // starts — not from a render closure — so a queued add after the first
+  // add reuses the cart that add created instead of creating a second one.
+  const queueRef = useRef(Promise.resolve());
+  const cartIdRef = useRef(state.cartId);
+  const nextOpIdRef = useRef(1);
+
+  // Confirmed carts are shared with other open tabs over this channel
+  const channelRef = useRef(null);
+  const stateRef = useRef(state);
+
+  useEffect(() => {
+    stateRef.current = state;
+  }, [state]);
+
+  /**
+   * Tell other tabs about a confirmed cart.
+   * @param {Object} cart - Normalized cart (cartId null once discarded)
+   * @param {string|null} discardedCartId - Cart this tab just stopped using
+   */
+  const publishCart = useCallback((cart, discardedCartId = null) => {
+    channelRef.current?.postMessage({ type: 'cart', cart, discardedCartId });
+  }, []);
+
+  // Load the session's cart on mount, unless the page was server-rendered
+  // with it. The load is queued like a mutation, so changes made meanwhile
+  // wait for it and then return the full cart themselves.
+  useEffect(() => {
+    if (initialCartRef.current !== undefined) return;
+
+    dispatch({ type: 'REHYDRATE_START' });
+    let cancelled = false;
+
+    queueRef.current = queueRef.current.then(async () => {
+      try {
+        const cart = await fetchSessionCart();
+        if (cancelled) return;
+        if (!cart) {
+          dispatch({ type: 'REHYDRATE_END' });
+          return;
+        }
+        const normalized = normalizeCart(cart);
+        cartIdRef.current = normalized.cartId;
+        dispatch({ type: 'SET_CART', payload: normalized });
+      } catch {
+        // Transient failure — the next change loads the session's cart anyway
+        if (!cancelled) dispatch({ type: 'REHYDRATE_END' });
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  /**
+   * Apply an op optimistically and queue the request that confirms it.
+   * @param {Object} op - Op without an id (see initialState for shapes)
+   * @param {Function} request - (cartId) => Promise<raw Shopify cart>
+   * @returns {Promise<boolean>} Resolves true once confirmed, false if rolled back
+   */
+  const enqueue = useCallback((op, request) => {
+    const opId = nextOpIdRef.current++;
+    dispatch({ type: 'OP_START', payload: { ...op, id: opId } });
+
+    const run = async () => {
+      try {
+        const cart = normalizeCart(await request(cartIdRef.current));
+
+        // An emptied cart is kept, so its note and discount codes survive
+        cartIdRef.current = cart.cartId;
+        dispatch({ type: 'OP_SUCCESS', payload: { opId, cart } });
+        publishCart(cart);
+        return true;
+      } catch (error) {
+        if (error.code === 'CART_NOT_FOUND') {
+          // Expired or checked out since it was loaded — start fresh on the next add
+          const discardedCartId = cartIdRef.current;
+          cartIdRef.current = null;
+          dispatch({ type: 'CLEAR_CART' });
+          publishCart(EMPTY_CART, discardedCartId);
+        }
+        dispatch({
+          type: 'OP_FAILURE',
+          payload: { opId, message: cartErrorMessage(error, marketRef.current.locale) },
+        });
+        return false;
+      }
+    };
 
-  // Restore cartId from localStorage on mount — we don't re-fetch the full
-  // cart here because it would add a visible loading delay on every page.
-  // The cartId is enough to let subsequent add/update/remove calls work.
+    const result = queueRef.current.then(run);
+    queueRef.current = result;
+    return result;
+  }, [publishCart]);
+
+  // Keep this tab in step with carts confirmed in other tabs; the full cart
+  // arrives over a BroadcastChannel. Tabs share the session's cart either
+  // way, so without BroadcastChannel a tab only sees other tabs' changes in
+  // the cart returned by its own next change.
   useEffect(() => {
-    const storedCartId = loadCartId();
-    if (storedCartId) {
-      dispatch({
-        type: 'SET_CART',
-        payload: { cartId: storedCartId, checkoutUrl: null, items: [] },
+    function applyRemoteCart(cart, discardedCartId = null) {
+      const localCartId = cartIdRef.current;
+
+      // Another tab cleared or lost the cart this tab is using
+      if (!cart.cartId) {
+        if (discardedCartId && discardedCartId === localCartId) {
+          cartIdRef.current = null;
+          dispatch({ type: 'CLEAR_CART' });
+        }
+        return;
+      }
+
+      if (!localCartId || localCartId === cart.cartId) {
+        cartIdRef.current = cart.cartId;
+        dispatch({ type: 'SET_CART', payload: cart });
+        return;
+      }
+
+      // Both tabs created a cart before hearing about each other's, and the
+      // session cookie kept only one of them. Every tab asks which: the tab
+      // whose cart lost moves its lines into the session's cart.
+      queueRef.current = queueRef.current.then(async () => {
+        const sessionCart = await fetchSessionCart().catch(() => null);
+        if (!sessionCart || sessionCart.id === cartIdRef.current) return;
+
+        const localItems = stateRef.current.items;
+        const normalized = normalizeCart(sessionCart);
+        cartIdRef.current = normalized.cartId;
+        dispatch({ type: 'SET_CART', payload: normalized });
+
+        if (localItems.length === 0) return;
+
+        const lines = localItems.map((i) => ({
+          merchandiseId: i.variantId,
+          quantity: i.quantity,
+          attributes: i.attributes,
+        }));
+        const preview = localItems.map((i) => ({
+          ...i,
+          id: `pending:merge:${i.id}`,
+          cost: null,
+          optimistic: true,
+        }));
+
+        enqueue({ type: 'merge', lines: preview }, () =>
+          postCart(
+            '/api/cart/add',
+            {
+              lines,
+              countryCode: marketRef.current.country,
+              languageCode: marketRef.current.language,
+            },
+            'Failed to merge carts',
+            'MERGE_FAILED'
+          )
+        );
       });
     }
-  }, []);
+
+    let channel = null;
+    if (typeof BroadcastChannel !== 'undefined') {
+      channel = new BroadcastChannel(CART_CHANNEL_NAME);
+      channel.onmessage = (e) => {
+        if (e.data?.type === 'cart') applyRemoteCart(e.data.cart, e.data.discardedCartId);
+      };
+      channelRef.current = channel;
+    }
+
+    return () => {
+      channel?.close();
+      channelRef.current = null;
+    };
+  }, [enqueue]);
+
+  // Re-price (and re-localize checkout for) the cart when the buyer switches
+  // market. Runs once the session's cart has loaded and whenever this tab's
+  // locale changes — not when a cart arrives from another tab, so tabs open
+  // in different markets can't keep flipping the shared cart back and forth.
+  const syncedLocaleRef = useRef(null);
+
+  useEffect(() => {
+    if (!state.cartId || state.rehydrating || syncedLocaleRef.current === market.locale) return;
+    const initialSync = syncedLocaleRef.current === null;
+    syncedLocaleRef.current = market.locale;
+    if (initialSync && state.countryCode === market.country) return;
+
+    const { country: countryCode, language: languageCode } = market;
+    enqueue({ type: 'buyerIdentity', countryCode, languageCode }, (cartId) =>
+      postCart(
+        '/api/cart/buyer-identity',
+        { countryCode, languageCode },
+        'Failed to update your cart for the selected country',
+        'MARKET_UPDATE_FAILED'
+      )
+    );
+  }, [market, state.cartId, state.countryCode, state.rehydrating, enqueue]);
 
   /**
    * Add an item to the cart via the Shopify Storefront API.
    * Creates a new cart on the first add if none exists.
-   * @param {Object} product  - Product object (needs title, handle, images)
-   * @param {Object} variant  - Variant object (needs id, title, priceV2)
+   * @param {Object} product  - Transformed product (needs title, handle, image)
+   * @param {Object} variant  - Transformed variant (needs id, title, price)
    * @param {number} quantity - Quantity to add (default 1)
+   * @param {Array<{key: string, value: string}>} attributes - Optional line attributes
+   * @returns {Promise<boolean>} Whether Shopify accepted the change
    */
-  const handleAddToCart = useCallback(async (product, variant, quantity = 1) => {
-    dispatch({ type: 'SET_LOADING' });
-
-    try {
-      let cart;
-      const line = { merchandiseId: variant.id, quantity };
-
-      if (!state.cartId) {
-        // No cart yet — create one with this item
-        const res = await fetch('/api/cart/create', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ lines: [line] }),
-        });
-        if (!res.ok) throw new Error('Failed to create cart');
-        const data = await res.json();
-        cart = data.cart;
-      } else {
-        // Cart exists — add the line
-        const res = await fetch('/api/cart/add', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ cartId: state.cartId, lines: [line] }),
-        });
-        if (!res.ok) throw new Error('Failed to add to cart');
-        const data = await res.json();
-        cart = data.cart;
-      }
+  const handleAddToCart = useCallback((product, variant, quantity = 1, attributes = []) => {
+    const line = previewLine(
+      `pending:${nextOpIdRef.current}`,
+      product,
+      variant,
+      quantity,
+      attributes
+    );
+    const lines = [{
+      merchandiseId: variant.id,
+      quantity,
+      ...(attributes.length > 0 && { attributes }),
+    }];
 
-      const normalized = normalizeCart(cart);
-      persistCartId(normalized.cartId);
-      dispatch({ type: 'SET_CART', payload: normalized });
-    } catch (error) {
-      dispatch({ type: 'SET_ERROR', payload: error.message });
-    }
-  }, [state.cartId]);
+    return enqueue({ type: 'add', line }, () =>
+      postCart(
+        '/api/cart/add',
+        {
+          lines,
+          countryCode: marketRef.current.country,
+          languageCode: marketRef.current.language,
+        },
+        'Failed to add to cart',
+        'ADD_FAILED'
+      )
+    );
+  }, [enqueue]);
 
   /**
-   * Update a cart line item's quantity via the Shopify Storefront API.
-   * If quantity falls to 0 or below, the item is removed.
-   * @param {string} lineId   - The Shopify cart line GID
-   * @param {number} quantity - New quantity
+   * Add several items in one request (a single cartLinesAdd), e.g. from the
+   * quick-order form. Shopify adds all of them or none.
+   * @param {Array<{ product: Object, variant: Object, quantity: number,
+   *   attributes?: Array<{key: string, value: string}> }>} entries - As for addToCart
+   * @returns {Promise<boolean>} Whether Shopify accepted the change
    */
-  const handleUpdateQuantity = useCallback(async (lineId, quantity) => {
-    if (!state.cartId) return;
-    dispatch({ type: 'SET_LOADING' });
-
-    try {
-      if (quantity <= 0) {
-        // Remove instead
-        const res = await fetch('/api/cart/remove', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ cartId: state.cartId, lineIds: [lineId] }),
-        });
-        if (!res.ok) throw new Error('Failed to remove item');
-        const data = await res.json();
-        const normalized = normalizeCart(data.cart);
-        persistCartId(normalized.items.length > 0 ? normalized.cartId : null);
-        dispatch({ type: normalized.items.length > 0 ? 'SET_CART' : 'CLEAR_CART', payload: normalized });
-        return;
-      }
+  const handleAddLines = useCallback((entries) => {
+    const opId = nextOpIdRef.current;
+    const preview = entries.map(({ product, variant, quantity, attributes = [] }, index) =>
+      previewLine(`pending:lines:${opId}:${index}`, product, variant, quantity, attributes));
+    const lines = entries.map(({ variant, quantity, attributes = [] }) => ({
+      merchandiseId: variant.id,
+      quantity,
+      ...(attributes.length > 0 && { attributes }),
+    }));
 
-      const res = await fetch('/api/cart/update', {
+    return enqueue({ type: 'addLines', lines: preview }, () =>
+      postCart(
+        '/api/cart/add',
+        {
+          lines,
+          countryCode: marketRef.current.country,
+          languageCode: marketRef.current.language,
+        },
+        'Failed to add to cart',
+        'ADD_FAILED'
+      )
+    );
+  }, [enqueue]);
+
+  /**
+   * Add a past order's items to the cart (see pages/api/account/reorder.js).
+   * Items still for sale show in the cart straight away; once Shopify has
+   * confirmed them, `reorderSummary` says what was added, what is no longer
+   * available and what costs something different now.
+   * @param {Object} order - Order from the account page (see transformOrder
+   *   in shared/storefront/transforms.js)
+   * @returns {Promise<boolean>} Whether Shopify accepted the change
+   */
+  const handleReorder = useCallback((order) => {
+    const opId = nextOpIdRef.current;
+    const preview = order.lineItems
+      .filter((item) => item.variant?.availableForSale && item.currentQuantity > 0)
+      .map((item, index) => ({
+        id: `pending:reorder:${opId}:${index}`,
+        variantId: item.variant.id,
+        productTitle: item.title,
+        productHandle: item.variant.productHandle,
+        variantTitle: item.variant.title,
+        price: item.variant.price.amount,
+        currencyCode: item.variant.price.currencyCode,
+        quantity: item.currentQuantity,
+        cost: null,
+        imageUrl: item.variant.image?.url || null,
+        imageAlt: item.variant.image?.altText || item.title,
+        discountAllocations: [],
+        attributes: [],
+        optimistic: true,
+      }));
+
+    dispatch({ type: 'SET_REORDER_SUMMARY', payload: null });
+    return enqueue({ type: 'reorder', lines: preview }, async () => {
+      const res = await fetchWithCsrf('/api/account/reorder', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          cartId: state.cartId,
-          lines: [{ id: lineId, quantity }],
+          orderId: order.id,
+          countryCode: marketRef.current.country,
+          languageCode: marketRef.current.language,
         }),
       });
-      if (!res.ok) throw new Error('Failed to update cart');
-      const data = await res.json();
-      const normalized = normalizeCart(data.cart);
-      dispatch({ type: 'SET_CART', payload: normalized });
-    } catch (error) {
-      dispatch({ type: 'SET_ERROR', payload: error.message });
-    }
-  }, [state.cartId]);
+      const data = await res.json().catch(() => null);
+      if (!res.ok) {
+        throw cartError('Failed to reorder', data?.error?.code || null, 'REORDER_FAILED');
+      }
+      dispatch({ type: 'SET_REORDER_SUMMARY', payload: data.reorder });
+      return data.cart;
+    });
+  }, [enqueue]);
+
+  /** Hide the summary of the last reorder */
+  const dismissReorderSummary = useCallback(() => {
+    dispatch({ type: 'SET_REORDER_SUMMARY', payload: null });
+  }, []);
 
   /**
    * Remove a line item from the cart via the Shopify Storefront API.
    * @param {string} lineId - The Shopify cart line GID
+   * @returns {Promise<boolean>} Whether Shopify accepted the change
    */
-  const handleRemoveItem = useCallback(async (lineId) => {
-    if (!state.cartId) return;
-    dispatch({ type: 'SET_LOADING' });
+  const handleRemoveItem = useCallback((lineId) => {
+    return enqueue({ type: 'remove', lineId }, (cartId) => {
+      if (!cartId) throw cartError('No cart to remove an item from', null, 'REMOVE_FAILED');
+      return postCart(
+        '/api/cart/remove',
+        { lineIds: [lineId] },
+        'Failed to remove item',
+        'REMOVE_FAILED'
+      );
+    });
+  }, [enqueue]);
 
-    try {
-      const res = await fetch('/api/cart/remove', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ cartId: state.cartId, lineIds: [lineId] }),
-      });
-      if (!res.ok) throw new Error('Failed to remove item');
-      const data = await res.json();
-      const normalized = normalizeCart(data.cart);
-
-      if (normalized.items.length === 0) {
-        persistCartId(null);
-        dispatch({ type: 'CLEAR_CART' });
-      } else {
-        dispatch({ type: 'SET_CART', payload: normalized });
-      }
-    } catch (error) {
-      dispatch({ type: 'SET_ERROR', payload: error.message });
+  /**
+   * Update a cart line item's quantity via the Shopify Storefront API.
+   * If quantity falls to 0 or below, the item is removed.
+   * @param {string} lineId   - The Shopify cart line GID
+   * @param {number} quantity - New quantity
+   * @returns {Promise<boolean>} Whether Shopify accepted the change
+   */
+  const handleUpdateQuantity = useCallback((lineId, quantity) => {
+    if (quantity <= 0) return handleRemoveItem(lineId);
+
+    return enqueue({ type: 'update', lineId, quantity }, (cartId) => {
+      if (!cartId) throw cartError('No cart to update', null, 'UPDATE_FAILED');
+      return postCart(
+        '/api/cart/update',
+        { lines: [{ id: lineId, quantity }] },
+        'Failed to update cart',
+        'UPDATE_FAILED'
+      );
+    });
+  }, [enqueue, handleRemoveItem]);
+
+  const discountCodes = applyPendingCodes(state.discountCodes, state.pendingOps);
+
+  /**
+   * Replace the cart's discount codes. Shopify only takes the complete list,
+   * which is computed from what's on screen (including pending changes).
+   * @param {Array<string>} codes
+   * @returns {Promise<boolean>} Whether Shopify accepted the change
+   */
+  const updateDiscountCodes = useCallback((codes) => {
+    return enqueue({ type: 'discounts', codes }, (cartId) => {
+      if (!cartId) throw cartError('No cart to apply codes to', null, 'DISCOUNT_NEEDS_ITEMS');
+      return postCart(
+        '/api/cart/discounts',
+        { discountCodes: codes },
+        'Failed to update discount codes',
+        'DISCOUNTS_FAILED'
+      );
+    });
+  }, [enqueue]);
+
+  /**
+   * Apply a discount code to the cart. Codes Shopify doesn't recognise are
+   * kept on the cart but reported with `applicable: false`.
+   * @param {string} code
+   */
+  const handleApplyDiscountCode = useCallback((code) => {
+    const trimmed = code.trim();
+    const current = discountCodes.map((c) => c.code);
+    if (!trimmed || current.some((c) => c.toLowerCase() === trimmed.toLowerCase())) {
+      return Promise.resolve(true);
     }
-  }, [state.cartId]);
+    return updateDiscountCodes([...current, trimmed]);
+  }, [discountCodes, updateDiscountCodes]);
+
+  /**
+   * Remove a discount code from the cart.
+   * @param {string} code
+   */
+  const handleRemoveDiscountCode = useCallback((code) => {
+    return updateDiscountCodes(
+      discountCodes.map((c) => c.code).filter((c) => c.toLowerCase() !== code.toLowerCase())
+    );
+  }, [discountCodes, updateDiscountCodes]);
+
+  const note = latestPendingOp(state.pendingOps, 'note')?.note ?? state.note;
+  const attributes = latestPendingOp(state.pendingOps, 'attributes')?.attributes
+    ?? state.attributes;
+
+  /**
+   * Set the order note (free text for the lab's order).
+   * @param {string} nextNote
+   * @returns {Promise<boolean>} Whether Shopify accepted the change
+   */
+  const handleUpdateNote = useCallback((nextNote) => {
+    return enqueue({ type: 'note', note: nextNote }, (cartId) => {
+      if (!cartId) throw cartError('No cart to add a note to', null, 'NOTE_NEEDS_ITEMS');
+      return postCart(
+        '/api/cart/note',
+        { note: nextNote },
+        'Failed to save order note',
+        'NOTE_FAILED'
+      );
+    });
+  }, [enqueue]);
 
-  /** Clear the entire cart (local only — Shopify carts expire automatically) */
+  /**
+   * Replace the cart attributes (PO number, grant ID, lab/PI name, ...).
+   * Attributes with an empty value are dropped.
+   * @param {Array<{key: string, value: string}>} nextAttributes
+   * @returns {Promise<boolean>} Whether Shopify accepted the change
+   */
+  const handleUpdateAttributes = useCallback((nextAttributes) => {
+    const cleaned = nextAttributes
+      .map((a) => ({ key: a.key, value: a.value.trim() }))
+      .filter((a) => a.value);
+
+    return enqueue({ type: 'attributes', attributes: cleaned }, (cartId) => {
+      if (!cartId) {
+        throw cartError('No cart to add order details to', null, 'ATTRIBUTES_NEEDS_ITEMS');
+      }
+      return postCart(
+        '/api/cart/attributes',
+        { attributes: cleaned },
+        'Failed to save order details',
+        'ATTRIBUTES_FAILED'
+      );
+    });
+  }, [enqueue]);
+
+  /**
+   * Clear the entire cart. The session forgets it; the Shopify cart itself
+   * is left to expire.
+   */
   const handleClearCart = useCallback(() => {
-    persistCartId(null);
+    const discardedCartId = cartIdRef.current;
+    cartIdRef.current = null;
     dispatch({ type: 'CLEAR_CART' });
-  }, []);
+    publishCart(EMPTY_CART, discardedCartId);
+    queueRef.current = queueRef.current.then(() =>
+      fetchWithCsrf('/api/cart', { method: 'DELETE' }).catch(() => {})
+    );
+  }, [publishCart]);
 
-  const itemCount = state.items.reduce((sum, i) => sum + i.quantity, 0);
+  const items = applyPendingOps(state.items, state.pendingOps);
 
-  const subtotal = state.items.reduce(
-    (sum, i) => sum + parseFloat(i.price) * i.quantity,
-    0
-  );
-
-  const currencyCode = state.items[0]?.currencyCode || 'USD';
+  const itemCount = items.reduce((sum, i) => sum + i.quantity, 0);
 
   const value = {
-    items: state.items,
-    loading: state.loading,
+    items,
+    pending: state.pendingOps.length > 0,
+    rehydrating: state.rehydrating,
     error: state.error,
     cartId: state.cartId,
     checkoutUrl: state.checkoutUrl,
     itemCount,
-    subtotal,
-    currencyCode,
+    cost: state.cost,
+    discountCodes,
+    discountAllocations: state.discountAllocations,
+    note,
+    attributes,
+    reorderSummary: state.reorderSummary,
     addToCart: handleAddToCart,
+    addLines: handleAddLines,
+    reorder: handleReorder,
+    dismissReorderSummary,
     updateQuantity: handleUpdateQuantity,
     removeItem: handleRemoveItem,
     clearCart: handleClearCart,
+    applyDiscountCode: handleApplyDiscountCode,
+    removeDiscountCode: handleRemoveDiscountCode,
+    updateNote: handleUpdateNote,
+    updateAttributes: handleUpdateAttributes,
   };
 
   return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
@@ -0,0 +1,84 @@
+/**
+ * The buyer's cart session: the cart ID lives in a signed HttpOnly cookie
+ * set by the /api/cart/* routes, so scripts can't read it and
+ * server-rendered pages can load the cart (see getCartSessionProps).
+ *
+ * The cookie lasts as long as a Shopify cart does (10 days), renewed on
+ * every change. It is cleared only when the cart turns out to be gone
+ * (expired or checked out) or the buyer clears it: an emptied cart is kept,
+ * with its note, attributes, discount codes and buyer identity.
+ */
+
+import { getCart } from '@/shared/storefront';
+import { appendSetCookie, serializeCookie, signValue, unsignValue } from '@/shared/security';
+
+export const CART_COOKIE = 'biophase_cart';
+
+const CART_COOKIE_MAX_AGE = 10 * 24 * 60 * 60;
+
+/**
+ * @param {import('next').NextApiRequest|import('http').IncomingMessage} req
+ * @returns {string|null} The session's cart ID, if it has a valid cookie
+ */
+export function getSessionCartId(req) {
+  return unsignValue(req.cookies?.[CART_COOKIE]);
+}
+
+/**
+ * @param {import('next').NextApiResponse|import('http').ServerResponse} res
+ * @param {string|null} cartId - null to end the session's cart
+ */
+export function setSessionCartId(res, cartId) {
+  appendSetCookie(
+    res,
+    cartId
+      ? serializeCookie(CART_COOKIE, signValue(cartId), { maxAge: CART_COOKIE_MAX_AGE })
+      : serializeCookie(CART_COOKIE, '', { maxAge: 0 })
+  );
+}
+
+/**
+ * Send a cart route's response, remembering the cart in the session cookie
+ * (renewed even when the cart has no lines).
+ * @param {import('next').NextApiResponse} res
+ * @param {Object} cart - Raw Shopify cart
+ * @param {number} [status=200]
+ */
+export function sendCart(res, cart, status = 200) {
+  setSessionCartId(res, cart.id);
+  return res.status(status).json({ cart });
+}
+
+/**
+ * 404 for a session without a usable cart; clears the cookie.
+ * @param {import('next').NextApiResponse} res
+ */
+export function sendCartNotFound(res) {
+  setSessionCartId(res, null);
+  return res.status(404).json({
+    error: { message: 'Cart not found or expired', status: 404, code: 'CART_NOT_FOUND' },
+  });
+}
+
+/**
+ * Page props carrying the session's cart for CartProvider (see
+ * pages/_app.js), so server-rendered pages show the real cart — and the
+ * Navbar its item count — on first paint. Call from getServerSideProps.
+ * @param {{ req: import('http').IncomingMessage, res: import('http').ServerResponse }} context
+ * @returns {Promise<{ initialCart?: Object|null }>} `initialCart` is null
+ *   when the session has no cart, and left out if Shopify couldn't be
+ *   reached (the browser then loads the cart itself)
+ */
+export async function getCartSessionProps({ req, res }) {
+  const cartId = getSessionCartId(req);
+  if (!cartId) return { initialCart: null };
+
+  try {
+    const cart = await getCart(cartId);
+    if (!cart) setSessionCartId(res, null);
+    return { initialCart: cart };
+  } catch (error) {
+    console.error('Cart session error:', error.message);
+    return {};
+  }
+}
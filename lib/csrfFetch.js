@@ -0,0 +1,45 @@
+/**
+ * Browser side of the CSRF protection in lib/apiSecurity.js: requests that
+ * change state send the token from GET /api/csrf in the X-CSRF-Token header.
+ */
+
+/** In-flight or settled request for the CSRF token (see pages/api/csrf.js) */
+let csrfTokenRequest = null;
+
+/**
+ * CSRF token for the routes that change state, fetched once per page load.
+ * @param {boolean} [refresh=false] - Fetch a new token
+ * @returns {Promise<string|null>} null if it couldn't be fetched, in which
+ *   case the route refuses the request with its own error
+ */
+export function getCsrfToken(refresh = false) {
+  if (!csrfTokenRequest || refresh) {
+    csrfTokenRequest = fetch('/api/csrf')
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => data?.token || null)
+      .catch(() => null);
+  }
+  return csrfTokenRequest;
+}
+
+/**
+ * Send a request that changes state (cart, account) with the CSRF token.
+ * If the route refuses the token (its cookie expired, or was issued under
+ * another secret) a fresh one is fetched and the request retried once.
+ * @param {string} path - API route path
+ * @param {RequestInit} init
+ * @param {boolean} [isRetry=false]
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithCsrf(path, init, isRetry = false) {
+  const csrfToken = await getCsrfToken(isRetry);
+  const res = await fetch(path, {
+    ...init,
+    headers: { ...init.headers, ...(csrfToken && { 'X-CSRF-Token': csrfToken }) },
+  });
+  if (res.status === 403 && !isRetry) {
+    const data = await res.clone().json().catch(() => null);
+    if (data?.error?.code === 'CSRF_TOKEN_INVALID') return fetchWithCsrf(path, init, true);
+  }
+  return res;
+}
@@ -0,0 +1,84 @@
+/**
+ * The signed-in customer's session: their Storefront customer access token
+ * lives in a signed HttpOnly cookie set by the /api/account/* routes, so
+ * scripts never see it and server-rendered pages can load the account.
+ *
+ * The cookie expires with the token (Shopify's `expiresAt`). A token that
+ * Shopify no longer accepts ends the session: the cookie is cleared and the
+ * customer signs in again.
+ */
+
+import { cartBuyerIdentityUpdate, getCart } from '@/shared/storefront';
+import { appendSetCookie, serializeCookie, signValue, unsignValue } from '@/shared/security';
+import { getSessionCartId, setSessionCartId } from '@/lib/cartSession';
+
+export const CUSTOMER_COOKIE = 'biophase_customer';
+
+/** Orders per page on the account page and GET /api/account/orders */
+export const ORDERS_PAGE_SIZE = 10;
+
+/**
+ * @param {import('next').NextApiRequest|import('http').IncomingMessage} req
+ * @returns {string|null} The customer access token, if the session is signed in
+ */
+export function getCustomerToken(req) {
+  return unsignValue(req.cookies?.[CUSTOMER_COOKIE]);
+}
+
+/**
+ * @param {import('next').NextApiResponse|import('http').ServerResponse} res
+ * @param {{ accessToken: string, expiresAt: string }|null} token - From
+ *   customerAccessTokenCreate; null to sign the session out
+ */
+export function setCustomerToken(res, token) {
+  const maxAge = token ? (new Date(token.expiresAt).getTime() - Date.now()) / 1000 : 0;
+
+  appendSetCookie(
+    res,
+    maxAge > 0
+      ? serializeCookie(CUSTOMER_COOKIE, signValue(token.accessToken), { maxAge })
+      : serializeCookie(CUSTOMER_COOKIE, '', { maxAge: 0 })
+  );
+}
+
+/**
+ * 401 for a session that isn't signed in (or whose token has expired);
+ * clears the cookie.
+ * @param {import('next').NextApiResponse} res
+ */
+export function sendNotSignedIn(res) {
+  setCustomerToken(res, null);
+  return res.status(401).json({
+    error: { message: 'Sign in to continue', status: 401, code: 'UNAUTHENTICATED' },
+  });
+}
+
+/**
+ * Attach the customer to the session's cart, so checkout is prefilled with
+ * their email and addresses. The cart keeps its market. Failures are logged
+ * and otherwise ignored — signing in shouldn't fail because of the cart.
+ * @param {import('next').NextApiRequest} req
+ * @param {import('next').NextApiResponse} res
+ * @param {string} customerAccessToken
+ */
+export async function attachCustomerToSessionCart(req, res, customerAccessToken) {
+  const cartId = getSessionCartId(req);
+  if (!cartId) return;
+
+  try {
+    const cart = await getCart(cartId);
+    if (!cart) {
+      setSessionCartId(res, null);
+      return;
+    }
+
+    const { countryCode } = cart.buyerIdentity;
+    await cartBuyerIdentityUpdate(
+      cartId,
+      { customerAccessToken, ...(countryCode && { countryCode }) },
+      countryCode ? { country: countryCode } : null
+    );
+  } catch (error) {
+    console.error('Cart buyer identity error:', error.message);
+  }
+}
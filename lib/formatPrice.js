@@ -2,10 +2,11 @@
  * Format a Shopify money amount for display
  * @param {string} amount - The amount string
  * @param {string} currencyCode - The currency code (e.g. 'USD')
+ * @param {string} locale - BCP 47 locale to format for, usually router.locale (e.g. 'en-CA')
  * @returns {string} Formatted price string
  */
-export function formatPrice(amount, currencyCode = "USD") {
-  return new Intl.NumberFormat("en-US", {
+export function formatPrice(amount, currencyCode = "USD", locale = "en-US") {
+  return new Intl.NumberFormat(locale, {
     style: "currency",
     currency: currencyCode,
   }).format(parseFloat(amount));
@@ -0,0 +1,39 @@
+/**
+ * HTTP caching for public catalog API responses.
+ *
+ * Used by Next.js API routes, which (unlike pages) get no ETag handling
+ * from Next. Responses are shared-cacheable: CDNs hold them for `maxAge`
+ * seconds and may serve them stale for `staleWhileRevalidate` more while
+ * refetching, in line with the Storefront cache (shared/storefront/cache.js).
+ */
+
+import { createHash } from 'node:crypto';
+
+/**
+ * Send a JSON response with Cache-Control and ETag headers, answering
+ * 304 Not Modified when the client already has this body.
+ * @param {import('next').NextApiRequest} req
+ * @param {import('next').NextApiResponse} res
+ * @param {Object} body - Response body
+ * @param {Object} [options]
+ * @param {number} [options.maxAge=60] - Shared cache lifetime in seconds
+ * @param {number} [options.staleWhileRevalidate=300] - Stale window in seconds
+ */
+export function sendCachedJson(req, res, body, { maxAge = 60, staleWhileRevalidate = 300 } = {}) {
+  const json = JSON.stringify(body);
+  const etag = `W/"${createHash('sha1').update(json).digest('base64url')}"`;
+
+  res.setHeader(
+    'Cache-Control',
+    `public, max-age=0, s-maxage=${maxAge}, stale-while-revalidate=${staleWhileRevalidate}`
+  );
+  res.setHeader('ETag', etag);
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch && ifNoneMatch.split(/\s*,\s*/).includes(etag)) {
+    return res.status(304).end();
+  }
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  return res.status(200).send(json);
+}
@@ -0,0 +1,59 @@
+import { useCallback } from 'react';
+import { useRouter } from 'next/router';
+import { getMarket } from '@/lib/markets';
+import en from '@/messages/en.json';
+import de from '@/messages/de.json';
+import fr from '@/messages/fr.json';
+
+/**
+ * UI message catalogs, keyed by Storefront LanguageCode. English is the
+ * source catalog: a key missing from another language falls back to it.
+ *
+ * Messages are looked up by dotted path ("cart.summary.subtotal") and may
+ * contain `{name}` placeholders. Messages that vary by count are stored as
+ * `<key>_one` / `<key>_other` (Intl.PluralRules categories) and selected by
+ * the `count` value.
+ */
+const CATALOGS = { EN: en, DE: de, FR: fr };
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => node?.[part], catalog);
+}
+
+function resolve(catalog, key, locale, count) {
+  if (count != null) {
+    const category = new Intl.PluralRules(locale).select(count);
+    const plural = lookup(catalog, `${key}_${category}`) ?? lookup(catalog, `${key}_other`);
+    if (typeof plural === 'string') return plural;
+  }
+  const message = lookup(catalog, key);
+  return typeof message === 'string' ? message : null;
+}
+
+/**
+ * Translate a UI string for a Next.js locale.
+ * @param {string} locale - e.g. router.locale or getStaticProps' `locale`
+ * @param {string} key - Dotted message key, e.g. "cart.title"
+ * @param {Object} [values] - Placeholder values; `count` also selects the plural form
+ * @returns {string} The message, or the key itself if no catalog has it
+ */
+export function translate(locale, key, values = {}) {
+  const { language } = getMarket(locale);
+  const message = resolve(CATALOGS[language] || en, key, locale, values.count)
+    ?? resolve(en, key, 'en-US', values.count)
+    ?? key;
+
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    values[name] != null ? String(values[name]) : match
+  );
+}
+
+/**
+ * Hook for translating UI strings in the current locale.
+ * @returns {{ t: Function, locale: string }} `t(key, values)` — see translate()
+ */
+export function useTranslation() {
+  const { locale } = useRouter();
+  const t = useCallback((key, values) => translate(locale, key, values), [locale]);
+  return { t, locale };
+}
@@ -0,0 +1,92 @@
+/**
+ * Markets the storefront sells into.
+ *
+ * Each market is a Next.js locale (see `i18n.locales` in next.config.mjs —
+ * keep the two lists in sync) pairing a buyer country with a language. The
+ * locale picks the country and language Shopify prices and translates in via
+ * `@inContext`, the UI message catalog (see lib/i18n.js) and the locale used
+ * to format prices. US English pages live at the unprefixed URLs; every other
+ * market is served under its locale, e.g. /de-DE/products/…
+ */
+
+export const MARKETS = [
+  { locale: 'en-US', country: 'US', language: 'EN', currencyCode: 'USD', label: 'United States', languageLabel: 'English' },
+  { locale: 'en-CA', country: 'CA', language: 'EN', currencyCode: 'CAD', label: 'Canada', languageLabel: 'English' },
+  { locale: 'fr-CA', country: 'CA', language: 'FR', currencyCode: 'CAD', label: 'Canada', languageLabel: 'Français' },
+  { locale: 'en-GB', country: 'GB', language: 'EN', currencyCode: 'GBP', label: 'United Kingdom', languageLabel: 'English' },
+  { locale: 'de-DE', country: 'DE', language: 'DE', currencyCode: 'EUR', label: 'Deutschland', languageLabel: 'Deutsch' },
+  { locale: 'fr-FR', country: 'FR', language: 'FR', currencyCode: 'EUR', label: 'France', languageLabel: 'Français' },
+];
+
+export const DEFAULT_MARKET = MARKETS[0];
+
+/**
+ * Look up the market for a Next.js locale.
+ * @param {string|undefined} locale - e.g. router.locale or getStaticProps' `locale`
+ * @returns {Object} The matching market, or the default market
+ */
+export function getMarket(locale) {
+  return MARKETS.find((m) => m.locale === locale) || DEFAULT_MARKET;
+}
+
+/**
+ * Look up a market by ISO country code and, optionally, language.
+ * @param {string|undefined} country - e.g. "CA"
+ * @param {string} [language] - Storefront LanguageCode, e.g. "FR"
+ * @returns {Object|null} The matching market (the country's first market when
+ *   no language is given), or null if we don't sell there in that language
+ */
+export function getMarketByCountry(country, language = null) {
+  if (!country) return null;
+  const code = String(country).toUpperCase();
+  const lang = language ? String(language).toUpperCase() : null;
+  return MARKETS.find((m) => m.country === code && (!lang || m.language === lang)) || null;
+}
+
+/**
+ * Storefront `@inContext` arguments for a market.
+ * @param {Object} market
+ * @returns {{ country: string, language: string }}
+ */
+export function toInContext(market) {
+  return { country: market.country, language: market.language };
+}
+
+/** Where cart and account request bodies carry the market (see resolveMarketParams) */
+export const CART_MARKET_PARAMS = { country: 'countryCode', language: 'languageCode' };
+
+/**
+ * Resolve the market an API request asks for, or send a 400 if we don't sell
+ * into that country in that language.
+ * @param {import('next').NextApiResponse} res
+ * @param {Object} params - Validated query or body
+ * @param {Object} [names] - Which parameters hold the market
+ * @param {string} [names.country] - ISO country code, e.g. "CA" (default: `country`)
+ * @param {string} [names.language] - Storefront LanguageCode, e.g. "FR" (default: `language`)
+ * @returns {Object|null|false} The market; null when no country was given
+ *   (store default pricing); false once the 400 has been sent
+ */
+export function resolveMarketParams(
+  res,
+  params,
+  { country: countryParam = 'country', language: languageParam = 'language' } = {}
+) {
+  const country = params[countryParam];
+  const language = params[languageParam];
+  if (!country && !language) return null;
+
+  const market = country ? getMarketByCountry(country, language) : null;
+  if (market) return market;
+
+  const choices = MARKETS.map((m) => `${m.country}/${m.language}`).join(', ');
+  res.status(400).json({
+    error: {
+      message: country
+        ? `"${countryParam}"/"${languageParam}" must be one of: ${choices}`
+        : `"${languageParam}" requires a "${countryParam}"`,
+      status: 400,
+      code: 'INVALID_REQUEST',
+    },
+  });
+  return false;
+}
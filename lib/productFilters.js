@@ -0,0 +1,101 @@
+/**
+ * Sorting and filtering helpers for the product grid: URL state
+ * (?sort=…&vendor=…) and its translation into Storefront arguments.
+ *
+ * The Storefront side — ProductFilter inputs, sort keys and the search
+ * query syntax — lives in shared/storefront/productFilters.js and is
+ * re-exported here for convenience.
+ */
+
+export {
+  PRODUCT_SORT_KEYS,
+  toProductQuery,
+  parseFiltersParam,
+} from '@/shared/storefront/productFilters';
+
+/** Sort choices offered on the product grid, keyed by their URL value */
+export const SORT_OPTIONS = [
+  { value: 'featured', label: 'Featured', sortKey: 'BEST_SELLING', reverse: false },
+  { value: 'newest', label: 'Newest', sortKey: 'CREATED_AT', reverse: true },
+  { value: 'price-asc', label: 'Price: Low to High', sortKey: 'PRICE', reverse: false },
+  { value: 'price-desc', label: 'Price: High to Low', sortKey: 'PRICE', reverse: true },
+  { value: 'title-asc', label: 'Name: A–Z', sortKey: 'TITLE', reverse: false },
+  { value: 'title-desc', label: 'Name: Z–A', sortKey: 'TITLE', reverse: true },
+];
+
+const DEFAULT_SORT = 'featured';
+
+/** Normalize a query-string value that may be missing, a string or an array */
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).filter(Boolean);
+}
+
+function toPrice(value) {
+  const n = parseFloat(Array.isArray(value) ? value[0] : value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/**
+ * Read grid state from URL query params.
+ *   ?sort=price-asc&available=1&vendor=A&vendor=B&type=Kit&minPrice=10&maxPrice=500
+ * @param {Object} query - Next.js router.query
+ * @returns {{ sort: string, available: boolean, vendors: string[], types: string[], minPrice: number|null, maxPrice: number|null }}
+ */
+export function parseFilterParams(query = {}) {
+  const sort = SORT_OPTIONS.some((o) => o.value === query.sort) ? query.sort : DEFAULT_SORT;
+
+  return {
+    sort,
+    available: query.available === '1',
+    vendors: toList(query.vendor),
+    types: toList(query.type),
+    minPrice: toPrice(query.minPrice),
+    maxPrice: toPrice(query.maxPrice),
+  };
+}
+
+/**
+ * Inverse of parseFilterParams — build URL query params from grid state,
+ * omitting defaults so unfiltered URLs stay clean.
+ * @returns {Object} Query object for router.push
+ */
+export function toFilterParams(state) {
+  const query = {};
+  if (state.sort && state.sort !== DEFAULT_SORT) query.sort = state.sort;
+  if (state.available) query.available = '1';
+  if (state.vendors.length > 0) query.vendor = state.vendors;
+  if (state.types.length > 0) query.type = state.types;
+  if (state.minPrice != null) query.minPrice = String(state.minPrice);
+  if (state.maxPrice != null) query.maxPrice = String(state.maxPrice);
+  return query;
+}
+
+/** True when grid state differs from the default, unfiltered view */
+export function hasActiveFilters(state) {
+  return Object.keys(toFilterParams(state)).length > 0;
+}
+
+/**
+ * Convert grid state into Storefront API arguments.
+ * @returns {{ sortKey: string, reverse: boolean, filters: Array<Object> }}
+ */
+export function toProductArgs(state) {
+  const { sortKey, reverse } = SORT_OPTIONS.find((o) => o.value === state.sort)
+    || SORT_OPTIONS[0];
+
+  const filters = [];
+  if (state.available) filters.push({ available: true });
+  state.vendors.forEach((productVendor) => filters.push({ productVendor }));
+  state.types.forEach((productType) => filters.push({ productType }));
+  if (state.minPrice != null || state.maxPrice != null) {
+    filters.push({
+      price: {
+        ...(state.minPrice != null && { min: state.minPrice }),
+        ...(state.maxPrice != null && { max: state.maxPrice }),
+      },
+    });
+  }
+
+  return { sortKey, reverse, filters };
+}
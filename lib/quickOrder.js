@@ -0,0 +1,53 @@
+/**
+ * Quick order: rows of SKU and quantity, typed, pasted or uploaded as CSV on
+ * pages/quick-order.js and resolved through POST /api/variants/lookup.
+ */
+
+/** Most rows one quick order (and one lookup) takes */
+export const QUICK_ORDER_MAX_ROWS = 100;
+
+/**
+ * SKUs match ignoring case and surrounding spaces, as in getVariantsBySku
+ * (shared/storefront/catalog.js).
+ * @param {string} sku
+ * @returns {string}
+ */
+export function normalizeSku(sku) {
+  return sku.trim().toUpperCase();
+}
+
+function unquote(cell) {
+  const trimmed = cell.trim();
+  return /^".*"$/.test(trimmed) ? trimmed.slice(1, -1).replace(/""/g, '"').trim() : trimmed;
+}
+
+/**
+ * Read rows of `SKU, quantity` from pasted text or a CSV file. Cells may be
+ * separated by commas, semicolons or tabs (as pasted from a spreadsheet);
+ * only the first two columns are read. A missing quantity means 1, blank
+ * lines are skipped, and so is a first line whose quantity isn't a number
+ * (a header row such as "SKU,Qty").
+ * @param {string} text
+ * @returns {Array<{ sku: string, quantity: string }>} Quantities as written,
+ *   to be checked with parseQuantity
+ */
+export function parseOrderRows(text) {
+  const rows = text
+    .split(/\r\n|\r|\n/)
+    .map((line) => line.split(/[,;\t]/).map(unquote))
+    .filter(([sku]) => sku)
+    .map(([sku, quantity]) => ({ sku, quantity: quantity || '1' }));
+
+  if (rows.length > 0 && !/^\d+$/.test(rows[0].quantity)) rows.shift();
+  return rows;
+}
+
+/**
+ * @param {string} value - Quantity as entered
+ * @returns {number|null} The quantity, or null unless it's a whole number
+ *   from 1 to 9999 (the most one cart line takes)
+ */
+export function parseQuantity(value) {
+  const quantity = /^\s*\d+\s*$/.test(value) ? parseInt(value, 10) : NaN;
+  return quantity >= 1 && quantity <= 9999 ? quantity : null;
+}
@@ -0,0 +1,132 @@
+/**
+ * Quick reorder: turn a past order (see transformOrder in
+ * shared/storefront/transforms.js) back into cart lines, and compare the
+ * cart Shopify returns with what was asked for and what was paid. Used by
+ * POST /api/account/reorder.
+ */
+
+/**
+ * @typedef {Object} ReorderItem
+ * @property {string} title - Product title as ordered
+ * @property {string|null} variantTitle - null for single-variant products
+ * @property {number} quantity
+ */
+
+function describe(item, quantity) {
+  const variantTitle = item.variant?.title;
+  return {
+    title: item.title,
+    variantTitle: variantTitle && variantTitle !== 'Default Title' ? variantTitle : null,
+    quantity,
+  };
+}
+
+/**
+ * Split an order's line items into cart lines for what can still be bought
+ * and a list of what can't. Lines for the same variant are combined; units
+ * refunded or edited out of the order aren't reordered.
+ * @param {Object} order - Transformed order
+ * @returns {{ lines: Array<{ merchandiseId: string, quantity: number }>,
+ *   items: Array<ReorderItem & { variantId: string, paidUnitPrice: Money }>,
+ *   unavailable: Array<ReorderItem> }}
+ */
+export function planReorder(order) {
+  const byVariant = new Map();
+  const unavailable = [];
+
+  for (const item of order.lineItems) {
+    const quantity = item.currentQuantity;
+    if (quantity < 1) continue;
+
+    if (!item.variant?.availableForSale) {
+      unavailable.push(describe(item, quantity));
+      continue;
+    }
+
+    const existing = byVariant.get(item.variant.id);
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      byVariant.set(item.variant.id, {
+        ...describe(item, quantity),
+        variantId: item.variant.id,
+        // What one unit cost on this order, before order-level discounts
+        paidUnitPrice: {
+          amount: (parseFloat(item.originalTotalPrice.amount) / item.quantity).toFixed(2),
+          currencyCode: item.originalTotalPrice.currencyCode,
+        },
+      });
+    }
+  }
+
+  const items = [...byVariant.values()];
+  return {
+    lines: items.map((i) => ({ merchandiseId: i.variantId, quantity: i.quantity })),
+    items,
+    unavailable,
+  };
+}
+
+/** Units of each variant in a raw Shopify cart, across all its lines */
+function variantQuantities(cart) {
+  const quantities = new Map();
+  for (const { node } of cart?.lines.edges || []) {
+    const { id } = node.merchandise;
+    quantities.set(id, (quantities.get(id) || 0) + node.quantity);
+  }
+  return quantities;
+}
+
+/**
+ * Items whose unit price now differs from what was paid. Prices in another
+ * currency (the cart is in a different market than the order was) aren't
+ * compared.
+ */
+function findRepricedItems(items, cart) {
+  const unitPrices = new Map(
+    cart.lines.edges.map(({ node }) => [node.merchandise.id, node.cost.amountPerQuantity])
+  );
+
+  return items.flatMap(({ variantId, paidUnitPrice, ...item }) => {
+    const price = unitPrices.get(variantId);
+    const changed = price
+      && price.currencyCode === paidUnitPrice.currencyCode
+      && Math.abs(parseFloat(price.amount) - parseFloat(paidUnitPrice.amount)) >= 0.005;
+    return changed ? [{ ...item, previousPrice: paidUnitPrice, price }] : [];
+  });
+}
+
+/**
+ * What the reorder actually did, from the cart before and after the lines
+ * were added. Shopify adds fewer units than asked (with a warning) when
+ * stock runs short and none of a variant that has sold out since the order
+ * was read, so the plan alone can't say.
+ * @param {Array} items - `items` from planReorder
+ * @param {Object|null} before - Raw Shopify cart before, or null for a new cart
+ * @param {Object} after - Raw Shopify cart the lines were added to
+ * @returns {{ added: Array<ReorderItem>, unavailable: Array<ReorderItem>,
+ *   repriced: Array<ReorderItem & { previousPrice: Money, price: Money }> }}
+ *   `unavailable` holds the units Shopify didn't add
+ */
+export function summarizeReorder(items, before, after) {
+  const had = variantQuantities(before);
+  const has = variantQuantities(after);
+  const added = [];
+  const unavailable = [];
+
+  for (const item of items) {
+    const gained = (has.get(item.variantId) || 0) - (had.get(item.variantId) || 0);
+    const quantity = Math.min(item.quantity, Math.max(gained, 0));
+    if (quantity > 0) added.push({ ...item, quantity });
+    if (quantity < item.quantity) {
+      const { title, variantTitle } = item;
+      unavailable.push({ title, variantTitle, quantity: item.quantity - quantity });
+    }
+  }
+
+  return {
+    added: added.map(({ title, variantTitle, quantity }) => ({ title, variantTitle, quantity })),
+    unavailable,
+    repriced: findRepricedItems(added, after),
+  };
+}
@@ -0,0 +1,197 @@
+/**
+ * Request schemas for the Next.js API routes, for use with validate() from
+ * shared/validation.
+ *
+ * Catalog routes share their parameters with the matching Express
+ * operations in docs/openapi.json. The cart routes find the cart through
+ * the session cookie (lib/cartSession.js) rather than the path, so their
+ * schemas are composed from the same components.
+ */
+
+import { ref, operationSchemas } from '@/shared/validation';
+import { QUICK_ORDER_MAX_ROWS } from '@/lib/quickOrder';
+import { WISHLIST_MAX_ITEMS } from '@/lib/wishlist';
+
+/** Buyer context accepted by catalog routes (checked further by resolveMarketParams) */
+const MARKET_PARAMS = {
+  country: ref('CountryCode'),
+  language: ref('LanguageCode'),
+};
+
+/**
+ * One schema for an operation's path and query parameters — Next.js puts
+ * both in `req.query` — plus the market params.
+ */
+function catalogQuery(path) {
+  const { params, query } = operationSchemas(path, 'get');
+  return {
+    type: 'object',
+    required: [...(params?.required || []), ...(query?.required || [])],
+    properties: { ...params?.properties, ...query?.properties, ...MARKET_PARAMS },
+  };
+}
+
+export const PRODUCTS_QUERY = catalogQuery('/api/products');
+export const PRODUCT_QUERY = catalogQuery('/api/products/{handle}');
+export const COLLECTIONS_QUERY = catalogQuery('/api/collections');
+export const COLLECTION_QUERY = catalogQuery('/api/collections/{handle}');
+export const SEARCH_QUERY = catalogQuery('/api/search');
+
+export const CART_CREATE_BODY = ref('CartCreateRequest');
+/** Lines to add, plus the market for a new cart if the session has none */
+export const CART_ADD_BODY = { allOf: [ref('CartLinesAddRequest'), ref('CartCreateRequest')] };
+export const CART_UPDATE_BODY = ref('CartLinesUpdateRequest');
+
+export const CART_REMOVE_BODY = {
+  type: 'object',
+  required: ['lineIds'],
+  properties: {
+    lineIds: { type: 'array', minItems: 1, maxItems: 250, items: ref('CartLineId') },
+  },
+};
+
+export const CART_DISCOUNTS_BODY = {
+  type: 'object',
+  required: ['discountCodes'],
+  properties: {
+    discountCodes: {
+      type: 'array',
+      maxItems: 25,
+      items: { type: 'string', minLength: 1, maxLength: 255, pattern: '\\S' },
+    },
+  },
+};
+
+export const CART_NOTE_BODY = {
+  type: 'object',
+  required: ['note'],
+  properties: { note: { type: 'string', maxLength: 5000 } },
+};
+
+export const CART_ATTRIBUTES_BODY = {
+  type: 'object',
+  required: ['attributes'],
+  properties: {
+    attributes: { type: 'array', maxItems: 25, items: ref('AttributeInput') },
+  },
+};
+
+export const CART_BUYER_IDENTITY_BODY = {
+  type: 'object',
+  required: ['countryCode'],
+  properties: {
+    countryCode: ref('CountryCode'),
+    languageCode: ref('LanguageCode'),
+  },
+};
+
+// Account routes (Next.js only; the Express API has no customer sessions)
+
+const EMAIL = { type: 'string', maxLength: 254, pattern: '^[^\\s@]+@[^\\s@]+$' };
+const PASSWORD = { type: 'string', minLength: 1, maxLength: 100 };
+
+export const ACCOUNT_LOGIN_BODY = {
+  type: 'object',
+  required: ['email', 'password'],
+  properties: { email: EMAIL, password: PASSWORD },
+};
+
+export const ACCOUNT_REGISTER_BODY = {
+  type: 'object',
+  required: ['email', 'password'],
+  properties: {
+    email: EMAIL,
+    // Shopify's own rule; checked here so the form can say so up front
+    password: { ...PASSWORD, minLength: 5 },
+    firstName: { type: 'string', maxLength: 255 },
+    lastName: { type: 'string', maxLength: 255 },
+    acceptsMarketing: { type: 'boolean', default: false },
+  },
+};
+
+export const ACCOUNT_RECOVER_BODY = {
+  type: 'object',
+  required: ['email'],
+  properties: { email: EMAIL },
+};
+
+export const ACCOUNT_ORDERS_QUERY = {
+  type: 'object',
+  properties: {
+    after: { type: 'string', minLength: 1, maxLength: 512 },
+  },
+};
+
+/** The order to reorder, plus the market for a new cart if the session has none */
+export const ACCOUNT_REORDER_BODY = {
+  type: 'object',
+  required: ['orderId'],
+  properties: {
+    orderId: { type: 'string', maxLength: 512, pattern: '^gid://shopify/Order/\\d+' },
+    countryCode: ref('CountryCode'),
+    languageCode: ref('LanguageCode'),
+  },
+};
+
+const WISHLIST_ITEM = {
+  type: 'object',
+  required: ['variantId', 'productHandle', 'productTitle'],
+  properties: {
+    variantId: ref('ProductVariantId'),
+    productHandle: { type: 'string', minLength: 1, maxLength: 255 },
+    productTitle: { type: 'string', maxLength: 255 },
+    variantTitle: { type: 'string', maxLength: 255, nullable: true },
+    imageUrl: { type: 'string', maxLength: 2048, pattern: '^https://', nullable: true },
+    imageAlt: { type: 'string', maxLength: 512, nullable: true },
+    price: {
+      type: 'object',
+      nullable: true,
+      required: ['amount', 'currencyCode'],
+      properties: {
+        amount: { type: 'string', maxLength: 32, pattern: '^\\d+(\\.\\d+)?$' },
+        currencyCode: { type: 'string', pattern: '^[A-Z]{3}$' },
+      },
+    },
+    quantity: { type: 'integer', minimum: 1, maximum: 9999, default: 1 },
+    attributes: { type: 'array', maxItems: 25, items: ref('AttributeInput') },
+    addedAt: { type: 'string', maxLength: 40 },
+  },
+};
+
+/** The whole wishlist, replacing the saved one */
+export const WISHLIST_BODY = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    items: { type: 'array', maxItems: WISHLIST_MAX_ITEMS, items: WISHLIST_ITEM },
+  },
+};
+
+/** Comma-separated variant GIDs, plus the market to price them in */
+export const VARIANTS_QUERY = {
+  type: 'object',
+  required: ['ids'],
+  properties: {
+    ids: {
+      type: 'string',
+      maxLength: 8000,
+      pattern: '^gid://shopify/ProductVariant/\\d+(,gid://shopify/ProductVariant/\\d+)*$',
+    },
+    ...MARKET_PARAMS,
+  },
+};
+
+/** SKUs to resolve, plus the market to price them in */
+export const VARIANT_LOOKUP_BODY = {
+  type: 'object',
+  required: ['skus'],
+  properties: {
+    skus: {
+      type: 'array',
+      minItems: 1,
+      maxItems: QUICK_ORDER_MAX_ROWS,
+      items: { type: 'string', minLength: 1, maxLength: 255, pattern: '\\S' },
+    },
+    ...MARKET_PARAMS,
+  },
+};
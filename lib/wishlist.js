@@ -0,0 +1,58 @@
+/**
+ * Wishlist items, shared by the wishlist context (lib/wishlistContext.js)
+ * and GET/PUT /api/account/wishlist.
+ *
+ * An item is a snapshot of a variant taken when it was saved — enough to
+ * list it without asking Shopify. The wishlist page looks up the current
+ * price and availability separately (GET /api/variants).
+ *
+ * @typedef {Object} WishlistItem
+ * @property {string} variantId - ProductVariant GID; one item per variant
+ * @property {string} productHandle
+ * @property {string} productTitle
+ * @property {string|null} variantTitle - null for single-variant products
+ * @property {string|null} imageUrl
+ * @property {string|null} imageAlt
+ * @property {Money|null} price - Unit price when saved
+ * @property {number} quantity
+ * @property {Array<{ key: string, value: string }>} attributes - e.g. lot requirements
+ * @property {string} addedAt - ISO timestamp
+ */
+
+/** Most items a wishlist holds (the customer metafield has to stay small) */
+export const WISHLIST_MAX_ITEMS = 100;
+
+/**
+ * Keep only the fields of a WishlistItem, with defaults for missing ones.
+ * @param {Object} item
+ * @returns {WishlistItem}
+ */
+export function toWishlistItem(item) {
+  const variantTitle = item.variantTitle;
+  return {
+    variantId: item.variantId,
+    productHandle: item.productHandle,
+    productTitle: item.productTitle,
+    variantTitle: variantTitle && variantTitle !== 'Default Title' ? variantTitle : null,
+    imageUrl: item.imageUrl || null,
+    imageAlt: item.imageAlt || null,
+    price: item.price ? { amount: item.price.amount, currencyCode: item.price.currencyCode } : null,
+    quantity: item.quantity || 1,
+    attributes: (item.attributes || []).map(({ key, value }) => ({ key, value })),
+    addedAt: item.addedAt || new Date().toISOString(),
+  };
+}
+
+/**
+ * Combine wishlists, one item per variant. Where lists share a variant the
+ * earlier list's item wins; the result is cut to WISHLIST_MAX_ITEMS.
+ * @param {...Array<WishlistItem>} lists
+ * @returns {Array<WishlistItem>}
+ */
+export function mergeWishlists(...lists) {
+  const byVariant = new Map();
+  for (const item of lists.flat()) {
+    if (!byVariant.has(item.variantId)) byVariant.set(item.variantId, item);
+  }
+  return [...byVariant.values()].slice(0, WISHLIST_MAX_ITEMS);
+}
@@ -0,0 +1,321 @@
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { useRouter } from 'next/router';
+import { translate } from '@/lib/i18n';
+import { fetchWithCsrf } from '@/lib/csrfFetch';
+import { useCart } from '@/lib/cartContext';
+import { useAccount } from '@/lib/accountContext';
+import { WISHLIST_MAX_ITEMS, mergeWishlists, toWishlistItem } from '@/lib/wishlist';
+
+const WishlistContext = createContext();
+
+/** localStorage key for guests' wishlists */
+const STORAGE_KEY = 'biophase_wishlist';
+
+/**
+ * Item shape: see WishlistItem in lib/wishlist.js.
+ *
+ * Guests' wishlists are kept in localStorage (and shared with their other
+ * tabs). A signed-in customer's wishlist is kept in their account (GET/PUT
+ * /api/account/wishlist), so it follows them between devices; whatever they
+ * saved as a guest on this browser is added to it when they sign in. Stores
+ * without an Admin API token can't save to accounts, so there everyone's
+ * wishlist stays in the browser.
+ *
+ * `items` changes straight away. Saving to the account happens in the
+ * background, one request at a time, always sending the whole list; if it
+ * fails the list goes back to what the account last confirmed.
+ */
+
+function readStoredItems() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? mergeWishlists(stored.map(toWishlistItem)) : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeStoredItems(items) {
+  try {
+    if (items.length > 0) {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch {
+    // Storage is full or disabled — the list lasts until the page is left
+  }
+}
+
+/**
+ * The signed-in customer's saved items.
+ * @returns {Promise<Array|null>} null when they can't be kept in the account
+ *   (no Admin API token, or the session has ended)
+ */
+async function fetchAccountWishlist() {
+  const res = await fetch('/api/account/wishlist');
+  if (res.status === 401 || res.status === 501) return null;
+  if (!res.ok) throw new Error('Failed to fetch wishlist');
+  const { items } = await res.json();
+  return items;
+}
+
+/** @returns {Promise<Array>} The items as saved */
+async function putAccountWishlist(items) {
+  const res = await fetchWithCsrf('/api/account/wishlist', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ items }),
+  });
+  if (!res.ok) throw new Error('Failed to save wishlist');
+  return (await res.json()).items;
+}
+
+export function WishlistProvider({ children }) {
+  const { locale } = useRouter();
+  const { customer } = useAccount();
+  const { addToCart, removeItem } = useCart();
+  const [items, setItems] = useState([]);
+  const [storage, setStorage] = useState(null); // 'browser' | 'account' once loaded
+  const [error, setError] = useState(null); // { key, values } of the message
+
+  // The list as last changed here, and as the account last confirmed it
+  const itemsRef = useRef(items);
+  const confirmedRef = useRef(items);
+  const storageRef = useRef(storage);
+  const queueRef = useRef(Promise.resolve());
+  const versionRef = useRef(0);
+
+  const show = useCallback((next) => {
+    itemsRef.current = next;
+    setItems(next);
+  }, []);
+
+  const changeStorage = useCallback((next) => {
+    storageRef.current = next;
+    setStorage(next);
+  }, []);
+
+  /**
+   * Save the whole list to the account. Only the latest list is sent: a
+   * request still waiting when another change comes in is skipped.
+   * @returns {Promise<boolean>} Whether the account has the list
+   */
+  const saveToAccount = useCallback((next) => {
+    const version = ++versionRef.current;
+    const run = async () => {
+      if (version !== versionRef.current) return true;
+      try {
+        const saved = await putAccountWishlist(next);
+        confirmedRef.current = saved;
+        if (version === versionRef.current) {
+          show(saved);
+          setError(null);
+        }
+        return true;
+      } catch {
+        if (version === versionRef.current) {
+          show(confirmedRef.current);
+          setError({ key: 'wishlist.saveFailed' });
+        }
+        return false;
+      }
+    };
+    const result = queueRef.current.then(run);
+    queueRef.current = result;
+    return result;
+  }, [show]);
+
+  // Load the list for whoever is browsing, once we know who that is
+  useEffect(() => {
+    if (customer === undefined) return;
+
+    let cancelled = false;
+    versionRef.current++;
+    setError(null);
+
+    if (!customer) {
+      const stored = readStoredItems();
+      confirmedRef.current = stored;
+      show(stored);
+      changeStorage('browser');
+      return;
+    }
+
+    changeStorage(null);
+    fetchAccountWishlist()
+      .then((saved) => {
+        if (cancelled) return;
+        const stored = readStoredItems();
+
+        if (!saved) {
+          confirmedRef.current = stored;
+          show(stored);
+          changeStorage('browser');
+          return;
+        }
+
+        // Bring along anything saved on this browser before signing in
+        const merged = mergeWishlists(saved, stored);
+        confirmedRef.current = saved;
+        show(merged);
+        changeStorage('account');
+        if (merged.length > saved.length) {
+          saveToAccount(merged).then((ok) => ok && writeStoredItems([]));
+        } else {
+          writeStoredItems([]);
+        }
+      })
+      .catch(() => {
+        // Keep saving on this browser; it's merged in on a later visit
+        if (cancelled) return;
+        const stored = readStoredItems();
+        confirmedRef.current = stored;
+        show(stored);
+        changeStorage('browser');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [customer, show, changeStorage, saveToAccount]);
+
+  // Keep guests' tabs in step with each other
+  useEffect(() => {
+    function onStorage(event) {
+      if (event.key !== STORAGE_KEY || storageRef.current !== 'browser') return;
+      const stored = readStoredItems();
+      confirmedRef.current = stored;
+      show(stored);
+    }
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, [show]);
+
+  /**
+   * Replace the list and save it where it's kept.
+   * @returns {Promise<boolean>} Whether it was saved
+   */
+  const commit = useCallback((next) => {
+    show(next);
+    if (storageRef.current === 'account') return saveToAccount(next);
+
+    writeStoredItems(next);
+    confirmedRef.current = next;
+    setError(null);
+    return Promise.resolve(true);
+  }, [show, saveToAccount]);
+
+  /**
+   * Save an item, or update its quantity and attributes if it's already
+   * saved. Newest items come first.
+   * @param {WishlistItem} item
+   * @returns {Promise<boolean>} Whether it was saved
+   */
+  const saveItem = useCallback((item) => {
+    const current = itemsRef.current;
+    const existing = current.find((i) => i.variantId === item.variantId);
+
+    if (!existing && current.length >= WISHLIST_MAX_ITEMS) {
+      setError({ key: 'wishlist.full', values: { count: WISHLIST_MAX_ITEMS } });
+      return Promise.resolve(false);
+    }
+    const saved = { ...item, addedAt: existing?.addedAt || item.addedAt };
+    return commit(mergeWishlists([saved], current));
+  }, [commit]);
+
+  /**
+   * Save a product variant, e.g. from a product card or the product page.
+   * @param {Object} product - Transformed product (needs title, handle, image)
+   * @param {Object} variant - Transformed variant (needs id, title, price)
+   * @param {number} quantity - Quantity to save (default 1)
+   * @param {Array<{key: string, value: string}>} attributes - Optional line attributes
+   * @returns {Promise<boolean>} Whether it was saved
+   */
+  const handleSave = useCallback((product, variant, quantity = 1, attributes = []) => {
+    return saveItem(toWishlistItem({
+      variantId: variant.id,
+      productHandle: product.handle,
+      productTitle: product.title,
+      variantTitle: variant.title,
+      imageUrl: product.image?.url,
+      imageAlt: product.image?.altText || product.title,
+      price: variant.price,
+      quantity,
+      attributes,
+    }));
+  }, [saveItem]);
+
+  /**
+   * @param {string} variantId
+   * @returns {Promise<boolean>} Whether the change was saved
+   */
+  const handleRemove = useCallback((variantId) => {
+    return commit(itemsRef.current.filter((i) => i.variantId !== variantId));
+  }, [commit]);
+
+  /**
+   * Move a cart line to the wishlist: it's saved first and only then
+   * removed from the cart, so it can't get lost in between.
+   * @param {Object} cartItem - Item from useCart()
+   * @returns {Promise<boolean>} Whether it was moved
+   */
+  const handleSaveForLater = useCallback(async (cartItem) => {
+    const saved = await saveItem(toWishlistItem({
+      ...cartItem,
+      price: { amount: cartItem.price, currencyCode: cartItem.currencyCode },
+    }));
+    return saved && removeItem(cartItem.id);
+  }, [saveItem, removeItem]);
+
+  /**
+   * Move a saved item to the cart, taking it off the wishlist once Shopify
+   * has added it.
+   * @param {WishlistItem} item
+   * @param {Object} variant - The variant as it is now (from GET /api/variants),
+   *   for the price shown until Shopify confirms
+   * @returns {Promise<boolean>} Whether it was moved
+   */
+  const handleMoveToCart = useCallback(async (item, variant) => {
+    const product = {
+      title: variant.product.title,
+      handle: variant.product.handle,
+      image: variant.image,
+    };
+    const added = await addToCart(product, variant, item.quantity, item.attributes);
+    if (added) await handleRemove(item.variantId);
+    return added;
+  }, [addToCart, handleRemove]);
+
+  const isSaved = useCallback(
+    (variantId) => items.some((i) => i.variantId === variantId),
+    [items]
+  );
+
+  const value = {
+    items,
+    count: items.length,
+    loading: storage === null,
+    // Whether the list is kept in the customer's account rather than this browser
+    synced: storage === 'account',
+    error: error && translate(locale, error.key, error.values),
+    isSaved,
+    save: handleSave,
+    remove: handleRemove,
+    saveForLater: handleSaveForLater,
+    moveToCart: handleMoveToCart,
+  };
+
+  return <WishlistContext.Provider value={value}>{children}</WishlistContext.Provider>;
+}
+
+/**
+ * Hook to access the wishlist and its actions
+ */
+export function useWishlist() {
+  const context = useContext(WishlistContext);
+  if (!context) {
+    throw new Error('useWishlist must be used within a WishlistProvider');
+  }
+  return context;
+}
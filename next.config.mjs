@@ -1,6 +1,18 @@
+import securityHeaderConfig from './shared/security/headers.js';
+
+const { STOREFRONT_CSP, API_CSP, securityHeaders } = securityHeaderConfig;
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
+  // One locale per market, pairing a country with a language (see
+  // lib/markets.js — keep the lists in sync). US buyers get the unprefixed
+  // URLs; others browse under e.g. /fr-CA.
+  i18n: {
+    locales: ['en-US', 'en-CA', 'fr-CA', 'en-GB', 'de-DE', 'fr-FR'],
+    defaultLocale: 'en-US',
+    localeDetection: false,
+  },
   images: {
     remotePatterns: [
       {
@@ -12,6 +24,21 @@ const nextConfig = {
     loader: 'custom',
     loaderFile: './lib/imageLoader.js',
   },
+  // CSP, HSTS (production only) and framing/sniffing protection; see
+  // shared/security/headers.js. API routes return JSON and get a CSP that
+  // loads nothing.
+  async headers() {
+    return [
+      {
+        source: '/:path((?!api/).*)',
+        headers: securityHeaders(STOREFRONT_CSP),
+      },
+      {
+        source: '/api/:path*',
+        headers: securityHeaders(API_CSP),
+      },
+    ];
+  },
 };
 
 export default nextConfig;
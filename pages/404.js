@@ -1,23 +1,25 @@
 import Head from 'next/head';
 import Link from 'next/link';
+import { useTranslation } from '@/lib/i18n';
 
 export default function Custom404() {
+  const { t } = useTranslation();
+
   return (
     <>
       <Head>
-        <title>Page Not Found — BioPhase Solutions</title>
-        <meta name="description" content="The page you're looking for doesn't exist or has been moved." />
+        <title>{t('notFound.metaTitle')}</title>
+        <meta name="description" content={t('notFound.description')} />
       </Head>
 
       <div className="text-center py-5 fade-in">
         <h1 className="display-1 fw-bold text-primary mb-0">404</h1>
-        <h2 className="h4 text-dark mb-3">Page Not Found</h2>
+        <h2 className="h4 text-dark mb-3">{t('notFound.heading')}</h2>
         <p className="text-muted mb-4 mx-auto" style={{ maxWidth: '420px' }}>
-          The page you&apos;re looking for doesn&apos;t exist or has been moved.
-          Let&apos;s get you back on track.
+          {t('notFound.description')} {t('notFound.backOnTrack')}
         </p>
         <Link href="/" className="btn btn-primary px-4">
-          Browse Products
+          {t('notFound.browse')}
         </Link>
       </div>
     </>
@@ -1,22 +1,34 @@
 import '@/styles/bootstrap-overrides.scss';
 import '@/styles/globals.css';
 import Head from 'next/head';
+import { useRouter } from 'next/router';
 import Layout from '@/components/Layout';
 import { CartProvider } from '@/lib/cartContext';
+import { AccountProvider } from '@/lib/accountContext';
+import { WishlistProvider } from '@/lib/wishlistContext';
 import ErrorBoundary from '@/components/ErrorBoundary';
 
 export default function App({ Component, pageProps }) {
+  const { locale } = useRouter();
+
   return (
     <>
       <Head>
         <meta name="viewport" content="width=device-width, initial-scale=1" />
       </Head>
-      <CartProvider>
-        <ErrorBoundary>
-          <Layout>
-            <Component {...pageProps} />
-          </Layout>
-        </ErrorBoundary>
+      {/* Server-rendered pages pass the session's cart (lib/cartSession.js);
+          account pages also pass the signed-in customer */}
+      <CartProvider initialCart={pageProps.initialCart}>
+        <AccountProvider initialCustomer={pageProps.initialCustomer}>
+          <WishlistProvider>
+            <ErrorBoundary>
+              <Layout>
+                {/* Remount on market switch so no page keeps prices from the old one */}
+                <Component key={locale} {...pageProps} />
+              </Layout>
+            </ErrorBoundary>
+          </WishlistProvider>
+        </AccountProvider>
       </CartProvider>
     </>
   );
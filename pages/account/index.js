@@ -0,0 +1,143 @@
+import { useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { Button, Alert } from 'react-bootstrap';
+import { getCustomer } from '@/shared/storefront';
+import { getCartSessionProps } from '@/lib/cartSession';
+import { ORDERS_PAGE_SIZE, getCustomerToken, setCustomerToken } from '@/lib/customerSession';
+import { useAccount } from '@/lib/accountContext';
+import { useTranslation, translate } from '@/lib/i18n';
+import { EmptyState } from '@/components/LoadingStates';
+import OrderCard from '@/components/OrderCard';
+
+export default function Account({ orders: initialOrders, pageInfo: initialPageInfo, error }) {
+  const { t } = useTranslation();
+  const { customer } = useAccount();
+  const [orders, setOrders] = useState(initialOrders);
+  const [pageInfo, setPageInfo] = useState(initialPageInfo);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+
+  /** Append the next cursor page of orders */
+  async function handleLoadMore() {
+    if (!pageInfo?.hasNextPage || loadingMore) return;
+    setLoadingMore(true);
+    setLoadError(null);
+
+    try {
+      const params = new URLSearchParams({ after: pageInfo.endCursor });
+      const res = await fetch(`/api/account/orders?${params}`);
+      if (!res.ok) throw new Error(t('account.orders.loadMoreFailed'));
+      const data = await res.json();
+      setOrders((prev) => [...prev, ...data.orders]);
+      setPageInfo(data.pageInfo);
+    } catch (err) {
+      setLoadError(err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  return (
+    <>
+      <Head>
+        <title>{t('account.metaTitle')}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="fade-in">
+        <div className="d-flex flex-wrap align-items-baseline gap-3 mb-4">
+          <h1 className="h3 mb-0 me-auto">{t('account.heading')}</h1>
+          {customer && (
+            <span className="text-muted">{t('account.signedInAs', { email: customer.email })}</span>
+          )}
+          <Link href="/account/logout" className="btn btn-sm btn-outline-secondary">
+            {t('account.signOut')}
+          </Link>
+        </div>
+
+        <h2 className="h5 mb-3">{t('account.orders.heading')}</h2>
+
+        {error ? (
+          <Alert variant="danger">{error}</Alert>
+        ) : orders.length === 0 ? (
+          <EmptyState
+            title={t('account.orders.empty')}
+            action={
+              <Link href="/" className="btn btn-primary">
+                {t('cart.continueShopping')}
+              </Link>
+            }
+          />
+        ) : (
+          <>
+            {orders.map((order) => (
+              <OrderCard key={order.id} order={order} />
+            ))}
+
+            {loadError && (
+              <Alert variant="danger" className="mt-3">
+                {loadError}
+              </Alert>
+            )}
+
+            {pageInfo?.hasNextPage && (
+              <div className="text-center mt-4">
+                <Button variant="outline-primary" onClick={handleLoadMore} disabled={loadingMore}>
+                  {loadingMore ? t('common.loading') : t('account.orders.loadMore')}
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </>
+  );
+}
+
+export async function getServerSideProps({ req, res, locale, defaultLocale }) {
+  const signIn = {
+    redirect: {
+      destination: `${locale === defaultLocale ? '' : `/${locale}`}/account/login?returnTo=/account`,
+      permanent: false,
+    },
+  };
+
+  const customerAccessToken = getCustomerToken(req);
+  if (!customerAccessToken) return signIn;
+
+  // Loaded alongside the account so the Navbar shows the cart on first paint
+  const cartProps = getCartSessionProps({ req, res });
+
+  try {
+    const customer = await getCustomer(customerAccessToken, { orders: ORDERS_PAGE_SIZE });
+
+    if (!customer) {
+      setCustomerToken(res, null);
+      return signIn;
+    }
+
+    const { orders, ordersPageInfo, ...profile } = customer;
+    res.setHeader('Cache-Control', 'private, no-store');
+    return {
+      props: {
+        ...(await cartProps),
+        initialCustomer: profile,
+        orders,
+        pageInfo: ordersPageInfo,
+        error: null,
+      },
+    };
+  } catch (error) {
+    console.error('Error loading account:', error);
+    // The session may still be fine; show the page without orders
+    return {
+      props: {
+        ...(await cartProps),
+        orders: [],
+        pageInfo: null,
+        error: translate(locale, 'account.loadFailed'),
+      },
+    };
+  }
+}
@@ -0,0 +1,90 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { Form, Button, Alert } from 'react-bootstrap';
+import { useAccount, getReturnTo } from '@/lib/accountContext';
+import { useTranslation } from '@/lib/i18n';
+
+export default function Login() {
+  const router = useRouter();
+  const { t } = useTranslation();
+  const { customer, login } = useAccount();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Already signed in (or just signed in): carry on to where they were going
+  useEffect(() => {
+    if (customer) router.replace(getReturnTo(router.query));
+  }, [customer, router]);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    const failure = await login(email.trim(), password);
+    if (failure) {
+      setError(failure);
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <>
+      <Head>
+        <title>{t('login.metaTitle')}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="fade-in mx-auto" style={{ maxWidth: '420px' }}>
+        <h1 className="h3 mb-4">{t('login.heading')}</h1>
+
+        {error && (
+          <Alert variant="danger" role="alert">
+            {error}
+          </Alert>
+        )}
+
+        <Form onSubmit={handleSubmit}>
+          <Form.Group className="mb-3" controlId="login-email">
+            <Form.Label>{t('login.email')}</Form.Label>
+            <Form.Control
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              autoComplete="email"
+              required
+            />
+          </Form.Group>
+          <Form.Group className="mb-2" controlId="login-password">
+            <Form.Label>{t('login.password')}</Form.Label>
+            <Form.Control
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              required
+            />
+          </Form.Group>
+          <div className="mb-4">
+            <Link href="/account/recover" className="small">
+              {t('login.forgotPassword')}
+            </Link>
+          </div>
+          <Button type="submit" variant="primary" className="w-100" disabled={submitting}>
+            {submitting ? t('login.submitting') : t('login.submit')}
+          </Button>
+        </Form>
+
+        <p className="text-muted text-center mt-4 mb-0">
+          {t('login.noAccount')}{' '}
+          <Link href={{ pathname: '/account/register', query: router.query }}>
+            {t('login.createAccount')}
+          </Link>
+        </p>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,54 @@
+import { useState, useEffect, useRef } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { Spinner } from 'react-bootstrap';
+import { useAccount } from '@/lib/accountContext';
+import { useTranslation } from '@/lib/i18n';
+
+/**
+ * Signs the customer out as soon as the page loads (the Navbar and account
+ * page link here), then confirms it.
+ */
+export default function Logout() {
+  const { t } = useTranslation();
+  const { logout } = useAccount();
+  const [signedOut, setSignedOut] = useState(false);
+  const startedRef = useRef(false);
+
+  useEffect(() => {
+    if (startedRef.current) return;
+    startedRef.current = true;
+    logout().then(() => setSignedOut(true));
+  }, [logout]);
+
+  return (
+    <>
+      <Head>
+        <title>{t('logout.metaTitle')}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="fade-in text-center py-5">
+        {signedOut ? (
+          <>
+            <h1 className="h3">{t('logout.heading')}</h1>
+            <p className="text-muted mb-4">{t('logout.message')}</p>
+            <div className="d-flex justify-content-center gap-2">
+              <Link href="/account/login" className="btn btn-outline-primary">
+                {t('logout.signIn')}
+              </Link>
+              <Link href="/" className="btn btn-primary">
+                {t('logout.continueShopping')}
+              </Link>
+            </div>
+          </>
+        ) : (
+          <div className="text-muted" role="status">
+            <Spinner animation="border" size="sm" className="me-2" />
+            {t('logout.signingOut')}
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { Form, Button, Alert } from 'react-bootstrap';
+import { useAccount } from '@/lib/accountContext';
+import { useTranslation } from '@/lib/i18n';
+
+/**
+ * Password recovery: Shopify emails a reset link, which leads to the
+ * store's own password reset page.
+ */
+export default function Recover() {
+  const { t } = useTranslation();
+  const { recover } = useAccount();
+  const [email, setEmail] = useState('');
+  const [sentTo, setSentTo] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const trimmed = email.trim();
+    setSubmitting(true);
+    setError(null);
+    const failure = await recover(trimmed);
+    setSubmitting(false);
+    if (failure) {
+      setError(failure);
+    } else {
+      setSentTo(trimmed);
+    }
+  }
+
+  return (
+    <>
+      <Head>
+        <title>{t('recover.metaTitle')}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="fade-in mx-auto" style={{ maxWidth: '420px' }}>
+        <h1 className="h3 mb-3">{t('recover.heading')}</h1>
+
+        {sentTo ? (
+          <Alert variant="success" role="status">
+            {t('recover.sent', { email: sentTo })}
+          </Alert>
+        ) : (
+          <>
+            <p className="text-muted">{t('recover.intro')}</p>
+
+            {error && (
+              <Alert variant="danger" role="alert">
+                {error}
+              </Alert>
+            )}
+
+            <Form onSubmit={handleSubmit}>
+              <Form.Group className="mb-4" controlId="recover-email">
+                <Form.Label>{t('recover.email')}</Form.Label>
+                <Form.Control
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  autoComplete="email"
+                  required
+                />
+              </Form.Group>
+              <Button type="submit" variant="primary" className="w-100" disabled={submitting}>
+                {submitting ? t('recover.submitting') : t('recover.submit')}
+              </Button>
+            </Form>
+          </>
+        )}
+
+        <p className="text-center mt-4 mb-0">
+          <Link href="/account/login">{t('recover.backToSignIn')}</Link>
+        </p>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { Form, Button, Alert, Row, Col } from 'react-bootstrap';
+import { useAccount, getReturnTo } from '@/lib/accountContext';
+import { useTranslation } from '@/lib/i18n';
+
+export default function Register() {
+  const router = useRouter();
+  const { t } = useTranslation();
+  const { customer, register } = useAccount();
+  const [fields, setFields] = useState({
+    firstName: '',
+    lastName: '',
+    email: '',
+    password: '',
+    acceptsMarketing: false,
+  });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Already signed in (or just registered): carry on to where they were going
+  useEffect(() => {
+    if (customer) router.replace(getReturnTo(router.query));
+  }, [customer, router]);
+
+  function handleChange(e) {
+    const { name, type, checked, value } = e.target;
+    setFields((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    const failure = await register({
+      ...fields,
+      firstName: fields.firstName.trim(),
+      lastName: fields.lastName.trim(),
+      email: fields.email.trim(),
+    });
+    if (failure) {
+      setError(failure);
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <>
+      <Head>
+        <title>{t('register.metaTitle')}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="fade-in mx-auto" style={{ maxWidth: '480px' }}>
+        <h1 className="h3 mb-4">{t('register.heading')}</h1>
+
+        {error && (
+          <Alert variant="danger" role="alert">
+            {error}
+          </Alert>
+        )}
+
+        <Form onSubmit={handleSubmit}>
+          <Row className="g-3 mb-3">
+            <Col sm={6}>
+              <Form.Group controlId="register-first-name">
+                <Form.Label>{t('register.firstName')}</Form.Label>
+                <Form.Control
+                  name="firstName"
+                  value={fields.firstName}
+                  onChange={handleChange}
+                  autoComplete="given-name"
+                  maxLength={255}
+                />
+              </Form.Group>
+            </Col>
+            <Col sm={6}>
+              <Form.Group controlId="register-last-name">
+                <Form.Label>{t('register.lastName')}</Form.Label>
+                <Form.Control
+                  name="lastName"
+                  value={fields.lastName}
+                  onChange={handleChange}
+                  autoComplete="family-name"
+                  maxLength={255}
+                />
+              </Form.Group>
+            </Col>
+          </Row>
+          <Form.Group className="mb-3" controlId="register-email">
+            <Form.Label>{t('register.email')}</Form.Label>
+            <Form.Control
+              type="email"
+              name="email"
+              value={fields.email}
+              onChange={handleChange}
+              autoComplete="email"
+              required
+            />
+          </Form.Group>
+          <Form.Group className="mb-3" controlId="register-password">
+            <Form.Label>{t('register.password')}</Form.Label>
+            <Form.Control
+              type="password"
+              name="password"
+              value={fields.password}
+              onChange={handleChange}
+              autoComplete="new-password"
+              minLength={5}
+              maxLength={100}
+              required
+              aria-describedby="register-password-hint"
+            />
+            <Form.Text id="register-password-hint" muted>
+              {t('register.passwordHint')}
+            </Form.Text>
+          </Form.Group>
+          <Form.Check
+            className="mb-4"
+            id="register-accepts-marketing"
+            name="acceptsMarketing"
+            checked={fields.acceptsMarketing}
+            onChange={handleChange}
+            label={t('register.acceptsMarketing')}
+          />
+          <Button type="submit" variant="primary" className="w-100" disabled={submitting}>
+            {submitting ? t('register.submitting') : t('register.submit')}
+          </Button>
+        </Form>
+
+        <p className="text-muted text-center mt-4 mb-0">
+          {t('register.haveAccount')}{' '}
+          <Link href={{ pathname: '/account/login', query: router.query }}>
+            {t('register.signIn')}
+          </Link>
+        </p>
+      </div>
+    </>
+  );
+}
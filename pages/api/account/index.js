@@ -0,0 +1,46 @@
+/**
+ * GET /api/account
+ *
+ * The signed-in customer's profile (see lib/customerSession.js).
+ *
+ * Response:
+ *   200 { customer: { id, firstName, lastName, displayName, email } }
+ *   401 UNAUTHENTICATED when nobody is signed in or the session has expired
+ */
+import { getCustomer } from '@/shared/storefront';
+import { sendApiError } from '@/lib/apiErrors';
+import { enforceRateLimit } from '@/lib/apiSecurity';
+import { getCustomerToken, sendNotSignedIn } from '@/lib/customerSession';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  if (!enforceRateLimit(req, res, 'account')) {
+    return;
+  }
+
+  const customerAccessToken = getCustomerToken(req);
+
+  if (!customerAccessToken) {
+    return sendNotSignedIn(res);
+  }
+
+  try {
+    const customer = await getCustomer(customerAccessToken);
+
+    if (!customer) {
+      return sendNotSignedIn(res);
+    }
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.status(200).json({ customer });
+  } catch (error) {
+    console.error('Account fetch error:', error.message);
+    return sendApiError(res, error, 'Failed to fetch account');
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * POST /api/account/login
+ *
+ * Signs a customer in: the customer access token from Shopify is kept in
+ * the session (see lib/customerSession.js) and the session's cart, if any,
+ * is attached to the customer so checkout is prefilled.
+ *
+ * Requires the X-CSRF-Token header from GET /api/csrf.
+ *
+ * Request body:
+ *   { email: "buyer@example.com", password: "..." }
+ *
+ * Response:
+ *   200 { customer: { id, firstName, lastName, displayName, email } }
+ *   422 UNIDENTIFIED_CUSTOMER for a wrong email or password
+ */
+import { customerAccessTokenCreate, getCustomer } from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { enforceCsrf, enforceRateLimit } from '@/lib/apiSecurity';
+import { attachCustomerToSessionCart, setCustomerToken } from '@/lib/customerSession';
+import { ACCOUNT_LOGIN_BODY } from '@/lib/requestSchemas';
+
+export const config = { api: { bodyParser: { sizeLimit: '32kb' } } };
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  if (!enforceRateLimit(req, res, 'account') || !enforceCsrf(req, res)) {
+    return;
+  }
+
+  const { value: body, errors } = validate(ACCOUNT_LOGIN_BODY, req.body ?? {});
+
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  try {
+    const token = await customerAccessTokenCreate(body.email, body.password);
+    const customer = await getCustomer(token.accessToken);
+
+    setCustomerToken(res, token);
+    await attachCustomerToSessionCart(req, res, token.accessToken);
+    return res.status(200).json({ customer });
+  } catch (error) {
+    console.error('Account login error:', error.message);
+    return sendApiError(res, error, 'Failed to sign in');
+  }
+}
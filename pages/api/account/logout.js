@@ -0,0 +1,42 @@
+/**
+ * POST /api/account/logout
+ *
+ * Signs the customer out: their access token is deleted at Shopify and the
+ * session forgets it. The session's cart is left alone; the storefront
+ * clears it separately (see pages/account/logout.js).
+ *
+ * Requires the X-CSRF-Token header from GET /api/csrf.
+ *
+ * Response:
+ *   204 No Content (also when nobody was signed in)
+ */
+import { customerAccessTokenDelete } from '@/shared/storefront';
+import { enforceCsrf, enforceRateLimit } from '@/lib/apiSecurity';
+import { getCustomerToken, setCustomerToken } from '@/lib/customerSession';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  if (!enforceRateLimit(req, res, 'account') || !enforceCsrf(req, res)) {
+    return;
+  }
+
+  const customerAccessToken = getCustomerToken(req);
+  setCustomerToken(res, null);
+
+  if (customerAccessToken) {
+    try {
+      await customerAccessTokenDelete(customerAccessToken);
+    } catch (error) {
+      // The session has forgotten the token either way; it expires on its own
+      console.error('Account logout error:', error.message);
+    }
+  }
+
+  return res.status(204).end();
+}
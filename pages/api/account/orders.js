@@ -0,0 +1,64 @@
+/**
+ * GET /api/account/orders?after=<cursor>
+ *
+ * A page of the signed-in customer's orders, newest first, with line items
+ * and fulfillment status. Pass `pageInfo.endCursor` as `after` for the next
+ * page.
+ *
+ * Response:
+ *   200 {
+ *     orders: [{ id, name, orderNumber, processedAt, canceledAt,
+ *       financialStatus, fulfillmentStatus, statusUrl, totalPrice,
+ *       lineItems: [{ title, quantity, currentQuantity, originalTotalPrice, variant }] }],
+ *     pageInfo: { hasNextPage, endCursor, ... }
+ *   }
+ *   401 UNAUTHENTICATED when nobody is signed in or the session has expired
+ */
+import { getCustomer } from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { enforceRateLimit } from '@/lib/apiSecurity';
+import { ORDERS_PAGE_SIZE, getCustomerToken, sendNotSignedIn } from '@/lib/customerSession';
+import { ACCOUNT_ORDERS_QUERY } from '@/lib/requestSchemas';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  if (!enforceRateLimit(req, res, 'account')) {
+    return;
+  }
+
+  const { value: query, errors } = validate(ACCOUNT_ORDERS_QUERY, req.query);
+
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const customerAccessToken = getCustomerToken(req);
+
+  if (!customerAccessToken) {
+    return sendNotSignedIn(res);
+  }
+
+  try {
+    const customer = await getCustomer(customerAccessToken, {
+      orders: ORDERS_PAGE_SIZE,
+      after: query.after || null,
+    });
+
+    if (!customer) {
+      return sendNotSignedIn(res);
+    }
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.status(200).json({ orders: customer.orders, pageInfo: customer.ordersPageInfo });
+  } catch (error) {
+    console.error('Account orders error:', error.message);
+    return sendApiError(res, error, 'Failed to fetch orders');
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * POST /api/account/recover
+ *
+ * Asks Shopify to email a password reset link. The response is the same
+ * whether or not the email has an account, so the form can't be used to
+ * find out who shops here.
+ *
+ * Requires the X-CSRF-Token header from GET /api/csrf.
+ *
+ * Request body:
+ *   { email: "buyer@example.com" }
+ *
+ * Response:
+ *   204 No Content
+ */
+import { customerRecover } from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { enforceCsrf, enforceRateLimit } from '@/lib/apiSecurity';
+import { ACCOUNT_RECOVER_BODY } from '@/lib/requestSchemas';
+
+export const config = { api: { bodyParser: { sizeLimit: '32kb' } } };
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  if (!enforceRateLimit(req, res, 'account') || !enforceCsrf(req, res)) {
+    return;
+  }
+
+  const { value: body, errors } = validate(ACCOUNT_RECOVER_BODY, req.body ?? {});
+
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  try {
+    await customerRecover(body.email);
+    return res.status(204).end();
+  } catch (error) {
+    if (error.code === 'UNIDENTIFIED_CUSTOMER') {
+      return res.status(204).end();
+    }
+    console.error('Account recover error:', error.message);
+    return sendApiError(res, error, 'Failed to send the password reset email');
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * POST /api/account/register
+ *
+ * Creates a customer account and signs the new customer in, as
+ * POST /api/account/login does.
+ *
+ * Requires the X-CSRF-Token header from GET /api/csrf.
+ *
+ * Request body:
+ *   {
+ *     email: "buyer@example.com",
+ *     password: "...",          // at least 5 characters
+ *     firstName: "Ada",         // optional
+ *     lastName: "Lovelace",     // optional
+ *     acceptsMarketing: false   // optional
+ *   }
+ *
+ * Response:
+ *   201 { customer: { id, firstName, lastName, displayName, email } }
+ *   422 TAKEN if the email already has an account; CUSTOMER_DISABLED if it
+ *       has an account that hasn't been activated (Shopify emails an invite)
+ */
+import { customerAccessTokenCreate, customerCreate } from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { enforceCsrf, enforceRateLimit } from '@/lib/apiSecurity';
+import { attachCustomerToSessionCart, setCustomerToken } from '@/lib/customerSession';
+import { ACCOUNT_REGISTER_BODY } from '@/lib/requestSchemas';
+
+export const config = { api: { bodyParser: { sizeLimit: '32kb' } } };
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  if (!enforceRateLimit(req, res, 'account') || !enforceCsrf(req, res)) {
+    return;
+  }
+
+  const { value: body, errors } = validate(ACCOUNT_REGISTER_BODY, req.body ?? {});
+
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  try {
+    const customer = await customerCreate(body);
+    const token = await customerAccessTokenCreate(body.email, body.password);
+
+    setCustomerToken(res, token);
+    await attachCustomerToSessionCart(req, res, token.accessToken);
+    return res.status(201).json({ customer });
+  } catch (error) {
+    console.error('Account register error:', error.message);
+    return sendApiError(res, error, 'Failed to create account');
+  }
+}
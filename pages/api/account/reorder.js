@@ -0,0 +1,143 @@
+/**
+ * POST /api/account/reorder
+ *
+ * Adds the items of one of the signed-in customer's past orders to the
+ * session's cart (see lib/cartSession.js), creating a cart in the given
+ * market if the session has none. Items that can no longer be bought are
+ * left out, and items whose price changed since the order are reported.
+ * The summary is read from the cart Shopify returns: units it couldn't add
+ * (e.g. not enough stock) are listed as unavailable.
+ *
+ * Requires the X-CSRF-Token header from GET /api/csrf.
+ *
+ * Request body:
+ *   {
+ *     orderId: "gid://shopify/Order/123?key=...",  // from GET /api/account/orders
+ *     countryCode: "CA",  // optional; market for a new cart
+ *     languageCode: "FR"  // optional; checkout language for a new cart
+ *   }
+ *
+ * Response:
+ *   200 {
+ *     cart: { id, checkoutUrl, totalQuantity, cost, lines },
+ *     reorder: {
+ *       orderName: "#1001",
+ *       added: [{ title, variantTitle, quantity }],
+ *       unavailable: [{ title, variantTitle, quantity }],
+ *       repriced: [{ title, variantTitle, quantity, previousPrice, price }]
+ *     }
+ *   }
+ *   401 UNAUTHENTICATED when nobody is signed in or the session has expired
+ *   404 ORDER_NOT_FOUND if the order isn't one of the customer's
+ *   422 NOTHING_TO_REORDER if none of the order's items can be bought now
+ *     (the cart is left as it was)
+ */
+import { cartCreate, cartLinesAdd, getCart, getCustomerOrder } from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { CART_MARKET_PARAMS, resolveMarketParams } from '@/lib/markets';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { enforceCsrf, enforceRateLimit } from '@/lib/apiSecurity';
+import { getSessionCartId, setSessionCartId } from '@/lib/cartSession';
+import { getCustomerToken, sendNotSignedIn } from '@/lib/customerSession';
+import { planReorder, summarizeReorder } from '@/lib/reorder';
+import { ACCOUNT_REORDER_BODY } from '@/lib/requestSchemas';
+
+export const config = { api: { bodyParser: { sizeLimit: '32kb' } } };
+
+function sendNothingToReorder(res) {
+  return res.status(422).json({
+    error: {
+      message: 'None of the items in this order are available any more',
+      status: 422,
+      code: 'NOTHING_TO_REORDER',
+    },
+  });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  if (!enforceRateLimit(req, res, 'cart') || !enforceCsrf(req, res)) {
+    return;
+  }
+
+  const { value: body, errors } = validate(ACCOUNT_REORDER_BODY, req.body ?? {});
+
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const { orderId } = body;
+  const market = resolveMarketParams(res, body, CART_MARKET_PARAMS);
+
+  if (market === false) {
+    return;
+  }
+
+  const customerAccessToken = getCustomerToken(req);
+
+  if (!customerAccessToken) {
+    return sendNotSignedIn(res);
+  }
+
+  try {
+    const order = await getCustomerOrder(customerAccessToken, orderId);
+
+    if (!order) {
+      return sendNotSignedIn(res);
+    }
+
+    const { lines, items, unavailable } = planReorder(order);
+
+    if (lines.length === 0) {
+      return sendNothingToReorder(res);
+    }
+
+    // The cart as it was, to tell what Shopify actually added
+    const cartId = getSessionCartId(req);
+    let previous = cartId ? await getCart(cartId) : null;
+    let cart = null;
+
+    if (previous) {
+      try {
+        cart = await cartLinesAdd(previous.id, lines);
+      } catch (error) {
+        // Expired or checked out since — start a new cart below
+        if (error.code !== 'CART_NOT_FOUND') throw error;
+        previous = null;
+      }
+    }
+
+    if (!cart) {
+      cart = await cartCreate(lines, {
+        countryCode: market?.country || null,
+        languageCode: market?.language || null,
+        customerAccessToken,
+      });
+    }
+
+    const summary = summarizeReorder(items, previous, cart);
+
+    if (summary.added.length === 0) {
+      return sendNothingToReorder(res);
+    }
+
+    setSessionCartId(res, cart.id);
+    return res.status(200).json({
+      cart,
+      reorder: {
+        orderName: order.name,
+        ...summary,
+        unavailable: [...unavailable, ...summary.unavailable],
+      },
+    });
+  } catch (error) {
+    console.error('Account reorder error:', error.message);
+    return sendApiError(res, error, 'Failed to reorder');
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * GET /api/account/wishlist
+ *
+ * The signed-in customer's saved items, kept in a customer metafield
+ * (custom.wishlist) so they follow the customer between devices. Guests'
+ * wishlists stay in the browser (see lib/wishlistContext.js).
+ *
+ * Response:
+ *   200 { items: [{ variantId, productHandle, productTitle, variantTitle,
+ *     imageUrl, imageAlt, price, quantity, attributes, addedAt }] }
+ *
+ * PUT /api/account/wishlist
+ *
+ * Replaces the saved items. Items for the same variant are combined (the
+ * first one is kept). Requires the X-CSRF-Token header from GET /api/csrf.
+ *
+ * Request body:
+ *   { items: [...] }  // at most 100, in the shape above
+ *
+ * Response:
+ *   200 { items: [...] }
+ *
+ * Either method:
+ *   401 UNAUTHENTICATED when nobody is signed in or the session has expired
+ *   501 WISHLIST_SYNC_UNAVAILABLE when SHOPIFY_ADMIN_ACCESS_TOKEN isn't set
+ *       (customer metafields can only be written through the Admin API)
+ */
+import {
+  getCustomer,
+  getCustomerMetafield,
+  hasAdminAccess,
+  setCustomerMetafield,
+} from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { enforceCsrf, enforceRateLimit } from '@/lib/apiSecurity';
+import { getCustomerToken, sendNotSignedIn } from '@/lib/customerSession';
+import { mergeWishlists, toWishlistItem } from '@/lib/wishlist';
+import { WISHLIST_BODY } from '@/lib/requestSchemas';
+
+export const config = { api: { bodyParser: { sizeLimit: '128kb' } } };
+
+const METAFIELD_NAMESPACE = 'custom';
+const METAFIELD_KEY = 'wishlist';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    res.setHeader('Allow', 'GET, PUT');
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  if (!enforceRateLimit(req, res, 'account') || !enforceCsrf(req, res)) {
+    return;
+  }
+
+  let items = null;
+
+  if (req.method === 'PUT') {
+    const { value: body, errors } = validate(WISHLIST_BODY, req.body ?? {});
+
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+    items = mergeWishlists(body.items.map(toWishlistItem));
+  }
+
+  const customerAccessToken = getCustomerToken(req);
+
+  if (!customerAccessToken) {
+    return sendNotSignedIn(res);
+  }
+
+  if (!hasAdminAccess()) {
+    return res.status(501).json({
+      error: {
+        message: 'Saving wishlists to customer accounts is not configured',
+        status: 501,
+        code: 'WISHLIST_SYNC_UNAVAILABLE',
+      },
+    });
+  }
+
+  try {
+    const customer = await getCustomer(customerAccessToken);
+
+    if (!customer) {
+      return sendNotSignedIn(res);
+    }
+
+    if (items) {
+      await setCustomerMetafield(customer.id, METAFIELD_NAMESPACE, METAFIELD_KEY, items);
+    } else {
+      const saved = await getCustomerMetafield(customer.id, METAFIELD_NAMESPACE, METAFIELD_KEY);
+      items = Array.isArray(saved) ? mergeWishlists(saved.map(toWishlistItem)) : [];
+    }
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.status(200).json({ items });
+  } catch (error) {
+    console.error('Account wishlist error:', error.message);
+    return sendApiError(
+      res,
+      error,
+      req.method === 'PUT' ? 'Failed to save wishlist' : 'Failed to fetch wishlist'
+    );
+  }
+}
@@ -1,43 +1,83 @@
 /**
  * POST /api/cart/add
  *
- * Adds line items to an existing Shopify cart.
+ * Adds line items to the session's cart (see lib/cartSession.js). When the
+ * session has no cart yet, or it has expired, a new cart is created with the
+ * lines in the given market and becomes the session's cart; a signed-in
+ * customer (see lib/customerSession.js) is attached to it.
+ *
+ * Requires the X-CSRF-Token header from GET /api/csrf.
  *
  * Request body:
  *   {
- *     cartId: "gid://shopify/Cart/...",
- *     lines: [{ merchandiseId: "gid://shopify/ProductVariant/123", quantity: 1 }]
+ *     lines: [{
+ *       merchandiseId: "gid://shopify/ProductVariant/123",
+ *       quantity: 1,
+ *       attributes: [{ key: "Lot Requirements", value: "Single lot" }]  // optional
+ *     }],
+ *     countryCode: "CA",  // optional; market for a new cart
+ *     languageCode: "FR"  // optional; checkout language for a new cart
  *   }
  *
  * Response:
  *   { cart: { id, checkoutUrl, totalQuantity, cost, lines } }
  */
-import { cartLinesAdd } from '@/lib/storefrontClient';
+import { cartCreate, cartLinesAdd } from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { CART_MARKET_PARAMS, resolveMarketParams } from '@/lib/markets';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { enforceCsrf, enforceRateLimit } from '@/lib/apiSecurity';
+import { getSessionCartId, sendCart } from '@/lib/cartSession';
+import { getCustomerToken } from '@/lib/customerSession';
+import { CART_ADD_BODY } from '@/lib/requestSchemas';
+
+export const config = { api: { bodyParser: { sizeLimit: '32kb' } } };
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     res.setHeader('Allow', 'POST');
-    return res.status(405).json({ error: { message: 'Method not allowed', status: 405 } });
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
   }
 
-  const { cartId, lines } = req.body || {};
+  if (!enforceRateLimit(req, res, 'cart') || !enforceCsrf(req, res)) {
+    return;
+  }
 
-  if (!cartId || !lines || !Array.isArray(lines) || lines.length === 0) {
-    return res.status(400).json({
-      error: {
-        message: 'Request body must include "cartId" and a non-empty "lines" array',
-        status: 400,
-      },
-    });
+  const { value: body, errors } = validate(CART_ADD_BODY, req.body ?? {});
+
+  if (errors) {
+    return sendValidationError(res, errors);
   }
 
+  const { lines } = body;
+  const market = resolveMarketParams(res, body, CART_MARKET_PARAMS);
+
+  if (market === false) {
+    return;
+  }
+
+  const cartId = getSessionCartId(req);
+
   try {
-    const cart = await cartLinesAdd(cartId, lines);
-    return res.status(200).json({ cart });
+    if (cartId) {
+      try {
+        return sendCart(res, await cartLinesAdd(cartId, lines));
+      } catch (error) {
+        // Expired or checked out — start a new cart below
+        if (error.code !== 'CART_NOT_FOUND') throw error;
+      }
+    }
+
+    const cart = await cartCreate(lines, {
+      countryCode: market?.country || null,
+      languageCode: market?.language || null,
+      customerAccessToken: getCustomerToken(req),
+    });
+    return sendCart(res, cart, 201);
   } catch (error) {
     console.error('Cart add error:', error.message);
-    return res.status(500).json({
-      error: { message: error.message || 'Failed to add to cart', status: 500 },
-    });
+    return sendApiError(res, error, 'Failed to add to cart');
   }
 }
@@ -0,0 +1,77 @@
+/**
+ * POST /api/cart/buyer-identity
+ *
+ * Moves a Shopify cart to another market, re-pricing it in that market's
+ * currency (e.g. when the buyer switches country in the Navbar). A
+ * signed-in customer stays attached.
+ *
+ * Acts on the session's cart (see lib/cartSession.js); answers 404
+ * CART_NOT_FOUND if there is none. Requires the X-CSRF-Token header from
+ * GET /api/csrf.
+ *
+ * Request body:
+ *   {
+ *     countryCode: "CA",
+ *     languageCode: "FR"   // optional; checkout language
+ *   }
+ *
+ * Response:
+ *   { cart: { id, checkoutUrl, totalQuantity, buyerIdentity, cost, lines } }
+ */
+import { cartBuyerIdentityUpdate } from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { CART_MARKET_PARAMS, resolveMarketParams, toInContext } from '@/lib/markets';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { enforceCsrf, enforceRateLimit } from '@/lib/apiSecurity';
+import { getSessionCartId, sendCart, sendCartNotFound } from '@/lib/cartSession';
+import { getCustomerToken } from '@/lib/customerSession';
+import { CART_BUYER_IDENTITY_BODY } from '@/lib/requestSchemas';
+
+export const config = { api: { bodyParser: { sizeLimit: '32kb' } } };
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  if (!enforceRateLimit(req, res, 'cart') || !enforceCsrf(req, res)) {
+    return;
+  }
+
+  const { value: body, errors } = validate(CART_BUYER_IDENTITY_BODY, req.body ?? {});
+
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const market = resolveMarketParams(res, body, CART_MARKET_PARAMS);
+
+  if (market === false) {
+    return;
+  }
+
+  const cartId = getSessionCartId(req);
+  const customerAccessToken = getCustomerToken(req);
+
+  if (!cartId) {
+    return sendCartNotFound(res);
+  }
+
+  try {
+    const cart = await cartBuyerIdentityUpdate(
+      cartId,
+      { countryCode: market.country, ...(customerAccessToken && { customerAccessToken }) },
+      toInContext(market)
+    );
+    return sendCart(res, cart);
+  } catch (error) {
+    if (error.code === 'CART_NOT_FOUND') {
+      return sendCartNotFound(res);
+    }
+    console.error('Cart buyer identity error:', error.message);
+    return sendApiError(res, error, 'Failed to update cart market');
+  }
+}
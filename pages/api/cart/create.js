@@ -1,30 +1,68 @@
 /**
  * POST /api/cart/create
  *
- * Creates a new Shopify cart, optionally with initial line items.
+ * Creates a new Shopify cart, optionally with initial line items, and makes
+ * it the session's cart (see lib/cartSession.js) in place of any other. A
+ * signed-in customer (see lib/customerSession.js) is attached to it.
+ *
+ * Requires the X-CSRF-Token header from GET /api/csrf.
  *
  * Request body (optional):
- *   { lines: [{ merchandiseId: "gid://shopify/ProductVariant/123", quantity: 1 }] }
+ *   {
+ *     lines: [{ merchandiseId: "gid://shopify/ProductVariant/123", quantity: 1, attributes: [...] }],
+ *     countryCode: "CA",  // buyer's market; prices the cart in local currency
+ *     languageCode: "FR"  // optional; checkout language
+ *   }
  *
  * Response:
  *   { cart: { id, checkoutUrl, totalQuantity, cost, lines } }
  */
-import { cartCreate } from '@/lib/storefrontClient';
+import { cartCreate } from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { CART_MARKET_PARAMS, resolveMarketParams } from '@/lib/markets';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { enforceCsrf, enforceRateLimit } from '@/lib/apiSecurity';
+import { setSessionCartId } from '@/lib/cartSession';
+import { getCustomerToken } from '@/lib/customerSession';
+import { CART_CREATE_BODY } from '@/lib/requestSchemas';
+
+export const config = { api: { bodyParser: { sizeLimit: '32kb' } } };
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     res.setHeader('Allow', 'POST');
-    return res.status(405).json({ error: { message: 'Method not allowed', status: 405 } });
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  if (!enforceRateLimit(req, res, 'cart') || !enforceCsrf(req, res)) {
+    return;
+  }
+
+  const { value: body, errors } = validate(CART_CREATE_BODY, req.body ?? {});
+
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const { lines = [] } = body;
+  const market = resolveMarketParams(res, body, CART_MARKET_PARAMS);
+
+  if (market === false) {
+    return;
   }
 
   try {
-    const { lines = [] } = req.body || {};
-    const cart = await cartCreate(lines);
+    const cart = await cartCreate(lines, {
+      countryCode: market?.country || null,
+      languageCode: market?.language || null,
+      customerAccessToken: getCustomerToken(req),
+    });
+    setSessionCartId(res, cart.id);
     return res.status(201).json({ cart });
   } catch (error) {
     console.error('Cart create error:', error.message);
-    return res.status(500).json({
-      error: { message: error.message || 'Failed to create cart', status: 500 },
-    });
+    return sendApiError(res, error, 'Failed to create cart');
   }
 }
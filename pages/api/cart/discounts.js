@@ -0,0 +1,67 @@
+/**
+ * POST /api/cart/discounts
+ *
+ * Replaces the discount codes applied to a Shopify cart. Send the complete
+ * list of codes to keep; an empty array removes them all.
+ *
+ * Acts on the session's cart (see lib/cartSession.js); answers 404
+ * CART_NOT_FOUND if there is none. Requires the X-CSRF-Token header from
+ * GET /api/csrf.
+ *
+ * Request body:
+ *   {
+ *     discountCodes: ["LAB10"]
+ *   }
+ *
+ * Response:
+ *   { cart: { id, checkoutUrl, totalQuantity, cost, discountCodes, lines } }
+ */
+import { cartDiscountCodesUpdate } from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { enforceCsrf, enforceRateLimit } from '@/lib/apiSecurity';
+import { getSessionCartId, sendCart, sendCartNotFound } from '@/lib/cartSession';
+import { CART_DISCOUNTS_BODY } from '@/lib/requestSchemas';
+
+export const config = { api: { bodyParser: { sizeLimit: '32kb' } } };
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  if (!enforceRateLimit(req, res, 'cart') || !enforceCsrf(req, res)) {
+    return;
+  }
+
+  const { value: body, errors } = validate(CART_DISCOUNTS_BODY, req.body ?? {});
+
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const { discountCodes } = body;
+
+  const cartId = getSessionCartId(req);
+
+  if (!cartId) {
+    return sendCartNotFound(res);
+  }
+
+  try {
+    const cart = await cartDiscountCodesUpdate(
+      cartId,
+      discountCodes.map((code) => code.trim())
+    );
+    return sendCart(res, cart);
+  } catch (error) {
+    if (error.code === 'CART_NOT_FOUND') {
+      return sendCartNotFound(res);
+    }
+    console.error('Cart discounts error:', error.message);
+    return sendApiError(res, error, 'Failed to update discount codes');
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * GET /api/cart
+ *
+ * Fetches the session's cart (see lib/cartSession.js) so the client can
+ * load its lines, totals and checkout URL after a reload.
+ *
+ * Response:
+ *   200 { cart: { id, checkoutUrl, totalQuantity, cost, lines } }
+ *   404 when the session has no cart, it has expired or its checkout was
+ *       completed
+ *
+ * DELETE /api/cart
+ *
+ * Forgets the session's cart (Shopify carts expire on their own). Requires
+ * the X-CSRF-Token header from GET /api/csrf.
+ *
+ * Response:
+ *   204 No Content
+ */
+import { getCart } from '@/shared/storefront';
+import { sendApiError } from '@/lib/apiErrors';
+import { enforceCsrf, enforceRateLimit } from '@/lib/apiSecurity';
+import { getSessionCartId, setSessionCartId, sendCart, sendCartNotFound } from '@/lib/cartSession';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    res.setHeader('Allow', 'GET, DELETE');
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  if (!enforceRateLimit(req, res, 'cart') || !enforceCsrf(req, res)) {
+    return;
+  }
+
+  if (req.method === 'DELETE') {
+    setSessionCartId(res, null);
+    return res.status(204).end();
+  }
+
+  const cartId = getSessionCartId(req);
+
+  if (!cartId) {
+    return sendCartNotFound(res);
+  }
+
+  try {
+    const cart = await getCart(cartId);
+
+    if (!cart) {
+      return sendCartNotFound(res);
+    }
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    return sendCart(res, cart);
+  } catch (error) {
+    console.error('Cart fetch error:', error.message);
+    return sendApiError(res, error, 'Failed to fetch cart');
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * POST /api/cart/note
+ *
+ * Sets the order note on a Shopify cart.
+ *
+ * Acts on the session's cart (see lib/cartSession.js); answers 404
+ * CART_NOT_FOUND if there is none. Requires the X-CSRF-Token header from
+ * GET /api/csrf.
+ *
+ * Request body:
+ *   {
+ *     note: "Deliver to receiving dock B"   // empty string clears the note
+ *   }
+ *
+ * Response:
+ *   { cart: { id, checkoutUrl, totalQuantity, cost, note, attributes, lines } }
+ */
+import { cartNoteUpdate } from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { enforceCsrf, enforceRateLimit } from '@/lib/apiSecurity';
+import { getSessionCartId, sendCart, sendCartNotFound } from '@/lib/cartSession';
+import { CART_NOTE_BODY } from '@/lib/requestSchemas';
+
+export const config = { api: { bodyParser: { sizeLimit: '32kb' } } };
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  if (!enforceRateLimit(req, res, 'cart') || !enforceCsrf(req, res)) {
+    return;
+  }
+
+  const { value: body, errors } = validate(CART_NOTE_BODY, req.body ?? {});
+
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const { note } = body;
+
+  const cartId = getSessionCartId(req);
+
+  if (!cartId) {
+    return sendCartNotFound(res);
+  }
+
+  try {
+    const cart = await cartNoteUpdate(cartId, note);
+    return sendCart(res, cart);
+  } catch (error) {
+    if (error.code === 'CART_NOT_FOUND') {
+      return sendCartNotFound(res);
+    }
+    console.error('Cart note error:', error.message);
+    return sendApiError(res, error, 'Failed to update cart note');
+  }
+}
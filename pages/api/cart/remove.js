@@ -3,41 +3,61 @@
  *
  * Removes line items from a Shopify cart.
  *
+ * Acts on the session's cart (see lib/cartSession.js); answers 404
+ * CART_NOT_FOUND if there is none. Requires the X-CSRF-Token header from
+ * GET /api/csrf.
+ *
  * Request body:
  *   {
- *     cartId: "gid://shopify/Cart/...",
  *     lineIds: ["gid://shopify/CartLine/..."]
  *   }
  *
  * Response:
  *   { cart: { id, checkoutUrl, totalQuantity, cost, lines } }
  */
-import { cartLinesRemove } from '@/lib/storefrontClient';
+import { cartLinesRemove } from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { enforceCsrf, enforceRateLimit } from '@/lib/apiSecurity';
+import { getSessionCartId, sendCart, sendCartNotFound } from '@/lib/cartSession';
+import { CART_REMOVE_BODY } from '@/lib/requestSchemas';
+
+export const config = { api: { bodyParser: { sizeLimit: '32kb' } } };
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     res.setHeader('Allow', 'POST');
-    return res.status(405).json({ error: { message: 'Method not allowed', status: 405 } });
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
   }
 
-  const { cartId, lineIds } = req.body || {};
+  if (!enforceRateLimit(req, res, 'cart') || !enforceCsrf(req, res)) {
+    return;
+  }
 
-  if (!cartId || !lineIds || !Array.isArray(lineIds) || lineIds.length === 0) {
-    return res.status(400).json({
-      error: {
-        message: 'Request body must include "cartId" and a non-empty "lineIds" array',
-        status: 400,
-      },
-    });
+  const { value: body, errors } = validate(CART_REMOVE_BODY, req.body ?? {});
+
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const { lineIds } = body;
+
+  const cartId = getSessionCartId(req);
+
+  if (!cartId) {
+    return sendCartNotFound(res);
   }
 
   try {
     const cart = await cartLinesRemove(cartId, lineIds);
-    return res.status(200).json({ cart });
+    return sendCart(res, cart);
   } catch (error) {
+    if (error.code === 'CART_NOT_FOUND') {
+      return sendCartNotFound(res);
+    }
     console.error('Cart remove error:', error.message);
-    return res.status(500).json({
-      error: { message: error.message || 'Failed to remove from cart', status: 500 },
-    });
+    return sendApiError(res, error, 'Failed to remove from cart');
   }
 }
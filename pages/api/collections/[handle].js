@@ -0,0 +1,55 @@
+/**
+ * GET /api/collections/[handle]
+ *
+ * Fetch a single collection and its products by URL handle.
+ * Query params:
+ *   - limit    (number, default 50, max 100) — number of products to include
+ *   - country  (string, optional) — ISO country code for local pricing, e.g. CA
+ *   - language (string, optional) — Storefront language for translated content, e.g. FR
+ *
+ * Response:
+ *   { collection: { id, title, handle, ..., products } }
+ */
+import { getCollectionByHandle } from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { resolveMarketParams, toInContext } from '@/lib/markets';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { COLLECTION_QUERY } from '@/lib/requestSchemas';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  const { value: query, errors } = validate(COLLECTION_QUERY, req.query, { coerce: true });
+
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const market = resolveMarketParams(res, query);
+
+  if (market === false) {
+    return;
+  }
+
+  const context = market && toInContext(market);
+
+  try {
+    const collection = await getCollectionByHandle(query.handle, query.limit, context);
+
+    if (!collection) {
+      return res.status(404).json({
+        error: { message: 'Collection not found', status: 404, code: 'COLLECTION_NOT_FOUND' },
+      });
+    }
+
+    return res.status(200).json({ collection });
+  } catch (error) {
+    console.error('Collection fetch error:', error.message);
+    return sendApiError(res, error, 'Failed to fetch collection');
+  }
+}
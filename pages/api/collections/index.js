@@ -0,0 +1,48 @@
+/**
+ * GET /api/collections
+ *
+ * List collections from the Shopify store.
+ * Query params:
+ *   - limit    (number, default 20, max 100)
+ *   - country  (string, optional) — ISO country code, e.g. CA
+ *   - language (string, optional) — Storefront language for translated titles, e.g. FR
+ *
+ * Response:
+ *   { collections: [...], count: number }
+ */
+import { getCollections } from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { resolveMarketParams, toInContext } from '@/lib/markets';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { COLLECTIONS_QUERY } from '@/lib/requestSchemas';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  const { value: query, errors } = validate(COLLECTIONS_QUERY, req.query, { coerce: true });
+
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const market = resolveMarketParams(res, query);
+
+  if (market === false) {
+    return;
+  }
+
+  const context = market && toInContext(market);
+
+  try {
+    const collections = await getCollections(query.limit, context);
+    return res.status(200).json({ collections, count: collections.length });
+  } catch (error) {
+    console.error('Collections list error:', error.message);
+    return sendApiError(res, error, 'Failed to fetch collections');
+  }
+}
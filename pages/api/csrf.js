@@ -0,0 +1,28 @@
+/**
+ * GET /api/csrf
+ *
+ * Issues the CSRF token that POST /api/cart/* requests must send in the
+ * X-CSRF-Token header (see shared/security/csrf.js). The token is also
+ * stored in an HttpOnly cookie; a still-valid token is returned as is.
+ *
+ * Response:
+ *   { token: string }
+ */
+import { CSRF_COOKIE, issueCsrfToken } from '@/shared/security';
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  const { token, setCookie } = issueCsrfToken(req.cookies[CSRF_COOKIE]);
+
+  if (setCookie) {
+    res.setHeader('Set-Cookie', setCookie);
+  }
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).json({ token });
+}
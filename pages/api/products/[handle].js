@@ -2,40 +2,62 @@
  * GET /api/products/[handle]
  *
  * Fetch a single product by its URL handle.
+ * Query params:
+ *   - country (string, optional) — ISO country code for local pricing, e.g. CA
+ *   - language (string, optional) — Storefront language for translated content, e.g. FR
  *
  * Response:
  *   { product: { id, title, handle, ... } }
+ *
+ * Responses carry Cache-Control and ETag headers; a matching If-None-Match
+ * gets 304 Not Modified.
  */
-import { getProductByHandle } from '@/lib/shopify';
+import { getProductByHandle } from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { resolveMarketParams, toInContext } from '@/lib/markets';
+import { sendCachedJson } from '@/lib/httpCache';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { enforceRateLimit } from '@/lib/apiSecurity';
+import { PRODUCT_QUERY } from '@/lib/requestSchemas';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
     res.setHeader('Allow', 'GET');
-    return res.status(405).json({ error: { message: 'Method not allowed', status: 405 } });
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
   }
 
-  const { handle } = req.query;
+  if (!enforceRateLimit(req, res, 'products')) {
+    return;
+  }
 
-  if (!handle || typeof handle !== 'string') {
-    return res.status(400).json({
-      error: { message: 'Product handle is required', status: 400 },
-    });
+  const { value: query, errors } = validate(PRODUCT_QUERY, req.query, { coerce: true });
+
+  if (errors) {
+    return sendValidationError(res, errors);
   }
 
+  const market = resolveMarketParams(res, query);
+
+  if (market === false) {
+    return;
+  }
+
+  const context = market && toInContext(market);
+
   try {
-    const product = await getProductByHandle(handle);
+    const product = await getProductByHandle(query.handle, context);
 
     if (!product) {
       return res.status(404).json({
-        error: { message: 'Product not found', status: 404 },
+        error: { message: 'Product not found', status: 404, code: 'PRODUCT_NOT_FOUND' },
       });
     }
 
-    return res.status(200).json({ product });
+    return sendCachedJson(req, res, { product });
   } catch (error) {
     console.error('Product fetch error:', error.message);
-    return res.status(500).json({
-      error: { message: error.message || 'Failed to fetch product', status: 500 },
-    });
+    return sendApiError(res, error, 'Failed to fetch product');
   }
 }
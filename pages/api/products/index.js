@@ -1,29 +1,95 @@
 /**
  * GET /api/products
  *
- * List products from the Shopify store.
+ * List products from the Shopify store, one cursor-paginated page at a time.
  * Query params:
- *   - limit (number, default 20, max 100)
+ *   - limit  (number, default 20, max 100)
+ *   - after  (string, optional) — pageInfo.endCursor of the previous page
+ *   - before (string, optional) — pageInfo.startCursor of the next page
+ *   - sortKey (string, optional) — Storefront ProductSortKeys, e.g. PRICE, TITLE, CREATED_AT
+ *   - reverse (boolean, optional) — "true" to reverse the sort order
+ *   - filters (string, optional) — JSON-encoded array of Storefront ProductFilter
+ *       inputs, e.g. [{"available":true},{"price":{"min":10,"max":500}}]
+ *   - country (string, optional) — ISO country code for local pricing, e.g. CA
+ *   - language (string, optional) — Storefront language for translated content, e.g. FR
  *
  * Response:
- *   { products: [...], count: number }
+ *   {
+ *     products: [...],
+ *     count: number,
+ *     pageInfo: { hasNextPage, hasPreviousPage, startCursor, endCursor }
+ *   }
+ *
+ * Responses carry Cache-Control and ETag headers; a matching If-None-Match
+ * gets 304 Not Modified.
  */
-import { getProducts } from '@/lib/shopify';
+import { getProducts } from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { parseFiltersParam } from '@/lib/productFilters';
+import { resolveMarketParams, toInContext } from '@/lib/markets';
+import { sendCachedJson } from '@/lib/httpCache';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { enforceRateLimit } from '@/lib/apiSecurity';
+import { PRODUCTS_QUERY } from '@/lib/requestSchemas';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
     res.setHeader('Allow', 'GET');
-    return res.status(405).json({ error: { message: 'Method not allowed', status: 405 } });
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  if (!enforceRateLimit(req, res, 'products')) {
+    return;
+  }
+
+  const { value: query, errors } = validate(PRODUCTS_QUERY, req.query, { coerce: true });
+
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const { limit, after, before, sortKey, reverse } = query;
+
+  if (after && before) {
+    return res.status(400).json({
+      error: {
+        message: 'Use either "after" or "before", not both',
+        status: 400,
+        code: 'INVALID_REQUEST',
+      },
+    });
   }
 
+  const { filters, error: filtersError } = parseFiltersParam(query.filters);
+
+  if (filtersError) {
+    return res.status(400).json({
+      error: { message: filtersError, status: 400, code: 'INVALID_REQUEST' },
+    });
+  }
+
+  const market = resolveMarketParams(res, query);
+
+  if (market === false) {
+    return;
+  }
+
+  const context = market && toInContext(market);
+
   try {
-    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
-    const products = await getProducts(limit);
-    return res.status(200).json({ products, count: products.length });
+    const { products, pageInfo } = await getProducts(limit, {
+      after,
+      before,
+      sortKey: sortKey || null,
+      reverse,
+      filters,
+      context,
+    });
+    return sendCachedJson(req, res, { products, count: products.length, pageInfo });
   } catch (error) {
     console.error('Products list error:', error.message);
-    return res.status(500).json({
-      error: { message: error.message || 'Failed to fetch products', status: 500 },
-    });
+    return sendApiError(res, error, 'Failed to fetch products');
   }
 }
@@ -0,0 +1,56 @@
+/**
+ * GET /api/search
+ *
+ * Search the catalog for products.
+ * Query params:
+ *   - q          (string, required) — search text
+ *   - predictive (boolean, optional) — "true" for type-ahead results
+ *   - limit      (number, default 20, max 100; predictive max 10)
+ *   - after      (string, optional) — pageInfo.endCursor of the previous page
+ *   - country    (string, optional) — ISO country code for local pricing, e.g. CA
+ *   - language   (string, optional) — Storefront language for translated content, e.g. FR
+ *
+ * Response:
+ *   { products: [...], count: number, totalCount: number, pageInfo: {...} | null }
+ */
+import { searchProducts } from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { resolveMarketParams, toInContext } from '@/lib/markets';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { SEARCH_QUERY } from '@/lib/requestSchemas';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  const { value: query, errors } = validate(SEARCH_QUERY, req.query, { coerce: true });
+
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const market = resolveMarketParams(res, query);
+
+  if (market === false) {
+    return;
+  }
+
+  const context = market && toInContext(market);
+
+  try {
+    const { products, totalCount, pageInfo } = await searchProducts(query.q.trim(), {
+      predictive: query.predictive,
+      first: query.limit,
+      after: query.after || null,
+      context,
+    });
+    return res.status(200).json({ products, count: products.length, totalCount, pageInfo });
+  } catch (error) {
+    console.error('Search error:', error.message);
+    return sendApiError(res, error, 'Failed to search products');
+  }
+}
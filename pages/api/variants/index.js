@@ -0,0 +1,68 @@
+/**
+ * GET /api/variants?ids=<gid>,<gid>
+ *
+ * Current price and availability of variants, e.g. for the items on the
+ * wishlist page. Variants that no longer exist are left out.
+ * Query params:
+ *   - ids (string, required) — comma-separated ProductVariant GIDs, at most 100
+ *   - country (string, optional) — ISO country code for local pricing, e.g. CA
+ *   - language (string, optional) — Storefront language for translated content, e.g. FR
+ *
+ * Response:
+ *   { variants: [{ id, title, sku, availableForSale, price, image, product: { title, handle } }] }
+ *
+ * Responses carry Cache-Control and ETag headers; a matching If-None-Match
+ * gets 304 Not Modified.
+ */
+import { getVariants } from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { resolveMarketParams, toInContext } from '@/lib/markets';
+import { sendCachedJson } from '@/lib/httpCache';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { enforceRateLimit } from '@/lib/apiSecurity';
+import { VARIANTS_QUERY } from '@/lib/requestSchemas';
+
+const MAX_IDS = 100;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  if (!enforceRateLimit(req, res, 'products')) {
+    return;
+  }
+
+  const { value: query, errors } = validate(VARIANTS_QUERY, req.query, { coerce: true });
+
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const ids = [...new Set(query.ids.split(','))];
+
+  if (ids.length > MAX_IDS) {
+    return sendValidationError(res, [
+      { field: 'ids', message: `must have at most ${MAX_IDS} items` },
+    ]);
+  }
+
+  const market = resolveMarketParams(res, query);
+
+  if (market === false) {
+    return;
+  }
+
+  const context = market && toInContext(market);
+
+  try {
+    const variants = await getVariants(ids, context);
+    return sendCachedJson(req, res, { variants });
+  } catch (error) {
+    console.error('Variants fetch error:', error.message);
+    return sendApiError(res, error, 'Failed to fetch variants');
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * POST /api/variants/lookup
+ *
+ * Resolve SKUs (catalog numbers) to variants for the quick-order form
+ * (pages/quick-order.js). SKUs match exactly, ignoring case. A POST so a
+ * whole order's SKUs fit in one request; requires the X-CSRF-Token header
+ * from GET /api/csrf.
+ *
+ * Request body:
+ *   {
+ *     skus: ["BP-1001", "BP-2040"],  // at most 100
+ *     country: "CA",  // optional; ISO country code for local pricing
+ *     language: "FR"  // optional; Storefront language for translated content
+ *   }
+ *
+ * Response:
+ *   200 {
+ *     results: [{
+ *       sku: "BP-1001",
+ *       variant: { id, title, sku, availableForSale, price, image,
+ *         product: { title, handle } } | null  // null for an unknown SKU
+ *     }]
+ *   }
+ * One result per distinct SKU, in the order given.
+ */
+import { getVariantsBySku } from '@/shared/storefront';
+import { validate } from '@/shared/validation';
+import { resolveMarketParams, toInContext } from '@/lib/markets';
+import { sendApiError, sendValidationError } from '@/lib/apiErrors';
+import { enforceCsrf, enforceRateLimit } from '@/lib/apiSecurity';
+import { VARIANT_LOOKUP_BODY } from '@/lib/requestSchemas';
+
+export const config = { api: { bodyParser: { sizeLimit: '32kb' } } };
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({
+      error: { message: 'Method not allowed', status: 405, code: 'METHOD_NOT_ALLOWED' },
+    });
+  }
+
+  if (!enforceRateLimit(req, res, 'products') || !enforceCsrf(req, res)) {
+    return;
+  }
+
+  const { value: body, errors } = validate(VARIANT_LOOKUP_BODY, req.body ?? {});
+
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const market = resolveMarketParams(res, body);
+
+  if (market === false) {
+    return;
+  }
+
+  const context = market && toInContext(market);
+
+  try {
+    const results = await getVariantsBySku(body.skus, context);
+    return res.status(200).json({ results });
+  } catch (error) {
+    console.error('Variant lookup error:', error.message);
+    return sendApiError(res, error, 'Failed to look up SKUs');
+  }
+}
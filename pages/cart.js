@@ -1,26 +1,68 @@
 import Head from 'next/head';
 import Link from 'next/link';
 import Image from 'next/image';
-import { Row, Col, Button, Table } from 'react-bootstrap';
+import { Row, Col, Button, Table, Spinner } from 'react-bootstrap';
 import { useCart } from '@/lib/cartContext';
+import { useWishlist } from '@/lib/wishlistContext';
 import { formatPrice } from '@/lib/formatPrice';
 import { EmptyState } from '@/components/LoadingStates';
+import DiscountCodeForm from '@/components/DiscountCodeForm';
+import OrderNotesPanel from '@/components/OrderNotesPanel';
+import ReorderSummary from '@/components/ReorderSummary';
+import { useTranslation } from '@/lib/i18n';
+import { getCartSessionProps } from '@/lib/cartSession';
+
+/**
+ * Shopify's total for one line, with the pre-discount amount struck through
+ * when a line-level discount applies. Lines awaiting a response show a
+ * spinner instead of a stale or guessed figure.
+ */
+function LineTotal({ item }) {
+  const { t, locale } = useTranslation();
+  if (item.pending || !item.cost) {
+    return (
+      <Spinner animation="border" size="sm" role="status">
+        <span className="visually-hidden">{t('common.updating')}</span>
+      </Spinner>
+    );
+  }
+
+  const { subtotalAmount, totalAmount } = item.cost;
+  const discounted = parseFloat(subtotalAmount.amount) !== parseFloat(totalAmount.amount);
+
+  return (
+    <>
+      {discounted && (
+        <s className="text-muted fw-normal me-2">
+          {formatPrice(subtotalAmount.amount, subtotalAmount.currencyCode, locale)}
+        </s>
+      )}
+      {formatPrice(totalAmount.amount, totalAmount.currencyCode, locale)}
+    </>
+  );
+}
 
 export default function Cart() {
+  const { t, locale } = useTranslation();
   const {
-    items, loading, error, subtotal, currencyCode,
+    items, pending, rehydrating, error, cost,
     checkoutUrl, updateQuantity, removeItem,
+    discountCodes, discountAllocations,
+    applyDiscountCode, removeDiscountCode,
+    note, attributes, updateNote, updateAttributes,
+    reorderSummary, dismissReorderSummary,
   } = useCart();
+  const { count: savedCount, saveForLater, error: wishlistError } = useWishlist();
 
   return (
     <>
       <Head>
-        <title>Cart — BioPhase Solutions</title>
-        <meta name="description" content="Review your cart items" />
+        <title>{t('cart.metaTitle')}</title>
+        <meta name="description" content={t('cart.metaDescription')} />
       </Head>
 
       <div className="fade-in">
-        <h1 className="h3 mb-4">Your Cart</h1>
+        <h1 className="h3 mb-4">{t('cart.heading')}</h1>
 
         {error && (
           <div className="alert alert-danger" role="alert">
@@ -28,13 +70,34 @@ export default function Cart() {
           </div>
         )}
 
-        {items.length === 0 ? (
+        {wishlistError && (
+          <div className="alert alert-warning" role="alert">
+            {wishlistError}
+          </div>
+        )}
+
+        {reorderSummary && (
+          <ReorderSummary summary={reorderSummary} onDismiss={dismissReorderSummary} />
+        )}
+
+        {savedCount > 0 && (
+          <p className="mb-3">
+            <Link href="/wishlist">{t('wishlist.savedForLater', { count: savedCount })}</Link>
+          </p>
+        )}
+
+        {items.length === 0 && rehydrating ? (
+          <div className="text-center py-5 text-muted">
+            <Spinner animation="border" size="sm" className="me-2" />
+            {t('cart.loading')}
+          </div>
+        ) : items.length === 0 ? (
           <EmptyState
-            title="Your cart is empty"
-            message="Browse our products and add items to your cart."
+            title={t('cart.empty.title')}
+            message={t('cart.empty.message')}
             action={
               <Link href="/" className="btn btn-primary">
-                Continue Shopping
+                {t('cart.continueShopping')}
               </Link>
             }
           />
@@ -45,20 +108,21 @@ export default function Cart() {
               <Table responsive className="align-middle">
                 <thead className="table-light">
                   <tr>
-                    <th>Product</th>
-                    <th>Price</th>
-                    <th style={{ width: '150px' }}>Quantity</th>
-                    <th className="text-end">Total</th>
+                    <th>{t('cart.table.product')}</th>
+                    <th>{t('cart.table.price')}</th>
+                    <th style={{ width: '150px' }}>{t('cart.table.quantity')}</th>
+                    <th className="text-end">{t('cart.table.total')}</th>
                     <th style={{ width: '50px' }}></th>
                   </tr>
                 </thead>
                 <tbody>
                   {items.map((item) => {
-                    const lineTotal =
-                      parseFloat(item.price) * item.quantity;
-
                     return (
-                      <tr key={item.id}>
+                      <tr
+                        key={item.id}
+                        className={item.pending ? 'cart-line--pending' : undefined}
+                        aria-busy={item.pending}
+                      >
                         <td>
                           <div className="d-flex align-items-center gap-3">
                             {item.imageUrl && (
@@ -83,11 +147,30 @@ export default function Cart() {
                                   {item.variantTitle}
                                 </small>
                               )}
+                              {item.attributes.map((a) => (
+                                <small key={a.key} className="d-block text-muted">
+                                  {a.key}: {a.value}
+                                </small>
+                              ))}
+                              {item.discountAllocations.map((d) => (
+                                <small key={d.label} className="d-block text-success">
+                                  {d.label} (−{formatPrice(d.amount, d.currencyCode, locale)})
+                                </small>
+                              ))}
+                              <Button
+                                variant="link"
+                                size="sm"
+                                className="p-0"
+                                onClick={() => saveForLater(item)}
+                                disabled={item.optimistic}
+                              >
+                                {t('wishlist.saveForLater')}
+                              </Button>
                             </div>
                           </div>
                         </td>
                         <td>
-                          {formatPrice(item.price, item.currencyCode)}
+                          {formatPrice(item.price, item.currencyCode, locale)}
                         </td>
                         <td>
                           <div className="quantity-control">
@@ -97,8 +180,8 @@ export default function Cart() {
                               onClick={() =>
                                 updateQuantity(item.id, item.quantity - 1)
                               }
-                              disabled={loading}
-                              aria-label="Decrease quantity"
+                              disabled={item.optimistic}
+                              aria-label={t('cart.decreaseQuantity')}
                             >
                               −
                             </Button>
@@ -109,23 +192,23 @@ export default function Cart() {
                               onClick={() =>
                                 updateQuantity(item.id, item.quantity + 1)
                               }
-                              disabled={loading}
-                              aria-label="Increase quantity"
+                              disabled={item.optimistic}
+                              aria-label={t('cart.increaseQuantity')}
                             >
                               +
                             </Button>
                           </div>
                         </td>
                         <td className="text-end fw-semibold">
-                          {formatPrice(lineTotal, item.currencyCode)}
+                          <LineTotal item={item} />
                         </td>
                         <td>
                           <Button
                             variant="link"
                             className="text-danger p-0"
                             onClick={() => removeItem(item.id)}
-                            disabled={loading}
-                            aria-label={`Remove ${item.productTitle}`}
+                            disabled={item.optimistic}
+                            aria-label={t('cart.removeItem', { title: item.productTitle })}
                           >
                             <svg
                               xmlns="http://www.w3.org/2000/svg"
@@ -153,13 +236,13 @@ export default function Cart() {
             {/* Mobile card view */}
             <div className="d-md-none">
               {items.map((item) => {
-                const lineTotal =
-                  parseFloat(item.price) * item.quantity;
-
                 return (
                   <div
                     key={item.id}
-                    className="border rounded p-3 mb-3 d-flex gap-3"
+                    className={`border rounded p-3 mb-3 d-flex gap-3 ${
+                      item.pending ? 'cart-line--pending' : ''
+                    }`}
+                    aria-busy={item.pending}
                   >
                     {item.imageUrl && (
                       <Image
@@ -183,6 +266,25 @@ export default function Cart() {
                           {item.variantTitle}
                         </small>
                       )}
+                      {item.attributes.map((a) => (
+                        <small key={a.key} className="text-muted d-block mb-2">
+                          {a.key}: {a.value}
+                        </small>
+                      ))}
+                      {item.discountAllocations.map((d) => (
+                        <small key={d.label} className="text-success d-block mb-2">
+                          {d.label} (−{formatPrice(d.amount, d.currencyCode, locale)})
+                        </small>
+                      ))}
+                      <Button
+                        variant="link"
+                        size="sm"
+                        className="p-0 mb-2 d-block"
+                        onClick={() => saveForLater(item)}
+                        disabled={item.optimistic}
+                      >
+                        {t('wishlist.saveForLater')}
+                      </Button>
                       <div className="d-flex justify-content-between align-items-center">
                         <div className="quantity-control">
                           <Button
@@ -191,8 +293,8 @@ export default function Cart() {
                             onClick={() =>
                               updateQuantity(item.id, item.quantity - 1)
                             }
-                            disabled={loading}
-                            aria-label="Decrease quantity"
+                            disabled={item.optimistic}
+                            aria-label={t('cart.decreaseQuantity')}
                           >
                             −
                           </Button>
@@ -203,14 +305,14 @@ export default function Cart() {
                             onClick={() =>
                               updateQuantity(item.id, item.quantity + 1)
                             }
-                            disabled={loading}
-                            aria-label="Increase quantity"
+                            disabled={item.optimistic}
+                            aria-label={t('cart.increaseQuantity')}
                           >
                             +
                           </Button>
                         </div>
                         <strong>
-                          {formatPrice(lineTotal, item.currencyCode)}
+                          <LineTotal item={item} />
                         </strong>
                       </div>
                     </div>
@@ -218,8 +320,8 @@ export default function Cart() {
                       variant="link"
                       className="text-danger p-0 align-self-start flex-shrink-0"
                       onClick={() => removeItem(item.id)}
-                      disabled={loading}
-                      aria-label={`Remove ${item.productTitle}`}
+                      disabled={item.optimistic}
+                      aria-label={t('cart.removeItem', { title: item.productTitle })}
                     >
                       &times;
                     </Button>
@@ -229,25 +331,90 @@ export default function Cart() {
             </div>
 
             {/* Summary */}
-            <Row className="justify-content-end mt-4">
+            <Row className="justify-content-between g-4 mt-2">
+              <Col md={7} lg={7}>
+                <OrderNotesPanel
+                  note={note}
+                  attributes={attributes}
+                  onSaveNote={updateNote}
+                  onSaveAttributes={updateAttributes}
+                />
+              </Col>
               <Col md={5} lg={4}>
                 <div className="bg-light rounded p-4">
-                  <div className="d-flex justify-content-between mb-2">
-                    <span>Subtotal</span>
-                    <strong>
-                      {formatPrice(subtotal, currencyCode)}
-                    </strong>
-                  </div>
-                  <div className="d-flex justify-content-between mb-3">
-                    <span>Shipping</span>
-                    <span className="text-muted">Calculated at checkout</span>
-                  </div>
-                  <hr />
-                  <div className="d-flex justify-content-between mb-3">
-                    <strong>Estimated Total</strong>
-                    <strong className="text-primary">
-                      {formatPrice(subtotal, currencyCode)}
-                    </strong>
+                  <DiscountCodeForm
+                    codes={discountCodes}
+                    onApply={applyDiscountCode}
+                    onRemove={removeDiscountCode}
+                  />
+                  <div
+                    className={pending || !cost ? 'cart-line--pending' : undefined}
+                    aria-busy={pending}
+                  >
+                    <div className="d-flex justify-content-between mb-2">
+                      <span>{t('cart.summary.subtotal')}</span>
+                      <strong>
+                        {cost
+                          ? formatPrice(
+                            cost.subtotalAmount.amount,
+                            cost.subtotalAmount.currencyCode,
+                            locale
+                          )
+                          : '—'}
+                      </strong>
+                    </div>
+                    {discountAllocations.map((d) => (
+                      <div
+                        key={d.label}
+                        className="d-flex justify-content-between mb-2 text-success"
+                      >
+                        <span>{t('cart.summary.discount', { label: d.label })}</span>
+                        <span>−{formatPrice(d.amount, d.currencyCode, locale)}</span>
+                      </div>
+                    ))}
+                    <div className="d-flex justify-content-between mb-2">
+                      <span>{t('cart.summary.tax')}</span>
+                      {cost?.totalTaxAmount ? (
+                        <span>
+                          {formatPrice(
+                            cost.totalTaxAmount.amount,
+                            cost.totalTaxAmount.currencyCode,
+                            locale
+                          )}
+                        </span>
+                      ) : (
+                        <span className="text-muted">{t('cart.summary.atCheckout')}</span>
+                      )}
+                    </div>
+                    <div className="d-flex justify-content-between mb-3">
+                      <span>{t('cart.summary.shipping')}</span>
+                      <span className="text-muted">{t('cart.summary.atCheckout')}</span>
+                    </div>
+                    <hr />
+                    <div className="d-flex justify-content-between mb-3">
+                      <strong>{t('cart.summary.estimatedTotal')}</strong>
+                      <strong className="text-primary">
+                        {cost
+                          ? formatPrice(
+                            cost.totalAmount.amount,
+                            cost.totalAmount.currencyCode,
+                            locale
+                          )
+                          : '—'}
+                      </strong>
+                    </div>
+                    {cost && cost.checkoutChargeAmount.amount !== cost.totalAmount.amount && (
+                      <div className="d-flex justify-content-between mb-3 small text-muted">
+                        <span>{t('cart.summary.dueToday')}</span>
+                        <span>
+                          {formatPrice(
+                            cost.checkoutChargeAmount.amount,
+                            cost.checkoutChargeAmount.currencyCode,
+                            locale
+                          )}
+                        </span>
+                      </div>
+                    )}
                   </div>
                   <Button
                     as="a"
@@ -255,15 +422,15 @@ export default function Cart() {
                     variant="primary"
                     size="lg"
                     className="w-100 mt-2"
-                    disabled={!checkoutUrl || loading}
+                    disabled={!checkoutUrl || pending}
                   >
-                    {loading ? 'Updating…' : 'Proceed to Checkout'}
+                    {pending ? t('cart.summary.updating') : t('cart.summary.checkout')}
                   </Button>
                   <Link
                     href="/"
                     className="btn btn-outline-secondary w-100 mt-2"
                   >
-                    Continue Shopping
+                    {t('cart.continueShopping')}
                   </Link>
                 </div>
               </Col>
@@ -274,3 +441,9 @@ export default function Cart() {
     </>
   );
 }
+
+// Rendered per request with the session's cart, so the lines and totals are
+// there on first paint instead of loading in after mount
+export async function getServerSideProps({ req, res }) {
+  return { props: await getCartSessionProps({ req, res }) };
+}
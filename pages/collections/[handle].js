@@ -0,0 +1,110 @@
+import Head from 'next/head';
+import Link from 'next/link';
+import { Row, Col, Breadcrumb } from 'react-bootstrap';
+import { getCollectionByHandle, getAllCollectionHandles } from '@/shared/storefront';
+import { getMarket, toInContext } from '@/lib/markets';
+import { useTranslation } from '@/lib/i18n';
+import ProductCard from '@/components/ProductCard';
+import { EmptyState, ProductGridSkeleton } from '@/components/LoadingStates';
+
+export default function CollectionPage({ collection }) {
+  const { t } = useTranslation();
+
+  if (!collection) {
+    return <ProductGridSkeleton />;
+  }
+
+  const products = collection.products || [];
+
+  return (
+    <>
+      <Head>
+        <title>{collection.title} — BioPhase Solutions</title>
+        <meta name="description" content={collection.description} />
+        <meta property="og:title" content={`${collection.title} — BioPhase Solutions`} />
+        <meta property="og:description" content={collection.description} />
+        <meta property="og:type" content="website" />
+        {collection.image?.url && (
+          <meta property="og:image" content={collection.image.url} />
+        )}
+        <meta name="twitter:card" content="summary" />
+        <meta name="twitter:title" content={collection.title} />
+        <meta name="twitter:description" content={collection.description} />
+      </Head>
+
+      <div className="fade-in">
+        {/* Breadcrumbs */}
+        <Breadcrumb className="mb-4">
+          <Breadcrumb.Item linkAs={Link} href="/">
+            {t('nav.products')}
+          </Breadcrumb.Item>
+          <Breadcrumb.Item active>{collection.title}</Breadcrumb.Item>
+        </Breadcrumb>
+
+        <div className="d-flex justify-content-between align-items-end mb-4">
+          <div>
+            <h1 className="h3 mb-1">{collection.title}</h1>
+            {collection.description && (
+              <p className="text-muted mb-0" style={{ maxWidth: '640px' }}>
+                {collection.description}
+              </p>
+            )}
+          </div>
+          <p className="text-muted mb-0 flex-shrink-0 ms-3">
+            {t('collection.productCount', { count: products.length })}
+          </p>
+        </div>
+
+        {products.length > 0 ? (
+          <Row xs={1} sm={2} lg={3} className="g-4">
+            {products.map((product) => (
+              <Col key={product.id}>
+                <ProductCard product={product} />
+              </Col>
+            ))}
+          </Row>
+        ) : (
+          <EmptyState
+            title={t('collection.empty.title')}
+            message={t('home.empty.message')}
+            action={
+              <Link href="/" className="btn btn-primary">
+                {t('collection.empty.browse')}
+              </Link>
+            }
+          />
+        )}
+      </div>
+    </>
+  );
+}
+
+export async function getStaticPaths() {
+  try {
+    const handles = await getAllCollectionHandles();
+    return {
+      paths: handles.map((handle) => ({ params: { handle } })),
+      fallback: 'blocking',
+    };
+  } catch (error) {
+    console.error('Error fetching collection handles:', error);
+    return { paths: [], fallback: 'blocking' };
+  }
+}
+
+export async function getStaticProps({ params, locale }) {
+  try {
+    const collection = await getCollectionByHandle(params.handle, 50, toInContext(getMarket(locale)));
+    if (!collection) {
+      return { notFound: true };
+    }
+
+    return {
+      props: { collection },
+      revalidate: 60,
+    };
+  } catch (error) {
+    console.error('Error fetching collection:', error);
+    return { notFound: true };
+  }
+}
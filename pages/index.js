@@ -1,30 +1,141 @@
+import { useState, useEffect } from 'react';
 import Head from 'next/head';
-import { Row, Col } from 'react-bootstrap';
-import { getProducts } from '@/lib/shopify';
+import { useRouter } from 'next/router';
+import { Row, Col, Button, Alert, Form, Offcanvas, Spinner } from 'react-bootstrap';
+import { getProducts, getProductFacets } from '@/shared/storefront';
+import { getMarket, toInContext } from '@/lib/markets';
+import { useTranslation } from '@/lib/i18n';
+import {
+  SORT_OPTIONS,
+  parseFilterParams,
+  toFilterParams,
+  toProductArgs,
+  hasActiveFilters,
+} from '@/lib/productFilters';
 import ProductCard from '@/components/ProductCard';
-import { EmptyState } from '@/components/LoadingStates';
+import ProductFilters from '@/components/ProductFilters';
+import { EmptyState, ProductGridSkeleton } from '@/components/LoadingStates';
+
+const PAGE_SIZE = 20;
+
+/**
+ * Fetch one page of products for the given grid state from /api/products.
+ * @param {Object} filters - Grid state from parseFilterParams
+ * @param {string|null} after - Cursor to continue from
+ * @param {Object} market - Buyer market to price and translate for (see lib/markets.js)
+ */
+async function fetchProductPage(filters, after = null, market) {
+  const { sortKey, reverse, filters: productFilters } = toProductArgs(filters);
+  const params = new URLSearchParams({
+    limit: String(PAGE_SIZE),
+    sortKey,
+    reverse: String(reverse),
+    country: market.country,
+    language: market.language,
+  });
+  if (after) params.set('after', after);
+  if (productFilters.length > 0) params.set('filters', JSON.stringify(productFilters));
+
+  const res = await fetch(`/api/products?${params}`);
+  if (!res.ok) throw new Error('Failed to load products');
+  return res.json();
+}
+
+export default function Home({
+  products: initialProducts,
+  pageInfo: initialPageInfo,
+  facets,
+}) {
+  const router = useRouter();
+  const { t } = useTranslation();
+  const market = getMarket(router.locale);
+  const [products, setProducts] = useState(initialProducts);
+  const [pageInfo, setPageInfo] = useState(initialPageInfo);
+  const [loadingProducts, setLoadingProducts] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [showFilters, setShowFilters] = useState(false);
+
+  // Sort/filter state lives in the URL so filtered views are shareable and
+  // survive reloads. The statically generated props are the unfiltered view.
+  const filters = parseFilterParams(router.query);
+  const filterKey = JSON.stringify(toFilterParams(filters));
+  const filtered = hasActiveFilters(filters);
+
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    if (!filtered) {
+      setProducts(initialProducts);
+      setPageInfo(initialPageInfo);
+      setLoadError(null);
+      return;
+    }
+
+    let cancelled = false;
+    setLoadingProducts(true);
+    setLoadError(null);
+
+    fetchProductPage(filters, null, market)
+      .then((data) => {
+        if (cancelled) return;
+        setProducts(data.products);
+        setPageInfo(data.pageInfo);
+      })
+      .catch(() => {
+        if (!cancelled) setLoadError(t('products.loadFailed'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingProducts(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+    // `filterKey` stands in for `filters`, which is rebuilt on every render
+  }, [router.isReady, filterKey, market, initialProducts, initialPageInfo]);
+
+  function updateFilters(next) {
+    router.push(
+      { pathname: router.pathname, query: toFilterParams(next) },
+      undefined,
+      { shallow: true, scroll: false }
+    );
+  }
+
+  function clearFilters() {
+    updateFilters(parseFilterParams({}));
+    setShowFilters(false);
+  }
+
+  /** Append the next cursor page to the grid */
+  async function handleLoadMore() {
+    if (!pageInfo?.hasNextPage || loadingMore) return;
+    setLoadingMore(true);
+    setLoadError(null);
+
+    try {
+      const data = await fetchProductPage(filters, pageInfo.endCursor, market);
+      setProducts((prev) => [...prev, ...data.products]);
+      setPageInfo(data.pageInfo);
+    } catch {
+      setLoadError(t('products.loadFailed'));
+    } finally {
+      setLoadingMore(false);
+    }
+  }
 
-export default function Home({ products }) {
   return (
     <>
       <Head>
-        <title>BioPhase Solutions — Products</title>
-        <meta
-          name="description"
-          content="Premium biomedical products for research and clinical applications."
-        />
-        <meta property="og:title" content="BioPhase Solutions — Products" />
-        <meta
-          property="og:description"
-          content="Premium biomedical products for research and clinical applications."
-        />
+        <title>{t('home.metaTitle')}</title>
+        <meta name="description" content={t('brand.tagline')} />
+        <meta property="og:title" content={t('home.metaTitle')} />
+        <meta property="og:description" content={t('brand.tagline')} />
         <meta property="og:type" content="website" />
         <meta name="twitter:card" content="summary" />
-        <meta name="twitter:title" content="BioPhase Solutions — Products" />
-        <meta
-          name="twitter:description"
-          content="Premium biomedical products for research and clinical applications."
-        />
+        <meta name="twitter:title" content={t('home.metaTitle')} />
+        <meta name="twitter:description" content={t('brand.tagline')} />
       </Head>
 
       {/* Hero Banner */}
@@ -32,49 +143,149 @@ export default function Home({ products }) {
         <div className="py-3">
           <h1 className="display-6 fw-bold mb-2">BioPhase Solutions</h1>
           <p className="lead mb-0 opacity-75">
-            Premium biomedical products for research and clinical applications.
+            {t('brand.tagline')}
           </p>
         </div>
       </section>
 
       <section className="fade-in">
-        <div className="d-flex justify-content-between align-items-center mb-4">
-          <h2 className="h3 mb-0">Our Products</h2>
-          <p className="text-muted mb-0">
-            {products.length} product{products.length !== 1 ? 's' : ''}
-          </p>
+        <div className="d-flex flex-wrap justify-content-between align-items-center gap-3 mb-4">
+          <div>
+            <h2 className="h3 mb-0">{t('home.heading')}</h2>
+            <p className="text-muted mb-0 small">
+              {t('home.productCount', {
+                count: products.length,
+                more: pageInfo?.hasNextPage ? '+' : '',
+              })}
+            </p>
+          </div>
+          <div className="d-flex align-items-center gap-2">
+            <Button
+              variant="outline-secondary"
+              size="sm"
+              className="d-lg-none"
+              onClick={() => setShowFilters(true)}
+              aria-controls="product-filters"
+            >
+              {t('filters.title')}
+            </Button>
+            <Form.Select
+              size="sm"
+              value={filters.sort}
+              onChange={(e) => updateFilters({ ...filters, sort: e.target.value })}
+              aria-label={t('home.sortLabel')}
+              style={{ width: 'auto' }}
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {t(`home.sort.${option.value}`)}
+                </option>
+              ))}
+            </Form.Select>
+          </div>
         </div>
 
-        {products.length > 0 ? (
-          <Row xs={1} sm={2} lg={3} className="g-4">
-            {products.map((product) => (
-              <Col key={product.id}>
-                <ProductCard product={product} />
-              </Col>
-            ))}
-          </Row>
-        ) : (
-          <EmptyState
-            title="No products found"
-            message="Check back soon — we're adding new products regularly."
-          />
-        )}
+        <Row className="g-4">
+          <Col lg={3}>
+            <Offcanvas
+              id="product-filters"
+              show={showFilters}
+              onHide={() => setShowFilters(false)}
+              placement="start"
+              responsive="lg"
+            >
+              <Offcanvas.Header closeButton>
+                <Offcanvas.Title>{t('filters.offcanvasTitle')}</Offcanvas.Title>
+              </Offcanvas.Header>
+              <Offcanvas.Body className="d-block">
+                <ProductFilters
+                  facets={facets}
+                  filters={filters}
+                  onChange={updateFilters}
+                  onClear={clearFilters}
+                />
+              </Offcanvas.Body>
+            </Offcanvas>
+          </Col>
+
+          <Col lg={9}>
+            {loadingProducts ? (
+              <ProductGridSkeleton />
+            ) : products.length > 0 ? (
+              <Row xs={1} sm={2} xl={3} className="g-4">
+                {products.map((product) => (
+                  <Col key={product.id}>
+                    <ProductCard product={product} />
+                  </Col>
+                ))}
+              </Row>
+            ) : filtered ? (
+              <EmptyState
+                title={t('home.noMatches.title')}
+                message={t('home.noMatches.message')}
+                action={
+                  <Button variant="primary" onClick={clearFilters}>
+                    {t('filters.clearButton')}
+                  </Button>
+                }
+              />
+            ) : (
+              <EmptyState
+                title={t('home.empty.title')}
+                message={t('home.empty.message')}
+              />
+            )}
+
+            {loadError && (
+              <Alert variant="danger" className="mt-4 mb-0">
+                {loadError}
+              </Alert>
+            )}
+
+            {!loadingProducts && pageInfo?.hasNextPage && (
+              <div className="text-center mt-5">
+                <Button
+                  variant="outline-primary"
+                  className="px-5"
+                  onClick={handleLoadMore}
+                  disabled={loadingMore}
+                >
+                  {loadingMore ? (
+                    <>
+                      <Spinner animation="border" size="sm" className="me-2" />
+                      {t('common.loading')}
+                    </>
+                  ) : (
+                    t('home.loadMore')
+                  )}
+                </Button>
+              </div>
+            )}
+          </Col>
+        </Row>
       </section>
     </>
   );
 }
 
-export async function getStaticProps() {
+export async function getStaticProps({ locale }) {
+  // Same sort as fetchProductPage uses for the unfiltered grid, so "Load
+  // more" can continue from this page's cursor
+  const { sortKey, reverse } = toProductArgs(parseFilterParams({}));
+
   try {
-    const products = await getProducts(20);
+    const [{ products, pageInfo }, facets] = await Promise.all([
+      getProducts(PAGE_SIZE, { sortKey, reverse, context: toInContext(getMarket(locale)) }),
+      getProductFacets(),
+    ]);
     return {
-      props: { products },
+      props: { products, pageInfo, facets },
       revalidate: 60, // ISR: refresh every 60 seconds
     };
   } catch (error) {
     console.error('Error fetching products:', error);
     return {
-      props: { products: [] },
+      props: { products: [], pageInfo: null, facets: null },
       revalidate: 60,
     };
   }
@@ -3,25 +3,31 @@ import Head from 'next/head';
 import Image from 'next/image';
 import Link from 'next/link';
 import { Row, Col, Button, Form, Breadcrumb, Alert } from 'react-bootstrap';
-import { getProductByHandle, getAllProductHandles } from '@/lib/shopify';
+import { getProductByHandle, getAllProductHandles } from '@/shared/storefront';
 import { formatPrice } from '@/lib/formatPrice';
+import { getMarket, toInContext } from '@/lib/markets';
+import { useTranslation } from '@/lib/i18n';
 import { useCart } from '@/lib/cartContext';
 import { ProductDetailSkeleton } from '@/components/LoadingStates';
+import WishlistButton from '@/components/WishlistButton';
 
 export default function ProductDetail({ product }) {
-  const { addToCart, loading: cartLoading } = useCart();
+  const { t, locale } = useTranslation();
+  const { addToCart, error: cartError } = useCart();
+  const [adding, setAdding] = useState(false);
   const [selectedVariant, setSelectedVariant] = useState(
-    product?.variants?.edges?.[0]?.node || null
+    product?.variants?.[0] || null
   );
   const [selectedImage, setSelectedImage] = useState(0);
   const [addedMessage, setAddedMessage] = useState(false);
+  const [addFailed, setAddFailed] = useState(false);
+  const [lotRequirements, setLotRequirements] = useState('');
 
   if (!product) {
     return <ProductDetailSkeleton />;
   }
 
-  const images = product.images?.edges?.map((edge) => edge.node) || [];
-  const variants = product.variants?.edges?.map((edge) => edge.node) || [];
+  const { images, variants } = product;
 
   // Track selected value for each option (e.g. { "Size": "Small", "Color": "Red" })
   const [selectedOptions, setSelectedOptions] = useState(() => {
@@ -37,11 +43,21 @@ export default function ProductDetail({ product }) {
   // Sanitize product description HTML
   const sanitizedDescription = product.descriptionHtml || '';
 
-  function handleAddToCart() {
+  // Line attributes for the cart and the wishlist
+  const lineNote = lotRequirements.trim();
+  const attributes = lineNote ? [{ key: 'Lot Requirements', value: lineNote }] : [];
+
+  async function handleAddToCart() {
     if (!selectedVariant) return;
-    addToCart(product, selectedVariant, 1);
-    setAddedMessage(true);
-    setTimeout(() => setAddedMessage(false), 3000);
+    setAdding(true);
+    setAddFailed(false);
+    const added = await addToCart(product, selectedVariant, 1, attributes);
+    setAdding(false);
+    setAddFailed(!added);
+    if (added) {
+      setAddedMessage(true);
+      setTimeout(() => setAddedMessage(false), 3000);
+    }
   }
 
   return (
@@ -67,7 +83,7 @@ export default function ProductDetail({ product }) {
         {/* Breadcrumbs */}
         <Breadcrumb className="mb-4">
           <Breadcrumb.Item linkAs={Link} href="/">
-            Products
+            {t('nav.products')}
           </Breadcrumb.Item>
           <Breadcrumb.Item active>{product.title}</Breadcrumb.Item>
         </Breadcrumb>
@@ -91,7 +107,7 @@ export default function ProductDetail({ product }) {
                   className="bg-light rounded d-flex align-items-center justify-content-center"
                   style={{ height: '400px' }}
                 >
-                  <span className="text-muted">No image available</span>
+                  <span className="text-muted">{t('product.noImage')}</span>
                 </div>
               )}
             </div>
@@ -113,7 +129,7 @@ export default function ProductDetail({ product }) {
                       cursor: 'pointer',
                       background: 'none',
                     }}
-                    aria-label={`View image ${idx + 1}`}
+                    aria-label={t('product.viewImage', { number: idx + 1 })}
                   >
                     <Image
                       src={img.url}
@@ -136,8 +152,9 @@ export default function ProductDetail({ product }) {
             {selectedVariant && (
               <p className="h4 text-primary mb-4">
                 {formatPrice(
-                  selectedVariant.priceV2.amount,
-                  selectedVariant.priceV2.currencyCode
+                  selectedVariant.price.amount,
+                  selectedVariant.price.currencyCode,
+                  locale
                 )}
               </p>
             )}
@@ -180,26 +197,54 @@ export default function ProductDetail({ product }) {
                 </div>
               )}
 
+            {/* Optional per-line note, saved as a cart line attribute */}
+            <Form.Group controlId="lot-requirements" className="mb-4">
+              <Form.Label className="fw-semibold">
+                {t('product.lotRequirements')}{' '}
+                <span className="text-muted fw-normal">{t('common.optional')}</span>
+              </Form.Label>
+              <Form.Control
+                value={lotRequirements}
+                onChange={(e) => setLotRequirements(e.target.value)}
+                placeholder={t('product.lotRequirementsPlaceholder')}
+                maxLength={255}
+              />
+            </Form.Group>
+
             {/* Add to Cart */}
             <Button
               variant="primary"
               size="lg"
               className="w-100 mb-3 d-none d-md-block"
               onClick={handleAddToCart}
-              disabled={cartLoading || !selectedVariant?.availableForSale}
+              disabled={adding || !selectedVariant?.availableForSale}
             >
-              {cartLoading
-                ? 'Adding…'
+              {adding
+                ? t('product.adding')
                 : selectedVariant?.availableForSale
-                ? 'Add to Cart'
-                : 'Sold Out'}
+                ? t('product.addToCart')
+                : t('product.soldOut')}
             </Button>
 
+            {/* Sold-out variants can be saved too, to buy once they're back */}
+            <WishlistButton
+              product={product}
+              variant={selectedVariant}
+              attributes={attributes}
+              className="w-100 mb-3"
+            />
+
+            {addFailed && cartError && (
+              <Alert variant="danger" className="py-2">
+                {cartError}
+              </Alert>
+            )}
+
             {addedMessage && (
               <Alert variant="success" className="py-2">
-                Added to cart!{' '}
+                {t('product.added')}{' '}
                 <Link href="/cart" className="alert-link">
-                  View cart
+                  {t('product.viewCart')}
                 </Link>
               </Alert>
             )}
@@ -226,8 +271,9 @@ export default function ProductDetail({ product }) {
               {selectedVariant && (
                 <span className="text-primary">
                   {formatPrice(
-                    selectedVariant.priceV2.amount,
-                    selectedVariant.priceV2.currencyCode
+                    selectedVariant.price.amount,
+                    selectedVariant.price.currencyCode,
+                    locale
                   )}
                 </span>
               )}
@@ -235,13 +281,13 @@ export default function ProductDetail({ product }) {
             <Button
               variant="primary"
               onClick={handleAddToCart}
-              disabled={cartLoading || !selectedVariant?.availableForSale}
+              disabled={adding || !selectedVariant?.availableForSale}
             >
-              {cartLoading
-                ? 'Adding…'
+              {adding
+                ? t('product.adding')
                 : selectedVariant?.availableForSale
-                ? 'Add to Cart'
-                : 'Sold Out'}
+                ? t('product.addToCart')
+                : t('product.soldOut')}
             </Button>
           </div>
         </div>
@@ -263,9 +309,9 @@ export async function getStaticPaths() {
   }
 }
 
-export async function getStaticProps({ params }) {
+export async function getStaticProps({ params, locale }) {
   try {
-    const product = await getProductByHandle(params.handle);
+    const product = await getProductByHandle(params.handle, toInContext(getMarket(locale)));
     if (!product) {
       return { notFound: true };
     }
@@ -0,0 +1,362 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { Row, Col, Form, Button, Table, Spinner, Alert } from 'react-bootstrap';
+import { useCart } from '@/lib/cartContext';
+import { fetchWithCsrf } from '@/lib/csrfFetch';
+import { formatPrice } from '@/lib/formatPrice';
+import { getMarket } from '@/lib/markets';
+import {
+  QUICK_ORDER_MAX_ROWS,
+  normalizeSku,
+  parseOrderRows,
+  parseQuantity,
+} from '@/lib/quickOrder';
+import { useTranslation } from '@/lib/i18n';
+
+const BLANK_ROWS = 5;
+// Wait for typing to pause before looking SKUs up
+const LOOKUP_DELAY_MS = 400;
+
+let nextRowKey = 1;
+
+function blankRow() {
+  return { key: nextRowKey++, sku: '', quantity: '1' };
+}
+
+/**
+ * What a row will add, or why it can't be added.
+ * @param {{ sku: string, quantity: string }} row
+ * @param {Map} lookups - Lookup state by normalized SKU
+ * @returns {{ state: 'blank'|'checking'|'invalid'|'ready', error?: string,
+ *   variant?: Object, quantity?: number }} `error` is a translation key
+ */
+function rowStatus(row, lookups) {
+  if (!row.sku.trim()) return { state: 'blank' };
+
+  const lookup = lookups.get(normalizeSku(row.sku));
+  const quantity = parseQuantity(row.quantity);
+  const variant = lookup?.variant;
+
+  if (!lookup || lookup.pending) return { state: 'checking' };
+  if (lookup.failed) return { state: 'invalid', error: 'quickOrder.errors.lookupFailed' };
+  if (!variant) return { state: 'invalid', error: 'quickOrder.errors.unknownSku' };
+  if (!variant.availableForSale) {
+    return { state: 'invalid', error: 'quickOrder.errors.outOfStock', variant };
+  }
+  if (!quantity) return { state: 'invalid', error: 'quickOrder.errors.quantity', variant };
+  return { state: 'ready', variant, quantity };
+}
+
+export default function QuickOrder() {
+  const { t, locale } = useTranslation();
+  const { country, language } = getMarket(useRouter().locale);
+  const { addLines, error: cartError } = useCart();
+  const [rows, setRows] = useState(() => Array.from({ length: BLANK_ROWS }, blankRow));
+  const [lookups, setLookups] = useState(() => new Map());
+  const [pasted, setPasted] = useState('');
+  const [importNotice, setImportNotice] = useState(null);
+  const [adding, setAdding] = useState(false);
+  const [added, setAdded] = useState(null); // quantity added by the last submit
+  const [addFailed, setAddFailed] = useState(false);
+
+  // Look up SKUs that haven't been yet, once typing pauses
+  useEffect(() => {
+    const skus = [...new Set(
+      rows.map((row) => row.sku.trim()).filter((sku) => sku && !lookups.has(normalizeSku(sku)))
+    )];
+    if (skus.length === 0) return;
+
+    const timer = setTimeout(async () => {
+      const update = (entries) => setLookups((prev) => new Map([...prev, ...entries]));
+      update(skus.map((sku) => [normalizeSku(sku), { pending: true }]));
+
+      try {
+        const res = await fetchWithCsrf('/api/variants/lookup', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ skus, country, language }),
+        });
+        if (!res.ok) throw new Error('Failed to look up SKUs');
+        const { results } = await res.json();
+        update(results.map(({ sku, variant }) => [normalizeSku(sku), { variant }]));
+      } catch {
+        update(skus.map((sku) => [normalizeSku(sku), { failed: true }]));
+      }
+    }, LOOKUP_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [rows, lookups, country, language]);
+
+  const statuses = rows.map((row) => rowStatus(row, lookups));
+  const readyCount = statuses.filter((s) => s.state === 'ready').length;
+  const checking = statuses.some((s) => s.state === 'checking');
+  const lookupFailed = [...lookups.values()].some((l) => l.failed);
+
+  function updateRow(key, field, value) {
+    setRows((prev) => prev.map((row) => (row.key === key ? { ...row, [field]: value } : row)));
+  }
+
+  function removeRow(key) {
+    setRows((prev) => {
+      const next = prev.filter((row) => row.key !== key);
+      return next.length > 0 ? next : [blankRow()];
+    });
+  }
+
+  function addRow() {
+    setRows((prev) => (prev.length < QUICK_ORDER_MAX_ROWS ? [...prev, blankRow()] : prev));
+  }
+
+  /** Put imported rows in place of the blank ones, up to the row limit */
+  function importRows(imported) {
+    if (imported.length === 0) {
+      setImportNotice({ variant: 'warning', message: t('quickOrder.import.none') });
+      return;
+    }
+
+    const filled = rows.filter((row) => row.sku.trim());
+    const kept = imported
+      .slice(0, QUICK_ORDER_MAX_ROWS - filled.length)
+      .map((row) => ({ ...blankRow(), ...row }));
+
+    setRows([...filled, ...kept]);
+    setImportNotice(kept.length < imported.length
+      ? {
+        variant: 'warning',
+        message: t('quickOrder.import.truncated', { count: kept.length, max: QUICK_ORDER_MAX_ROWS }),
+      }
+      : { variant: 'success', message: t('quickOrder.import.added', { count: kept.length }) });
+  }
+
+  function handlePaste(e) {
+    e.preventDefault();
+    importRows(parseOrderRows(pasted));
+    setPasted('');
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    importRows(parseOrderRows(await file.text()));
+    e.target.value = '';
+  }
+
+  /** Retry the SKUs whose lookup failed */
+  function retryLookups() {
+    setLookups((prev) => new Map([...prev].filter(([, lookup]) => !lookup.failed)));
+  }
+
+  async function handleAddToCart() {
+    const ready = rows.filter((row, i) => statuses[i].state === 'ready');
+    if (ready.length === 0) return;
+
+    setAdding(true);
+    setAdded(null);
+    setAddFailed(false);
+
+    const entries = ready.map((row) => {
+      const { variant, quantity } = rowStatus(row, lookups);
+      return {
+        product: { title: variant.product.title, handle: variant.product.handle, image: variant.image },
+        variant,
+        quantity,
+      };
+    });
+    const ok = await addLines(entries);
+    setAdding(false);
+
+    if (!ok) {
+      setAddFailed(true);
+      return;
+    }
+
+    // Keep only the rows that still need fixing
+    const addedKeys = new Set(ready.map((row) => row.key));
+    setAdded(entries.reduce((sum, entry) => sum + entry.quantity, 0));
+    setRows((prev) => {
+      const rest = prev.filter((row) => !addedKeys.has(row.key) && row.sku.trim());
+      return rest.length > 0 ? rest : Array.from({ length: BLANK_ROWS }, blankRow);
+    });
+  }
+
+  return (
+    <>
+      <Head>
+        <title>{t('quickOrder.metaTitle')}</title>
+        <meta name="description" content={t('quickOrder.metaDescription')} />
+      </Head>
+
+      <div className="fade-in">
+        <h1 className="h3 mb-2">{t('quickOrder.heading')}</h1>
+        <p className="text-muted mb-4">{t('quickOrder.intro')}</p>
+
+        {added !== null && (
+          <Alert variant="success" dismissible onClose={() => setAdded(null)}>
+            {t('quickOrder.added', { count: added })}{' '}
+            <Link href="/cart" className="alert-link">
+              {t('product.viewCart')}
+            </Link>
+          </Alert>
+        )}
+
+        {addFailed && cartError && <Alert variant="danger">{cartError}</Alert>}
+
+        {lookupFailed && (
+          <Alert variant="warning" className="d-flex align-items-center gap-3">
+            <span className="me-auto">{t('quickOrder.lookupFailed')}</span>
+            <Button size="sm" variant="outline-dark" onClick={retryLookups}>
+              {t('quickOrder.retry')}
+            </Button>
+          </Alert>
+        )}
+
+        <Row className="g-4">
+          <Col lg={8}>
+            <Table responsive className="align-middle">
+              <thead className="table-light">
+                <tr>
+                  <th style={{ width: '30%' }}>{t('quickOrder.table.sku')}</th>
+                  <th style={{ width: '110px' }}>{t('quickOrder.table.quantity')}</th>
+                  <th>{t('quickOrder.table.product')}</th>
+                  <th className="text-end">{t('quickOrder.table.price')}</th>
+                  <th style={{ width: '50px' }}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, index) => {
+                  const status = statuses[index];
+                  const { variant } = status;
+                  return (
+                    <tr key={row.key}>
+                      <td>
+                        <Form.Control
+                          size="sm"
+                          value={row.sku}
+                          onChange={(e) => updateRow(row.key, 'sku', e.target.value)}
+                          isInvalid={status.state === 'invalid' && !variant}
+                          maxLength={255}
+                          aria-label={t('quickOrder.table.skuLabel', { number: index + 1 })}
+                        />
+                      </td>
+                      <td>
+                        <Form.Control
+                          size="sm"
+                          type="number"
+                          min={1}
+                          max={9999}
+                          value={row.quantity}
+                          onChange={(e) => updateRow(row.key, 'quantity', e.target.value)}
+                          isInvalid={status.error === 'quickOrder.errors.quantity'}
+                          aria-label={t('quickOrder.table.quantityLabel', { number: index + 1 })}
+                        />
+                      </td>
+                      <td>
+                        {status.state === 'checking' && (
+                          <span className="text-muted small">
+                            <Spinner animation="border" size="sm" className="me-2" />
+                            {t('quickOrder.checking')}
+                          </span>
+                        )}
+                        {variant && (
+                          <Link
+                            href={`/products/${variant.product.handle}`}
+                            className="text-dark text-decoration-none d-block"
+                          >
+                            <span className="fw-semibold">{variant.product.title}</span>
+                            {variant.title !== 'Default Title' && (
+                              <small className="text-muted"> — {variant.title}</small>
+                            )}
+                          </Link>
+                        )}
+                        {status.error && (
+                          <small className="text-danger d-block">{t(status.error)}</small>
+                        )}
+                      </td>
+                      <td className="text-end text-nowrap">
+                        {variant && formatPrice(variant.price.amount, variant.price.currencyCode, locale)}
+                      </td>
+                      <td>
+                        <Button
+                          variant="link"
+                          className="text-danger p-0"
+                          onClick={() => removeRow(row.key)}
+                          aria-label={t('quickOrder.removeRow', { number: index + 1 })}
+                        >
+                          &times;
+                        </Button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+
+            <div className="d-flex flex-wrap align-items-center gap-2">
+              <Button
+                variant="outline-secondary"
+                size="sm"
+                onClick={addRow}
+                disabled={rows.length >= QUICK_ORDER_MAX_ROWS}
+              >
+                {t('quickOrder.addRow')}
+              </Button>
+              <span className="text-muted small me-auto">
+                {t('quickOrder.ready', { count: readyCount })}
+              </span>
+              <Button
+                variant="primary"
+                onClick={handleAddToCart}
+                disabled={adding || checking || readyCount === 0}
+              >
+                {adding ? t('product.adding') : t('quickOrder.addToCart', { count: readyCount })}
+              </Button>
+            </div>
+          </Col>
+
+          <Col lg={4}>
+            <div className="bg-light rounded p-4">
+              <Form onSubmit={handlePaste}>
+                <Form.Group controlId="quick-order-paste" className="mb-3">
+                  <Form.Label className="fw-semibold">{t('quickOrder.import.pasteLabel')}</Form.Label>
+                  <Form.Control
+                    as="textarea"
+                    rows={6}
+                    value={pasted}
+                    onChange={(e) => setPasted(e.target.value)}
+                    placeholder={'BP-1001, 2\nBP-2040, 10'}
+                    className="font-monospace"
+                  />
+                  <Form.Text>{t('quickOrder.import.pasteHelp')}</Form.Text>
+                </Form.Group>
+                <Button type="submit" variant="outline-primary" size="sm" disabled={!pasted.trim()}>
+                  {t('quickOrder.import.pasteSubmit')}
+                </Button>
+              </Form>
+
+              <hr />
+
+              <Form.Group controlId="quick-order-file">
+                <Form.Label className="fw-semibold">{t('quickOrder.import.fileLabel')}</Form.Label>
+                <Form.Control
+                  type="file"
+                  size="sm"
+                  accept=".csv,text/csv,text/plain"
+                  onChange={handleFile}
+                />
+                <Form.Text>{t('quickOrder.import.fileHelp')}</Form.Text>
+              </Form.Group>
+
+              {importNotice && (
+                <Alert variant={importNotice.variant} className="py-2 mt-3 mb-0">
+                  {importNotice.message}
+                </Alert>
+              )}
+            </div>
+          </Col>
+        </Row>
+      </div>
+    </>
+  );
+}
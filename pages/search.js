@@ -0,0 +1,185 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import { Row, Col, Button, Form, InputGroup, Alert } from 'react-bootstrap';
+import { searchProducts } from '@/shared/storefront';
+import { getMarket, toInContext } from '@/lib/markets';
+import { getCartSessionProps } from '@/lib/cartSession';
+import { useTranslation, translate } from '@/lib/i18n';
+import ProductCard from '@/components/ProductCard';
+import { EmptyState } from '@/components/LoadingStates';
+
+const PAGE_SIZE = 20;
+
+export default function Search({ query, products: initialProducts, totalCount, pageInfo: initialPageInfo, error }) {
+  const router = useRouter();
+  const { t } = useTranslation();
+  const [term, setTerm] = useState(query);
+  const [products, setProducts] = useState(initialProducts);
+  const [pageInfo, setPageInfo] = useState(initialPageInfo);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+
+  // The query string is the source of truth — reset local state whenever a
+  // new search (from this form or the Navbar) lands on the page.
+  useEffect(() => {
+    setTerm(query);
+    setProducts(initialProducts);
+    setPageInfo(initialPageInfo);
+    setLoadError(null);
+  }, [query, initialProducts, initialPageInfo]);
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    const q = term.trim();
+    router.push(q ? { pathname: '/search', query: { q } } : '/search');
+  }
+
+  /** Append the next cursor page of results */
+  async function handleLoadMore() {
+    if (!pageInfo?.hasNextPage || loadingMore) return;
+    setLoadingMore(true);
+    setLoadError(null);
+
+    try {
+      const market = getMarket(router.locale);
+      const params = new URLSearchParams({
+        q: query,
+        limit: String(PAGE_SIZE),
+        after: pageInfo.endCursor,
+        country: market.country,
+        language: market.language,
+      });
+      const res = await fetch(`/api/search?${params}`);
+      if (!res.ok) throw new Error(t('search.loadMoreFailed'));
+      const data = await res.json();
+      setProducts((prev) => [...prev, ...data.products]);
+      setPageInfo(data.pageInfo);
+    } catch (err) {
+      setLoadError(err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  const title = query
+    ? t('search.metaTitleQuery', { query })
+    : t('search.metaTitle');
+
+  return (
+    <>
+      <Head>
+        <title>{title}</title>
+        <meta name="description" content={t('search.metaDescription')} />
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="fade-in">
+        <h1 className="h3 mb-4">{t('search.heading')}</h1>
+
+        <Form onSubmit={handleSubmit} className="mb-4" role="search">
+          <InputGroup>
+            <Form.Control
+              type="search"
+              value={term}
+              onChange={(e) => setTerm(e.target.value)}
+              placeholder={t('search.placeholder')}
+              aria-label={t('search.label')}
+            />
+            <Button type="submit" variant="primary">
+              {t('search.submit')}
+            </Button>
+          </InputGroup>
+        </Form>
+
+        {error && (
+          <Alert variant="danger">{error}</Alert>
+        )}
+
+        {query && !error && (
+          <>
+            <p className="text-muted mb-4">
+              {t('search.resultsFor', { count: totalCount })}{' '}
+              <strong className="text-dark">“{query}”</strong>
+            </p>
+
+            {products.length > 0 ? (
+              <Row xs={1} sm={2} lg={3} className="g-4">
+                {products.map((product) => (
+                  <Col key={product.id}>
+                    <ProductCard product={product} />
+                  </Col>
+                ))}
+              </Row>
+            ) : (
+              <EmptyState
+                title={t('search.empty.title')}
+                message={t('search.empty.message')}
+              />
+            )}
+
+            {loadError && (
+              <Alert variant="danger" className="mt-4 mb-0">
+                {loadError}
+              </Alert>
+            )}
+
+            {pageInfo?.hasNextPage && (
+              <div className="text-center mt-5">
+                <Button
+                  variant="outline-primary"
+                  className="px-5"
+                  onClick={handleLoadMore}
+                  disabled={loadingMore}
+                >
+                  {loadingMore ? t('common.loading') : t('search.loadMore')}
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </>
+  );
+}
+
+export async function getServerSideProps({ query: params, locale, req, res }) {
+  const query = typeof params.q === 'string' ? params.q.trim() : '';
+  // Loaded alongside the search so the Navbar shows the cart on first paint
+  const cartProps = getCartSessionProps({ req, res });
+
+  if (!query) {
+    return {
+      props: {
+        ...(await cartProps),
+        query: '',
+        products: [],
+        totalCount: 0,
+        pageInfo: null,
+        error: null,
+      },
+    };
+  }
+
+  try {
+    const { products, totalCount, pageInfo } = await searchProducts(query, {
+      first: PAGE_SIZE,
+      context: toInContext(getMarket(locale)),
+    });
+    return {
+      props: { ...(await cartProps), query, products, totalCount, pageInfo, error: null },
+    };
+  } catch (error) {
+    console.error('Error searching products:', error);
+    return {
+      props: {
+        ...(await cartProps),
+        query,
+        products: [],
+        totalCount: 0,
+        pageInfo: null,
+        error: translate(locale, 'search.unavailable'),
+      },
+    };
+  }
+}
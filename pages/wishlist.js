@@ -0,0 +1,215 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import Image from 'next/image';
+import { useRouter } from 'next/router';
+import { Alert, Button, Spinner } from 'react-bootstrap';
+import { useWishlist } from '@/lib/wishlistContext';
+import { useCart } from '@/lib/cartContext';
+import { useAccount } from '@/lib/accountContext';
+import { formatPrice } from '@/lib/formatPrice';
+import { getMarket } from '@/lib/markets';
+import { useTranslation } from '@/lib/i18n';
+import { EmptyState } from '@/components/LoadingStates';
+
+/**
+ * Current price and availability of the saved variants, in the buyer's
+ * market.
+ * @returns {Map<string, Object>|null} Variants by ID (missing ones no longer
+ *   exist), or null until loaded or if the lookup failed
+ */
+function useCurrentVariants(ids) {
+  const { country, language } = getMarket(useRouter().locale);
+  const [variants, setVariants] = useState(null);
+  const key = ids.join(',');
+
+  useEffect(() => {
+    if (!key) {
+      setVariants(new Map());
+      return;
+    }
+
+    let cancelled = false;
+    fetch(`/api/variants?${new URLSearchParams({ ids: key, country, language })}`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (!cancelled) setVariants(data && new Map(data.variants.map((v) => [v.id, v])));
+      })
+      .catch(() => {
+        if (!cancelled) setVariants(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key, country, language]);
+
+  return variants;
+}
+
+function SavedItem({ item, variant, checked }) {
+  const { t, locale } = useTranslation();
+  const { remove, moveToCart } = useWishlist();
+  const { error: cartError } = useCart();
+  const [moving, setMoving] = useState(false);
+  const [moveFailed, setMoveFailed] = useState(false);
+  const gone = checked && !variant;
+  const price = variant?.price || item.price;
+  const priceChanged = variant && item.price
+    && variant.price.currencyCode === item.price.currencyCode
+    && parseFloat(variant.price.amount) !== parseFloat(item.price.amount);
+
+  async function handleMoveToCart() {
+    setMoving(true);
+    setMoveFailed(false);
+    const moved = await moveToCart(item, variant);
+    setMoving(false);
+    setMoveFailed(!moved);
+  }
+
+  return (
+    <li
+      className={`d-flex flex-wrap align-items-center gap-3 py-3 border-bottom ${
+        moving ? 'cart-line--pending' : ''
+      }`}
+      aria-busy={moving}
+    >
+      {item.imageUrl ? (
+        <Image
+          src={item.imageUrl}
+          alt={item.imageAlt || item.productTitle}
+          width={64}
+          height={64}
+          className="rounded flex-shrink-0"
+          style={{ objectFit: 'cover' }}
+        />
+      ) : (
+        <div className="bg-light rounded flex-shrink-0" style={{ width: 64, height: 64 }} />
+      )}
+
+      <div className="me-auto">
+        <Link
+          href={`/products/${item.productHandle}`}
+          className="text-dark fw-semibold text-decoration-none"
+        >
+          {item.productTitle}
+        </Link>
+        {item.variantTitle && <small className="d-block text-muted">{item.variantTitle}</small>}
+        {item.attributes.map((a) => (
+          <small key={a.key} className="d-block text-muted">
+            {a.key}: {a.value}
+          </small>
+        ))}
+        <small className="d-block text-muted">
+          {t('wishlist.quantity', { quantity: item.quantity })}
+        </small>
+      </div>
+
+      <div className="text-end">
+        {gone ? (
+          <span className="text-muted">{t('wishlist.unavailable')}</span>
+        ) : (
+          <>
+            {price && (
+              <span className="fw-semibold">
+                {formatPrice(price.amount, price.currencyCode, locale)}
+              </span>
+            )}
+            {priceChanged && (
+              <small className="d-block text-muted">
+                {t('wishlist.priceWhenSaved', {
+                  price: formatPrice(item.price.amount, item.price.currencyCode, locale),
+                })}
+              </small>
+            )}
+            {variant && !variant.availableForSale && (
+              <small className="d-block text-danger">{t('wishlist.soldOut')}</small>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="d-flex gap-2">
+        <Button
+          size="sm"
+          variant="primary"
+          onClick={handleMoveToCart}
+          disabled={moving || !variant?.availableForSale}
+        >
+          {moving ? t('wishlist.moving') : t('wishlist.moveToCart')}
+        </Button>
+        <Button
+          size="sm"
+          variant="outline-secondary"
+          onClick={() => remove(item.variantId)}
+          disabled={moving}
+          aria-label={t('wishlist.removeLabel', { title: item.productTitle })}
+        >
+          {t('wishlist.remove')}
+        </Button>
+      </div>
+
+      {moveFailed && cartError && (
+        <small className="w-100 text-danger text-end">{cartError}</small>
+      )}
+    </li>
+  );
+}
+
+export default function Wishlist() {
+  const { t } = useTranslation();
+  const { items, loading, synced, error } = useWishlist();
+  const { customer } = useAccount();
+  const variants = useCurrentVariants(loading ? [] : items.map((i) => i.variantId));
+
+  return (
+    <>
+      <Head>
+        <title>{t('wishlist.metaTitle')}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="fade-in">
+        <h1 className="h3 mb-2">{t('wishlist.heading')}</h1>
+        {!loading && (
+          <p className="text-muted mb-4">
+            {synced ? t('wishlist.synced') : t('wishlist.local')}{' '}
+            {customer === null && (
+              <Link href="/account/login?returnTo=/wishlist">{t('wishlist.signIn')}</Link>
+            )}
+          </p>
+        )}
+
+        {error && <Alert variant="warning">{error}</Alert>}
+
+        {loading ? (
+          <div className="text-center py-5 text-muted">
+            <Spinner animation="border" size="sm" className="me-2" />
+            {t('wishlist.loading')}
+          </div>
+        ) : items.length === 0 ? (
+          <EmptyState
+            title={t('wishlist.empty.title')}
+            message={t('wishlist.empty.message')}
+            action={
+              <Link href="/" className="btn btn-primary">
+                {t('cart.continueShopping')}
+              </Link>
+            }
+          />
+        ) : (
+          <ul className="list-unstyled mb-0">
+            {items.map((item) => (
+              <SavedItem
+                key={item.variantId}
+                item={item}
+                variant={variants?.get(item.variantId) || null}
+                checked={variants !== null}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+    </>
+  );
+}
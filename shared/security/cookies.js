@@ -0,0 +1,124 @@
+/**
+ * Cookie parsing, serialization and signing for the Next.js API routes and
+ * the Express server (which has no cookie middleware of its own).
+ *
+ * Signed values have the form `<value>.<signature>`, where the signature is
+ * an HMAC-SHA256 of the value keyed with COOKIE_SECRET.
+ */
+
+const { createHmac, randomBytes, timingSafeEqual } = require('crypto');
+
+let ephemeralSecret = null;
+
+/**
+ * COOKIE_SECRET, or a random per-process secret when it isn't set — signed
+ * cookies then stop verifying whenever the server restarts.
+ * @returns {string}
+ */
+function getCookieSecret() {
+  if (process.env.COOKIE_SECRET) return process.env.COOKIE_SECRET;
+  if (!ephemeralSecret) {
+    ephemeralSecret = randomBytes(32).toString('hex');
+    console.warn('COOKIE_SECRET is not set — signed cookies will not survive a restart');
+  }
+  return ephemeralSecret;
+}
+
+/**
+ * Parse a Cookie request header.
+ * @param {string} [header]
+ * @returns {Object<string, string>}
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+
+  for (const pair of header.split(';')) {
+    const index = pair.indexOf('=');
+    if (index < 0) continue;
+    const name = pair.slice(0, index).trim();
+    if (!name || name in cookies) continue;
+    const value = pair.slice(index + 1).trim().replace(/^"(.*)"$/, '$1');
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Build a Set-Cookie header value.
+ * @param {string} name
+ * @param {string} value
+ * @param {Object} [options]
+ * @param {number} [options.maxAge] - Lifetime in seconds; 0 deletes the cookie
+ * @param {string} [options.path='/']
+ * @param {boolean} [options.httpOnly=true]
+ * @param {boolean} [options.secure] - Defaults to true in production
+ * @param {'Strict'|'Lax'|'None'} [options.sameSite='Lax']
+ * @returns {string}
+ */
+function serializeCookie(name, value, {
+  maxAge,
+  path = '/',
+  httpOnly = true,
+  secure = process.env.NODE_ENV === 'production',
+  sameSite = 'Lax',
+} = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, `Path=${path}`, `SameSite=${sameSite}`];
+  if (maxAge != null) parts.push(`Max-Age=${Math.floor(maxAge)}`);
+  if (httpOnly) parts.push('HttpOnly');
+  if (secure) parts.push('Secure');
+  return parts.join('; ');
+}
+
+/**
+ * Add a Set-Cookie header to a response, keeping any set earlier (a
+ * response may, say, renew the cart session and end the customer's).
+ * @param {import('http').ServerResponse} res - Node, Next.js or Express response
+ * @param {string} cookie - Value from serializeCookie()
+ */
+function appendSetCookie(res, cookie) {
+  const existing = res.getHeader('Set-Cookie');
+  res.setHeader('Set-Cookie', [].concat(existing ?? [], cookie));
+}
+
+function signature(value) {
+  return createHmac('sha256', getCookieSecret()).update(value).digest('base64url');
+}
+
+/**
+ * @param {string} value
+ * @returns {string} `<value>.<signature>`
+ */
+function signValue(value) {
+  return `${value}.${signature(value)}`;
+}
+
+/**
+ * Verify a value produced by signValue().
+ * @param {string} [signed]
+ * @returns {string|null} The original value, or null if missing or tampered with
+ */
+function unsignValue(signed) {
+  if (typeof signed !== 'string') return null;
+  const index = signed.lastIndexOf('.');
+  if (index < 1) return null;
+
+  const value = signed.slice(0, index);
+  const given = Buffer.from(signed.slice(index + 1));
+  const expected = Buffer.from(signature(value));
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+  return value;
+}
+
+module.exports = {
+  getCookieSecret,
+  parseCookies,
+  serializeCookie,
+  appendSetCookie,
+  signValue,
+  unsignValue,
+};
@@ -0,0 +1,91 @@
+/**
+ * CSRF protection for cart mutations (signed double-submit tokens).
+ *
+ * GET /api/csrf sets an HttpOnly CSRF_COOKIE holding a signed random token
+ * and returns the same token in its body. Mutating requests must echo it in
+ * the X-CSRF-Token header: another site can neither read the token nor
+ * (without passing CORS preflight) send the header. Requests whose Origin
+ * header names a site that isn't allowed are refused outright.
+ */
+
+const { randomBytes, timingSafeEqual } = require('crypto');
+const { signValue, unsignValue, serializeCookie } = require('./cookies');
+const { isAllowedOrigin } = require('./origins');
+
+const CSRF_COOKIE = 'biophase_csrf';
+const CSRF_HEADER = 'x-csrf-token';
+const CSRF_TTL_SECONDS = 24 * 60 * 60;
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/** @returns {string} A new signed token */
+function createCsrfToken() {
+  return signValue(randomBytes(18).toString('base64url'));
+}
+
+/**
+ * The request's CSRF token if it holds a valid one, otherwise a new token
+ * with the Set-Cookie header that stores it.
+ * @param {string} [cookieToken] - Current CSRF_COOKIE value
+ * @returns {{ token: string, setCookie: string|null }}
+ */
+function issueCsrfToken(cookieToken) {
+  if (unsignValue(cookieToken)) return { token: cookieToken, setCookie: null };
+
+  const token = createCsrfToken();
+  return {
+    token,
+    setCookie: serializeCookie(CSRF_COOKIE, token, {
+      maxAge: CSRF_TTL_SECONDS,
+      sameSite: 'Strict',
+    }),
+  };
+}
+
+function sameToken(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Check a request for cross-site forgery. Safe methods always pass.
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {string} [request.origin] - Origin header
+ * @param {string} [request.host] - Host the request was sent to
+ * @param {string} [request.cookieToken] - CSRF_COOKIE value
+ * @param {string} [request.headerToken] - X-CSRF-Token header
+ * @param {Object} [options]
+ * @param {boolean} [options.allowList=true] - Accept CORS_ORIGINS as well as
+ *   the API's own origin (see ./origins.js)
+ * @returns {{ code: string, message: string }|null} Why it was refused, or null
+ */
+function checkCsrf({ method, origin, host, cookieToken, headerToken }, { allowList = true } = {}) {
+  if (SAFE_METHODS.includes(method)) return null;
+
+  if (origin && !isAllowedOrigin(origin, { host, allowList })) {
+    return { code: 'ORIGIN_NOT_ALLOWED', message: 'Requests from this origin are not allowed' };
+  }
+
+  if (
+    typeof headerToken !== 'string'
+    || typeof cookieToken !== 'string'
+    || !sameToken(headerToken, cookieToken)
+    || !unsignValue(headerToken)
+  ) {
+    return {
+      code: 'CSRF_TOKEN_INVALID',
+      message: 'Missing or invalid CSRF token — fetch one from /api/csrf',
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  issueCsrfToken,
+  checkCsrf,
+};
@@ -0,0 +1,77 @@
+/**
+ * Security response headers, shared by next.config.mjs (pages and Next.js
+ * API routes) and the Express server.
+ */
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+/**
+ * Content-Security-Policy for the storefront pages. Product images come
+ * from Shopify's CDN and the Inter font from Google Fonts; React Bootstrap
+ * sets inline styles. In development Next.js also needs eval and inline
+ * scripts (React Refresh) and a websocket for hot reloading.
+ */
+const STOREFRONT_CSP = {
+  'default-src': ["'self'"],
+  'script-src': ["'self'", ...(isProduction ? [] : ["'unsafe-eval'", "'unsafe-inline'"])],
+  'style-src': ["'self'", "'unsafe-inline'", 'https://fonts.googleapis.com'],
+  'font-src': ["'self'", 'https://fonts.gstatic.com', 'data:'],
+  'img-src': ["'self'", 'https://cdn.shopify.com', 'data:', 'blob:'],
+  'connect-src': ["'self'", ...(isProduction ? [] : ['ws:'])],
+  'object-src': ["'none'"],
+  'base-uri': ["'self'"],
+  'form-action': ["'self'"],
+  'frame-ancestors': ["'none'"],
+};
+
+/** JSON API responses load nothing and may not be framed */
+const API_CSP = {
+  'default-src': ["'none'"],
+  'frame-ancestors': ["'none'"],
+};
+
+/** Swagger UI (/api/docs): its own scripts, inline styles and data: icons */
+const DOCS_CSP = {
+  'default-src': ["'self'"],
+  'style-src': ["'self'", "'unsafe-inline'"],
+  'img-src': ["'self'", 'data:'],
+  'object-src': ["'none'"],
+  'frame-ancestors': ["'none'"],
+};
+
+/**
+ * @param {Object<string, string[]>} directives
+ * @returns {string} Content-Security-Policy header value
+ */
+function contentSecurityPolicy(directives) {
+  return Object.entries(directives)
+    .map(([name, sources]) => [name, ...sources].join(' '))
+    .join('; ');
+}
+
+/**
+ * Headers for every response. HSTS is only sent in production, so local
+ * http:// servers keep working.
+ * @param {Object<string, string[]>} csp - CSP directives, e.g. STOREFRONT_CSP
+ * @returns {Array<{ key: string, value: string }>}
+ */
+function securityHeaders(csp) {
+  return [
+    { key: 'Content-Security-Policy', value: contentSecurityPolicy(csp) },
+    ...(isProduction
+      ? [{ key: 'Strict-Transport-Security', value: 'max-age=63072000; includeSubDomains' }]
+      : []),
+    { key: 'X-Frame-Options', value: 'DENY' },
+    { key: 'X-Content-Type-Options', value: 'nosniff' },
+    { key: 'Referrer-Policy', value: 'strict-origin-when-cross-origin' },
+    { key: 'Permissions-Policy', value: 'camera=(), microphone=(), geolocation=()' },
+  ];
+}
+
+module.exports = {
+  STOREFRONT_CSP,
+  API_CSP,
+  DOCS_CSP,
+  contentSecurityPolicy,
+  securityHeaders,
+};
@@ -0,0 +1,20 @@
+/**
+ * Request hardening shared by the Next.js API routes and the Express API.
+ *
+ *   cookies.js    cookie parsing, Set-Cookie values, HMAC-signed values
+ *   origins.js    CORS_ORIGINS allowlist and same-origin checks
+ *   csrf.js       signed double-submit CSRF tokens for cart mutations
+ *   rateLimit.js  per-IP request limits for the cart and product routes
+ *   headers.js    CSP, HSTS and other security headers
+ *
+ * CommonJS so the Express API and next.config.mjs can load it directly;
+ * Next.js code imports it through the `@/shared/security` alias.
+ */
+
+module.exports = {
+  ...require('./cookies'),
+  ...require('./origins'),
+  ...require('./csrf'),
+  ...require('./rateLimit'),
+  ...require('./headers'),
+};
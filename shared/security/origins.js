@@ -0,0 +1,50 @@
+/**
+ * Origins allowed to call the APIs from another site.
+ *
+ * CORS_ORIGINS is a comma-separated allowlist, e.g.
+ *   CORS_ORIGINS=https://www.example.com,https://staging.example.com
+ * and defaults to the Next.js dev server. Requests from the API's own
+ * origin are always allowed.
+ */
+
+const DEFAULT_ORIGINS = ['http://localhost:3000'];
+
+let allowedOrigins = null;
+
+/** @returns {string[]} Allowed origins, without trailing slashes */
+function getAllowedOrigins() {
+  if (!allowedOrigins) {
+    allowedOrigins = process.env.CORS_ORIGINS
+      ? process.env.CORS_ORIGINS.split(',').map((o) => o.trim().replace(/\/+$/, '')).filter(Boolean)
+      : DEFAULT_ORIGINS;
+  }
+  return allowedOrigins;
+}
+
+/**
+ * Whether `origin` is the API's own origin.
+ * @param {string} origin - Origin request header, e.g. "https://www.example.com"
+ * @param {string} host - Host the request was sent to, e.g. "www.example.com"
+ */
+function isSameOrigin(origin, host) {
+  try {
+    return Boolean(host) && new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a cross-origin caller may use the API.
+ * @param {string} origin - Origin request header
+ * @param {Object} [options]
+ * @param {string} [options.host] - Request host, for the same-origin check
+ * @param {boolean} [options.allowList=true] - Also accept CORS_ORIGINS;
+ *   false allows the API's own origin only
+ */
+function isAllowedOrigin(origin, { host, allowList = true } = {}) {
+  if (isSameOrigin(origin, host)) return true;
+  return allowList && getAllowedOrigins().includes(origin);
+}
+
+module.exports = { getAllowedOrigins, isSameOrigin, isAllowedOrigin };
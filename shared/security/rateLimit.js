@@ -0,0 +1,100 @@
+/**
+ * Per-client request rate limits (fixed one-minute windows, in memory).
+ *
+ * Limits are per process: each Express server or Next.js instance counts
+ * on its own, so a deployment with N instances allows up to N times the
+ * limit. Buckets and their defaults (requests per minute per client IP):
+ *   - cart     — RATE_LIMIT_CART, default 60     (/api/cart/*)
+ *   - products — RATE_LIMIT_PRODUCTS, default 120 (/api/products*)
+ *   - account  — RATE_LIMIT_ACCOUNT, default 20   (/api/account/*; slows
+ *                password guessing)
+ */
+
+const WINDOW_MS = 60 * 1000;
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 1 ? fallback : value;
+}
+
+const BUCKETS = {
+  cart: { max: envInt('RATE_LIMIT_CART', 60) },
+  products: { max: envInt('RATE_LIMIT_PRODUCTS', 120) },
+  account: { max: envInt('RATE_LIMIT_ACCOUNT', 20) },
+};
+
+/**
+ * @typedef {Object} RateLimitResult
+ * @property {boolean} limited - The request is over the limit
+ * @property {number} limit - Requests allowed per window
+ * @property {number} remaining - Requests left in this window
+ * @property {number} reset - Seconds until the window resets
+ */
+
+/**
+ * @param {Object} options
+ * @param {number} options.max - Requests allowed per window
+ * @param {number} [options.windowMs=60000]
+ * @returns {{ hit: (key: string) => RateLimitResult }}
+ */
+function createRateLimiter({ max, windowMs = WINDOW_MS }) {
+  const windows = new Map();
+  let nextSweep = Date.now() + windowMs;
+
+  return {
+    hit(key) {
+      const now = Date.now();
+
+      // Drop finished windows now and then so idle clients don't pile up
+      if (now >= nextSweep) {
+        for (const [k, w] of windows) {
+          if (w.resetAt <= now) windows.delete(k);
+        }
+        nextSweep = now + windowMs;
+      }
+
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count++;
+
+      return {
+        limited: window.count > max,
+        limit: max,
+        remaining: Math.max(0, max - window.count),
+        reset: Math.ceil((window.resetAt - now) / 1000),
+      };
+    },
+  };
+}
+
+const limiters = new Map();
+
+/**
+ * The shared limiter for a bucket.
+ * @param {'cart'|'products'|'account'} bucket
+ */
+function getRateLimiter(bucket) {
+  if (!BUCKETS[bucket]) throw new Error(`Unknown rate limit bucket: ${bucket}`);
+  if (!limiters.has(bucket)) limiters.set(bucket, createRateLimiter(BUCKETS[bucket]));
+  return limiters.get(bucket);
+}
+
+/**
+ * Response headers describing a rate limit result (IETF RateLimit draft),
+ * plus Retry-After once the client is over the limit.
+ * @param {RateLimitResult} result
+ * @returns {Object<string, string>}
+ */
+function rateLimitHeaders({ limited, limit, remaining, reset }) {
+  return {
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(reset),
+    ...(limited && { 'Retry-After': String(reset) }),
+  };
+}
+
+module.exports = { createRateLimiter, getRateLimiter, rateLimitHeaders };
@@ -0,0 +1,155 @@
+/**
+ * Shopify Admin API access for what the Storefront API can't do: writing
+ * customer metafields (the wishlist of a signed-in customer is kept in one).
+ *
+ * Needs SHOPIFY_ADMIN_ACCESS_TOKEN, an Admin API token from a custom app
+ * with the read_customers and write_customers scopes. It is optional —
+ * without it hasAdminAccess() is false and callers fall back to keeping the
+ * data in the browser. Server-side only, like the Storefront token.
+ *
+ * Admin requests time out like Storefront requests but aren't retried and
+ * don't count towards the Storefront circuit breaker (./resilience.js): an
+ * Admin API problem shouldn't take the storefront down with it.
+ */
+
+const { StorefrontError, ThrottledError, TimeoutError, UserError } = require('./errors');
+const { parseRetryAfter } = require('./resilience');
+
+const domain = process.env.SHOPIFY_STORE_URL;
+const adminToken = process.env.SHOPIFY_ADMIN_ACCESS_TOKEN || null;
+
+const ADMIN_ENDPOINT = `https://${domain}/admin/api/2026-01/graphql.json`;
+
+const TIMEOUT_MS = parseInt(process.env.STOREFRONT_TIMEOUT_MS, 10) || 8000;
+
+/**
+ * @returns {boolean} Whether an Admin API token is configured
+ */
+function hasAdminAccess() {
+  return adminToken !== null;
+}
+
+/**
+ * Execute a GraphQL query against the Shopify Admin API.
+ * @param {string} query - GraphQL query/mutation
+ * @param {Object} variables - Query variables
+ * @returns {Object} Parsed response data
+ */
+async function adminFetch(query, variables = {}) {
+  if (!adminToken) {
+    throw new Error('SHOPIFY_ADMIN_ACCESS_TOKEN is not set; check hasAdminAccess() first');
+  }
+
+  const signal = AbortSignal.timeout(TIMEOUT_MS);
+  let res;
+
+  try {
+    res = await fetch(ADMIN_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': adminToken,
+      },
+      body: JSON.stringify({ query, variables }),
+      signal,
+    });
+  } catch (error) {
+    if (signal.aborted) throw new TimeoutError(TIMEOUT_MS);
+    throw new StorefrontError('Could not reach the Admin API', {
+      code: 'STOREFRONT_UNREACHABLE',
+      cause: error,
+    });
+  }
+
+  if (res.status === 429) {
+    throw new ThrottledError(parseRetryAfter(res.headers.get('Retry-After')));
+  }
+
+  if (!res.ok) {
+    const body = await res.text();
+    throw new StorefrontError(`Admin API error (${res.status}): ${body}`, {
+      upstreamStatus: res.status,
+    });
+  }
+
+  const json = await res.json();
+
+  if (json.errors) {
+    if (json.errors.some((e) => e.extensions?.code === 'THROTTLED')) {
+      throw new ThrottledError();
+    }
+    throw new StorefrontError(`Admin GraphQL errors: ${JSON.stringify(json.errors, null, 2)}`);
+  }
+
+  return json.data;
+}
+
+/**
+ * Read a JSON metafield of a customer.
+ * @param {string} customerId - Customer GID (the Storefront customer `id`)
+ * @param {string} namespace
+ * @param {string} key
+ * @returns {*} The parsed value, or null if the metafield isn't set
+ */
+async function getCustomerMetafield(customerId, namespace, key) {
+  const query = `
+    query GetCustomerMetafield($id: ID!, $namespace: String!, $key: String!) {
+      customer(id: $id) {
+        metafield(namespace: $namespace, key: $key) {
+          value
+        }
+      }
+    }
+  `;
+
+  const data = await adminFetch(query, { id: customerId, namespace, key });
+  const value = data.customer?.metafield?.value;
+  if (value == null) return null;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a JSON metafield of a customer, creating it if needed.
+ * @param {string} customerId - Customer GID
+ * @param {string} namespace
+ * @param {string} key
+ * @param {*} value - Serialized as JSON
+ * @throws {UserError} if Shopify rejects the value (e.g. too large)
+ */
+async function setCustomerMetafield(customerId, namespace, key, value) {
+  const mutation = `
+    mutation SetCustomerMetafield($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `;
+
+  const data = await adminFetch(mutation, {
+    metafields: [{
+      ownerId: customerId,
+      namespace,
+      key,
+      type: 'json',
+      value: JSON.stringify(value),
+    }],
+  });
+
+  const { userErrors } = data.metafieldsSet;
+  if (userErrors.length > 0) throw new UserError('Save customer metafield', userErrors);
+}
+
+module.exports = {
+  hasAdminAccess,
+  getCustomerMetafield,
+  setCustomerMetafield,
+};
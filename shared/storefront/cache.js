@@ -0,0 +1,187 @@
+/**
+ * Response cache for Storefront API queries.
+ *
+ * Catalog reads (products, collections, search) are cached per query +
+ * variables so repeated API route and page requests don't each spend
+ * Storefront API budget. Every cached operation has a TTL, after which the
+ * entry is served stale for up to `staleWhileRevalidate` seconds while a
+ * single background request refreshes it.
+ *
+ * Only operations listed in CACHE_POLICIES are cached. Mutations and carts
+ * are never cached — they're per-buyer and must always be current.
+ *
+ * The store is pluggable: anything implementing the CacheAdapter interface
+ * (e.g. a Redis client wrapper) can replace the in-memory LRU via
+ * setStorefrontCache().
+ *
+ * @typedef {Object} CacheEntry
+ * @property {*} data - Storefront response data
+ * @property {number} freshUntil - Epoch ms after which the entry is stale
+ * @property {number} staleUntil - Epoch ms after which the entry is unusable
+ *
+ * @typedef {Object} CacheAdapter
+ * @property {(key: string) => Promise<CacheEntry|undefined>} get
+ * @property {(key: string, entry: CacheEntry, ttlMs: number) => Promise<void>} set
+ *   `ttlMs` is how long the store needs to keep the entry (TTL + stale window)
+ * @property {(key: string) => Promise<void>} delete
+ * @property {() => Promise<void>} clear
+ */
+
+const { createHash } = require('crypto');
+
+/**
+ * Cache lifetimes in seconds, keyed by GraphQL operation name. Catalog
+ * queries match the 60s ISR revalidation of the pages that use them.
+ */
+const CACHE_POLICIES = {
+  GetProducts: { ttl: 60, staleWhileRevalidate: 300 },
+  GetProductByHandle: { ttl: 60, staleWhileRevalidate: 300 },
+  GetProductFacets: { ttl: 300, staleWhileRevalidate: 3600 },
+  GetVariants: { ttl: 60, staleWhileRevalidate: 300 },
+  SearchVariantSkus: { ttl: 60, staleWhileRevalidate: 300 },
+  GetProductVariantSkus: { ttl: 60, staleWhileRevalidate: 300 },
+  GetAllHandles: { ttl: 300, staleWhileRevalidate: 3600 },
+  GetCollections: { ttl: 300, staleWhileRevalidate: 3600 },
+  GetCollectionByHandle: { ttl: 60, staleWhileRevalidate: 300 },
+  GetAllCollectionHandles: { ttl: 300, staleWhileRevalidate: 3600 },
+  SearchProducts: { ttl: 60, staleWhileRevalidate: 300 },
+  PredictiveSearch: { ttl: 30, staleWhileRevalidate: 120 },
+};
+
+/**
+ * In-memory LRU cache adapter. Entries are evicted least-recently-used
+ * first once `maxEntries` is reached, and dropped when their stale window ends.
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=500]
+ * @returns {CacheAdapter}
+ */
+function createMemoryCache({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const item = entries.get(key);
+      if (!item) return undefined;
+      if (item.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      // Re-insert so Map order tracks recency
+      entries.delete(key);
+      entries.set(key, item);
+      return item.entry;
+    },
+    async set(key, entry, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { entry, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async clear() {
+      entries.clear();
+    },
+  };
+}
+
+let cache = createMemoryCache();
+
+/**
+ * Replace the cache store, e.g. with a Redis-backed adapter.
+ * @param {CacheAdapter} adapter
+ */
+function setStorefrontCache(adapter) {
+  cache = adapter;
+}
+
+/**
+ * Cache policy for a GraphQL document.
+ * @param {string} query - GraphQL document with a named operation
+ * @returns {{ ttl: number, staleWhileRevalidate: number }|null} null for
+ *   mutations and operations that must not be cached
+ */
+function getCachePolicy(query) {
+  const match = query.match(/\b(query|mutation)\s+(\w+)/);
+  if (!match || match[1] !== 'query') return null;
+  return CACHE_POLICIES[match[2]] || null;
+}
+
+function cacheKey(query, variables) {
+  const hash = createHash('sha1').update(JSON.stringify({ query, variables })).digest('hex');
+  return `storefront:${hash}`;
+}
+
+// Requests in flight per key, so concurrent misses and background
+// revalidations share one Storefront call
+const inFlight = new Map();
+
+function refresh(key, policy, fetcher) {
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const request = fetcher()
+    .then(async (data) => {
+      const now = Date.now();
+      const ttlMs = policy.ttl * 1000;
+      const staleMs = policy.staleWhileRevalidate * 1000;
+      try {
+        await cache.set(
+          key,
+          { data, freshUntil: now + ttlMs, staleUntil: now + ttlMs + staleMs },
+          ttlMs + staleMs
+        );
+      } catch (error) {
+        console.error('Storefront cache write error:', error.message);
+      }
+      return data;
+    })
+    .finally(() => inFlight.delete(key));
+
+  inFlight.set(key, request);
+  return request;
+}
+
+/**
+ * Serve a Storefront query from the cache, fetching on a miss. Stale
+ * entries are returned immediately and refreshed in the background.
+ * If the cache store fails, the query goes to the network and the request
+ * still succeeds.
+ * @param {string} query - Final GraphQL document (after @inContext rewriting)
+ * @param {Object} variables - Final query variables
+ * @param {{ ttl: number, staleWhileRevalidate: number }} policy
+ * @param {Function} fetcher - () => Promise<data>, the uncached request
+ * @returns {Promise<Object>} Response data
+ */
+async function cachedQuery(query, variables, policy, fetcher) {
+  const key = cacheKey(query, variables);
+
+  let entry;
+  try {
+    entry = await cache.get(key);
+  } catch (error) {
+    console.error('Storefront cache read error:', error.message);
+  }
+
+  const now = Date.now();
+
+  if (entry && entry.freshUntil > now) return entry.data;
+
+  if (entry && entry.staleUntil > now) {
+    refresh(key, policy, fetcher).catch((error) => {
+      console.error('Storefront cache revalidation error:', error.message);
+    });
+    return entry.data;
+  }
+
+  return refresh(key, policy, fetcher);
+}
+
+module.exports = {
+  CACHE_POLICIES,
+  createMemoryCache,
+  setStorefrontCache,
+  getCachePolicy,
+  cachedQuery,
+};
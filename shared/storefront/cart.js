@@ -0,0 +1,368 @@
+/**
+ * Cart query and mutations.
+ *
+ * Every operation selects the shared CartFields fragment, so callers always
+ * get the raw Storefront cart shape; mutations reject with the typed errors
+ * in ./errors.js. Mutations also add the mutation's `warnings` to the cart
+ * they resolve: Shopify applies a change it can only partly make (e.g. adds
+ * fewer units than asked when stock runs short) and warns rather than fails.
+ */
+
+const { storefrontFetch } = require('./client');
+const { CART_FRAGMENT } = require('./fragments');
+const { NotFoundError, UserError } = require('./errors');
+
+// ---------------------------------------------------------------------------
+// Cart query
+// ---------------------------------------------------------------------------
+
+/**
+ * Fetch an existing Shopify cart by ID.
+ *
+ * Shopify returns `null` for carts that have expired or whose checkout has
+ * been completed, so callers should treat `null` as "start a new cart".
+ *
+ * @param {string} cartId - The Shopify cart GID
+ * @returns {Object|null} Cart object, or null if the cart no longer exists
+ */
+async function getCart(cartId) {
+  const query = `
+    query GetCart($cartId: ID!) {
+      cart(id: $cartId) {
+        ...CartFields
+      }
+    }
+    ${CART_FRAGMENT}
+  `;
+
+  const data = await storefrontFetch(query, { cartId });
+  return data.cart || null;
+}
+
+// ---------------------------------------------------------------------------
+// Cart mutations
+// ---------------------------------------------------------------------------
+
+/**
+ * Return the cart from a cart mutation payload.
+ * @param {{ cart: Object|null, userErrors: Array, warnings?: Array }} payload
+ * @param {string} action - What was attempted, for the error message
+ * @returns {Object} Cart object, with `warnings` ({ code, message, target }[],
+ *   e.g. MERCHANDISE_NOT_ENOUGH_STOCK; empty when there are none)
+ * @throws {NotFoundError} CART_NOT_FOUND if the cart has expired or been checked out
+ * @throws {UserError} If Shopify rejected the mutation's input
+ */
+function cartFromPayload({ cart, userErrors, warnings = [] }, action) {
+  const cartMissing = !cart && (
+    userErrors.length === 0 || userErrors.some((e) => e.field?.includes('cartId'))
+  );
+  if (cartMissing) throw new NotFoundError('Cart not found', 'CART_NOT_FOUND');
+  if (userErrors.length > 0) throw new UserError(action, userErrors);
+  return { ...cart, warnings };
+}
+
+/**
+ * Create a new Shopify cart with optional initial line items.
+ * Passing the buyer's country prices the cart in that market's currency;
+ * the language localizes checkout. A customer access token attaches a
+ * signed-in customer, prefilling checkout.
+ * @param {Array<{merchandiseId: string, quantity: number, attributes?: Array<{key: string, value: string}>}>} lines
+ * @param {Object} [options]
+ * @param {string} [options.countryCode]  - ISO country code, e.g. "CA"
+ * @param {string} [options.languageCode] - Storefront LanguageCode, e.g. "FR"
+ * @param {string} [options.customerAccessToken] - From customerAccessTokenCreate
+ * @returns {Object} Cart object
+ */
+async function cartCreate(lines = [], {
+  countryCode = null,
+  languageCode = null,
+  customerAccessToken = null,
+} = {}) {
+  const mutation = `
+    mutation CartCreate($input: CartInput!) {
+      cartCreate(input: $input) {
+        cart {
+          ...CartFields
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+        warnings {
+          code
+          message
+          target
+        }
+      }
+    }
+    ${CART_FRAGMENT}
+  `;
+
+  const data = await storefrontFetch(mutation, {
+    input: {
+      lines,
+      ...((countryCode || customerAccessToken) && {
+        buyerIdentity: {
+          ...(countryCode && { countryCode }),
+          ...(customerAccessToken && { customerAccessToken }),
+        },
+      }),
+    },
+  }, countryCode ? { country: countryCode, language: languageCode } : null);
+
+  return cartFromPayload(data.cartCreate, 'Cart creation');
+}
+
+/**
+ * Add line items to an existing Shopify cart.
+ * Lines may carry `attributes` (e.g. lot requirements); Shopify keeps lines
+ * for the same variant with different attributes separate.
+ * @param {string} cartId - The Shopify cart GID
+ * @param {Array<{merchandiseId: string, quantity: number, attributes?: Array<{key: string, value: string}>}>} lines
+ * @returns {Object} Updated cart object
+ */
+async function cartLinesAdd(cartId, lines) {
+  const mutation = `
+    mutation CartLinesAdd($cartId: ID!, $lines: [CartLineInput!]!) {
+      cartLinesAdd(cartId: $cartId, lines: $lines) {
+        cart {
+          ...CartFields
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+        warnings {
+          code
+          message
+          target
+        }
+      }
+    }
+    ${CART_FRAGMENT}
+  `;
+
+  const data = await storefrontFetch(mutation, { cartId, lines });
+
+  return cartFromPayload(data.cartLinesAdd, 'Add to cart');
+}
+
+/**
+ * Update line item quantities in a Shopify cart.
+ * @param {string} cartId - The Shopify cart GID
+ * @param {Array<{id: string, quantity: number}>} lines
+ * @returns {Object} Updated cart object
+ */
+async function cartLinesUpdate(cartId, lines) {
+  const mutation = `
+    mutation CartLinesUpdate($cartId: ID!, $lines: [CartLineUpdateInput!]!) {
+      cartLinesUpdate(cartId: $cartId, lines: $lines) {
+        cart {
+          ...CartFields
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+        warnings {
+          code
+          message
+          target
+        }
+      }
+    }
+    ${CART_FRAGMENT}
+  `;
+
+  const data = await storefrontFetch(mutation, { cartId, lines });
+
+  return cartFromPayload(data.cartLinesUpdate, 'Cart update');
+}
+
+/**
+ * Remove line items from a Shopify cart.
+ * @param {string} cartId - The Shopify cart GID
+ * @param {Array<string>} lineIds - Array of cart line GIDs to remove
+ * @returns {Object} Updated cart object
+ */
+async function cartLinesRemove(cartId, lineIds) {
+  const mutation = `
+    mutation CartLinesRemove($cartId: ID!, $lineIds: [ID!]!) {
+      cartLinesRemove(cartId: $cartId, lineIds: $lineIds) {
+        cart {
+          ...CartFields
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+        warnings {
+          code
+          message
+          target
+        }
+      }
+    }
+    ${CART_FRAGMENT}
+  `;
+
+  const data = await storefrontFetch(mutation, { cartId, lineIds });
+
+  return cartFromPayload(data.cartLinesRemove, 'Cart remove');
+}
+
+/**
+ * Replace the discount codes applied to a Shopify cart.
+ *
+ * Shopify accepts unknown or ineligible codes without a userError — they come
+ * back in `discountCodes` with `applicable: false`. Pass an empty array to
+ * remove every code.
+ *
+ * @param {string} cartId - The Shopify cart GID
+ * @param {Array<string>} discountCodes - The complete list of codes to apply
+ * @returns {Object} Updated cart object
+ */
+async function cartDiscountCodesUpdate(cartId, discountCodes) {
+  const mutation = `
+    mutation CartDiscountCodesUpdate($cartId: ID!, $discountCodes: [String!]!) {
+      cartDiscountCodesUpdate(cartId: $cartId, discountCodes: $discountCodes) {
+        cart {
+          ...CartFields
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+        warnings {
+          code
+          message
+          target
+        }
+      }
+    }
+    ${CART_FRAGMENT}
+  `;
+
+  const data = await storefrontFetch(mutation, { cartId, discountCodes });
+
+  return cartFromPayload(data.cartDiscountCodesUpdate, 'Discount update');
+}
+
+/**
+ * Set the order note on a Shopify cart (shown to staff on the order).
+ * @param {string} cartId - The Shopify cart GID
+ * @param {string} note - Note text; an empty string clears it
+ * @returns {Object} Updated cart object
+ */
+async function cartNoteUpdate(cartId, note) {
+  const mutation = `
+    mutation CartNoteUpdate($cartId: ID!, $note: String!) {
+      cartNoteUpdate(cartId: $cartId, note: $note) {
+        cart {
+          ...CartFields
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+        warnings {
+          code
+          message
+          target
+        }
+      }
+    }
+    ${CART_FRAGMENT}
+  `;
+
+  const data = await storefrontFetch(mutation, { cartId, note });
+
+  return cartFromPayload(data.cartNoteUpdate, 'Note update');
+}
+
+/**
+ * Replace the custom attributes on a Shopify cart (PO number, grant ID, ...).
+ * @param {string} cartId - The Shopify cart GID
+ * @param {Array<{key: string, value: string}>} attributes - Complete attribute list
+ * @returns {Object} Updated cart object
+ */
+async function cartAttributesUpdate(cartId, attributes) {
+  const mutation = `
+    mutation CartAttributesUpdate($cartId: ID!, $attributes: [AttributeInput!]!) {
+      cartAttributesUpdate(cartId: $cartId, attributes: $attributes) {
+        cart {
+          ...CartFields
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+        warnings {
+          code
+          message
+          target
+        }
+      }
+    }
+    ${CART_FRAGMENT}
+  `;
+
+  const data = await storefrontFetch(mutation, { cartId, attributes });
+
+  return cartFromPayload(data.cartAttributesUpdate, 'Attributes update');
+}
+
+/**
+ * Update who the cart is for. Changing the country re-prices the cart in
+ * that market's currency; a customer access token attaches a signed-in
+ * customer.
+ * @param {string} cartId - The Shopify cart GID
+ * @param {Object} buyerIdentity - CartBuyerIdentityInput, e.g. { countryCode: "CA" }
+ * @param {Object} [context] - Buyer context ({ country, language }) to localize checkout
+ * @returns {Object} Updated cart object
+ */
+async function cartBuyerIdentityUpdate(cartId, buyerIdentity, context = null) {
+  const mutation = `
+    mutation CartBuyerIdentityUpdate($cartId: ID!, $buyerIdentity: CartBuyerIdentityInput!) {
+      cartBuyerIdentityUpdate(cartId: $cartId, buyerIdentity: $buyerIdentity) {
+        cart {
+          ...CartFields
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+        warnings {
+          code
+          message
+          target
+        }
+      }
+    }
+    ${CART_FRAGMENT}
+  `;
+
+  const data = await storefrontFetch(mutation, { cartId, buyerIdentity }, context);
+
+  return cartFromPayload(data.cartBuyerIdentityUpdate, 'Buyer identity update');
+}
+
+module.exports = {
+  getCart,
+  cartCreate,
+  cartLinesAdd,
+  cartLinesUpdate,
+  cartLinesRemove,
+  cartDiscountCodesUpdate,
+  cartNoteUpdate,
+  cartAttributesUpdate,
+  cartBuyerIdentityUpdate,
+};
@@ -0,0 +1,640 @@
+/**
+ * Catalog queries — products, variants, facets, collections and search.
+ *
+ * Products, variants and collections come back through transformProduct,
+ * transformVariant and transformCollection, so the Next.js pages, the Next.js API routes and the
+ * Express API all see the same shape.
+ */
+
+const { storefrontFetch } = require('./client');
+const { PAGE_INFO_FRAGMENT, PRODUCT_CARD_FRAGMENT, VARIANT_FRAGMENT } = require('./fragments');
+const { transformProduct, transformVariant, transformCollection } = require('./transforms');
+const { toProductQuery, toSkuSearchQuery } = require('./productFilters');
+
+/**
+ * Fetch a page of products from the Shopify Storefront API.
+ *
+ * Pagination is cursor-based: pass `after` (an `endCursor`) for the next page
+ * or `before` (a `startCursor`) for the previous one. Cursors are only valid
+ * for the same sortKey/reverse/filters they were issued with.
+ *
+ * @param {number} first - Page size (default: 20)
+ * @param {Object} [options]
+ * @param {string} [options.after]   - Return products after this cursor
+ * @param {string} [options.before]  - Return products before this cursor
+ * @param {string} [options.sortKey] - Storefront ProductSortKeys value (e.g. 'PRICE')
+ * @param {boolean} [options.reverse] - Reverse the sort order
+ * @param {Array<Object>} [options.filters] - Storefront ProductFilter inputs
+ * @param {Object} [options.context] - Buyer context ({ country, language }) for local pricing
+ * @returns {{ products: Array, pageInfo: Object }} Transformed products and Storefront pageInfo
+ */
+async function getProducts(
+  first = 20,
+  {
+    after = null,
+    before = null,
+    sortKey = null,
+    reverse = false,
+    filters = [],
+    context = null,
+  } = {}
+) {
+  const query = `
+    query GetProducts(
+      $first: Int
+      $last: Int
+      $after: String
+      $before: String
+      $sortKey: ProductSortKeys
+      $reverse: Boolean
+      $query: String
+    ) {
+      products(
+        first: $first
+        last: $last
+        after: $after
+        before: $before
+        sortKey: $sortKey
+        reverse: $reverse
+        query: $query
+      ) {
+        edges {
+          node {
+            ...ProductCardFields
+          }
+        }
+        pageInfo {
+          ...PageInfoFields
+        }
+      }
+    }
+    ${PRODUCT_CARD_FRAGMENT}
+    ${PAGE_INFO_FRAGMENT}
+  `;
+
+  // The Storefront API pairs `before` with `last`, not `first`
+  const variables = {
+    ...(before ? { last: first, before } : { first, after }),
+    sortKey,
+    reverse,
+    query: toProductQuery(filters),
+  };
+
+  const data = await storefrontFetch(query, variables, context);
+  return {
+    products: data.products.edges.map((edge) => transformProduct(edge.node)),
+    pageInfo: data.products.pageInfo,
+  };
+}
+
+/**
+ * Collect the values the product grid can be filtered by.
+ * Walks every product page (selecting only facet fields) because the
+ * Storefront API has no vendor listing query.
+ * The price range stays in the store's base currency (no buyer context)
+ * because that is what the `variants.price` search filter compares against.
+ * @returns {{ vendors: string[], productTypes: string[], price: { min: number, max: number } | null }}
+ */
+async function getProductFacets() {
+  const query = `
+    query GetProductFacets($after: String) {
+      products(first: 250, after: $after) {
+        edges {
+          node {
+            vendor
+            productType
+            priceRange {
+              minVariantPrice {
+                amount
+              }
+              maxVariantPrice {
+                amount
+              }
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const vendors = new Set();
+  const productTypes = new Set();
+  let min = Infinity;
+  let max = -Infinity;
+  let after = null;
+
+  do {
+    const data = await storefrontFetch(query, { after });
+    for (const { node } of data.products.edges) {
+      if (node.vendor) vendors.add(node.vendor);
+      if (node.productType) productTypes.add(node.productType);
+      min = Math.min(min, parseFloat(node.priceRange.minVariantPrice.amount));
+      max = Math.max(max, parseFloat(node.priceRange.maxVariantPrice.amount));
+    }
+    after = data.products.pageInfo.hasNextPage
+      ? data.products.pageInfo.endCursor
+      : null;
+  } while (after);
+
+  return {
+    vendors: [...vendors].sort(),
+    productTypes: [...productTypes].sort(),
+    price: Number.isFinite(min) ? { min: Math.floor(min), max: Math.ceil(max) } : null,
+  };
+}
+
+/**
+ * Fetch a single product by handle.
+ * @param {string} handle - The product handle (URL slug)
+ * @param {Object} [context] - Buyer context ({ country, language }) for local pricing
+ * @returns {Object|null} Transformed product (see ./transforms.js), or null
+ */
+async function getProductByHandle(handle, context = null) {
+  const query = `
+    query GetProductByHandle($handle: String!) {
+      productByHandle(handle: $handle) {
+        id
+        title
+        handle
+        description
+        descriptionHtml
+        priceRange {
+          minVariantPrice {
+            amount
+            currencyCode
+          }
+          maxVariantPrice {
+            amount
+            currencyCode
+          }
+        }
+        images(first: 10) {
+          edges {
+            node {
+              url
+              altText
+              width
+              height
+            }
+          }
+        }
+        variants(first: 25) {
+          edges {
+            node {
+              id
+              title
+              priceV2 {
+                amount
+                currencyCode
+              }
+              availableForSale
+              selectedOptions {
+                name
+                value
+              }
+            }
+          }
+        }
+        options {
+          id
+          name
+          values
+        }
+      }
+    }
+  `;
+
+  const data = await storefrontFetch(query, { handle }, context);
+  return data.productByHandle ? transformProduct(data.productByHandle) : null;
+}
+
+/**
+ * Fetch variants by ID, e.g. to show the current price and availability of
+ * saved items. IDs that don't resolve to a variant (deleted, or not
+ * published to this sales channel) are left out.
+ * @param {string[]} ids - ProductVariant GIDs (at most 250)
+ * @param {Object} [context] - Buyer context ({ country, language }) for local pricing
+ * @returns {Array} Transformed variants (see ./transforms.js), in the order found
+ */
+async function getVariants(ids, context = null) {
+  const query = `
+    query GetVariants($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on ProductVariant {
+          ...VariantFields
+        }
+      }
+    }
+    ${VARIANT_FRAGMENT}
+  `;
+
+  const data = await storefrontFetch(query, { ids }, context);
+  return data.nodes.filter((node) => node?.id).map(transformVariant);
+}
+
+// SKUs per search, and how many searches run at once
+const SKU_LOOKUP_BATCH = 5;
+const SKU_LOOKUP_CONCURRENCY = 2;
+// Products per page of search results, and variants per product. Search
+// pages select only each variant's ID and SKU, keeping a page around 550
+// cost points, well inside the 1,000 limit of tokenless access; the matches
+// are then fetched in full by ID. Pages are followed until every SKU in the
+// batch is found or the results run out (at most this many pages).
+const SKU_LOOKUP_PAGE_SIZE = 10;
+const SKU_LOOKUP_MAX_PAGES = 3;
+const VARIANTS_PAGE_SIZE = 50;
+
+/** SKUs match ignoring case and surrounding spaces */
+function normalizeSku(sku) {
+  return sku.trim().toUpperCase();
+}
+
+/**
+ * The variant IDs and SKUs of a product after the first page (products may
+ * have more than one page of them).
+ * @param {string} productId
+ * @param {string} after - End cursor of the page already fetched
+ * @param {Object} [context] - Buyer context ({ country, language })
+ * @returns {Array<{ id: string, sku: string|null }>}
+ */
+async function getMoreVariantSkus(productId, after, context) {
+  const query = `
+    query GetProductVariantSkus($id: ID!, $first: Int!, $after: String) {
+      product(id: $id) {
+        variants(first: $first, after: $after) {
+          edges {
+            node {
+              id
+              sku
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  const variants = [];
+  let cursor = after;
+
+  do {
+    const data = await storefrontFetch(
+      query,
+      { id: productId, first: VARIANTS_PAGE_SIZE, after: cursor },
+      context
+    );
+    const connection = data.product?.variants;
+    if (!connection) break;
+    variants.push(...connection.edges.map((edge) => edge.node));
+    cursor = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (cursor);
+
+  return variants;
+}
+
+/**
+ * Look up one batch of SKUs with a single storefront search (which covers
+ * variant SKUs), paging through its results, then fetch the matching
+ * variants.
+ * @param {string[]} skus - Distinct SKUs, as given
+ * @param {Object} [context] - Buyer context ({ country, language })
+ * @returns {Map<string, Object>} Transformed variants by normalized SKU
+ */
+async function findSkuBatch(skus, context) {
+  const query = `
+    query SearchVariantSkus($query: String!, $first: Int!, $variantsFirst: Int!, $after: String) {
+      search(query: $query, first: $first, after: $after, types: [PRODUCT], unavailableProducts: LAST) {
+        edges {
+          node {
+            ... on Product {
+              id
+              variants(first: $variantsFirst) {
+                edges {
+                  node {
+                    id
+                    sku
+                  }
+                }
+                pageInfo {
+                  hasNextPage
+                  endCursor
+                }
+              }
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const wanted = new Set(skus.map(normalizeSku));
+  const matches = new Map();
+  let after = null;
+
+  for (let page = 0; page < SKU_LOOKUP_MAX_PAGES; page++) {
+    const data = await storefrontFetch(query, {
+      query: toSkuSearchQuery(skus),
+      first: SKU_LOOKUP_PAGE_SIZE,
+      variantsFirst: VARIANTS_PAGE_SIZE,
+      after,
+    }, context);
+
+    for (const { node: product } of data.search.edges) {
+      const { edges, pageInfo } = product.variants;
+      const variants = edges.map((edge) => edge.node);
+      if (pageInfo.hasNextPage && matches.size < wanted.size) {
+        variants.push(...await getMoreVariantSkus(product.id, pageInfo.endCursor, context));
+      }
+
+      for (const variant of variants) {
+        const key = variant.sku ? normalizeSku(variant.sku) : null;
+        if (wanted.has(key) && !matches.has(key)) matches.set(key, variant.id);
+      }
+    }
+
+    if (matches.size === wanted.size || !data.search.pageInfo.hasNextPage) break;
+    after = data.search.pageInfo.endCursor;
+  }
+
+  if (matches.size === 0) return new Map();
+  const variants = await getVariants([...matches.values()], context);
+  const byId = new Map(variants.map((variant) => [variant.id, variant]));
+  return new Map(
+    [...matches]
+      .filter(([, id]) => byId.has(id))
+      .map(([key, id]) => [key, byId.get(id)])
+  );
+}
+
+/**
+ * Find variants by SKU, e.g. for the quick-order form. SKUs match exactly,
+ * ignoring case and surrounding spaces. Sold-out variants are found too
+ * (check `availableForSale`).
+ * @param {string[]} skus
+ * @param {Object} [context] - Buyer context ({ country, language }) for local pricing
+ * @returns {Array<{ sku: string, variant: Object|null }>} One entry per
+ *   distinct SKU, in the order given; `variant` (see ./transforms.js) is null
+ *   when no variant has that SKU
+ */
+async function getVariantsBySku(skus, context = null) {
+  const requested = new Map();
+  for (const sku of skus) {
+    if (!requested.has(normalizeSku(sku))) requested.set(normalizeSku(sku), sku.trim());
+  }
+
+  const distinct = [...requested.values()];
+  const batches = [];
+  for (let i = 0; i < distinct.length; i += SKU_LOOKUP_BATCH) {
+    batches.push(distinct.slice(i, i + SKU_LOOKUP_BATCH));
+  }
+
+  // A few searches at a time, so one long order doesn't burst the API
+  const found = new Map();
+  let next = 0;
+  async function worker() {
+    while (next < batches.length) {
+      const batch = batches[next++];
+      for (const [key, variant] of await findSkuBatch(batch, context)) {
+        found.set(key, variant);
+      }
+    }
+  }
+  await Promise.all(
+    Array.from({ length: Math.min(SKU_LOOKUP_CONCURRENCY, batches.length) }, worker)
+  );
+
+  return [...requested].map(([key, sku]) => ({ sku, variant: found.get(key) || null }));
+}
+
+/**
+ * Fetch all product handles for static path generation.
+ * Walks every page so catalogs larger than one page are fully pre-rendered.
+ * @returns {Array} Array of handle strings
+ */
+async function getAllProductHandles() {
+  const query = `
+    query GetAllHandles($after: String) {
+      products(first: 250, after: $after) {
+        edges {
+          node {
+            handle
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const handles = [];
+  let after = null;
+
+  do {
+    const data = await storefrontFetch(query, { after });
+    handles.push(...data.products.edges.map((edge) => edge.node.handle));
+    after = data.products.pageInfo.hasNextPage
+      ? data.products.pageInfo.endCursor
+      : null;
+  } while (after);
+
+  return handles;
+}
+
+/**
+ * Fetch the store's collections (reagents, assay kits, lab consumables, ...).
+ * @param {number} first - Number of collections to fetch (default: 20)
+ * @param {Object} [context] - Buyer context ({ country, language })
+ * @returns {Array} Transformed collections, without products
+ */
+async function getCollections(first = 20, context = null) {
+  const query = `
+    query GetCollections($first: Int!) {
+      collections(first: $first, sortKey: TITLE) {
+        edges {
+          node {
+            id
+            title
+            handle
+            description
+            image {
+              url
+              altText
+              width
+              height
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await storefrontFetch(query, { first }, context);
+  return data.collections.edges.map((edge) => transformCollection(edge.node));
+}
+
+/**
+ * Fetch a single collection by handle, including its products.
+ * @param {string} handle - The collection handle (URL slug)
+ * @param {number} first - Number of products to fetch (default: 50)
+ * @param {Object} [context] - Buyer context ({ country, language }) for local pricing
+ * @returns {Object|null} Transformed collection with a `products` array
+ */
+async function getCollectionByHandle(handle, first = 50, context = null) {
+  const query = `
+    query GetCollectionByHandle($handle: String!, $first: Int!) {
+      collection(handle: $handle) {
+        id
+        title
+        handle
+        description
+        descriptionHtml
+        image {
+          url
+          altText
+          width
+          height
+        }
+        products(first: $first) {
+          edges {
+            node {
+              ...ProductCardFields
+            }
+          }
+        }
+      }
+    }
+    ${PRODUCT_CARD_FRAGMENT}
+  `;
+
+  const data = await storefrontFetch(query, { handle, first }, context);
+  return data.collection ? transformCollection(data.collection) : null;
+}
+
+/**
+ * Fetch all collection handles for static path generation.
+ * Walks every page, like getAllProductHandles.
+ * @returns {Array} Array of handle strings
+ */
+async function getAllCollectionHandles() {
+  const query = `
+    query GetAllCollectionHandles($after: String) {
+      collections(first: 250, after: $after) {
+        edges {
+          node {
+            handle
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const handles = [];
+  let after = null;
+
+  do {
+    const data = await storefrontFetch(query, { after });
+    handles.push(...data.collections.edges.map((edge) => edge.node.handle));
+    after = data.collections.pageInfo.hasNextPage
+      ? data.collections.pageInfo.endCursor
+      : null;
+  } while (after);
+
+  return handles;
+}
+
+/**
+ * Search the catalog for products.
+ *
+ * Full searches use the Storefront `search` query and are cursor-paginated
+ * like getProducts. Predictive searches use `predictiveSearch`, which is tuned
+ * for type-ahead (prefix matching, at most 10 results, no pagination).
+ *
+ * @param {string} term - The buyer's search text
+ * @param {Object} [options]
+ * @param {boolean} [options.predictive] - Use predictiveSearch (default: false)
+ * @param {number} [options.first] - Page size / result limit (default: 20)
+ * @param {string} [options.after] - Return results after this cursor (full search only)
+ * @param {Object} [options.context] - Buyer context ({ country, language }) for local pricing
+ * @returns {{ products: Array, totalCount: number, pageInfo: Object|null }}
+ */
+async function searchProducts(
+  term,
+  { predictive = false, first = 20, after = null, context = null } = {}
+) {
+  if (predictive) {
+    const query = `
+      query PredictiveSearch($query: String!, $limit: Int!) {
+        predictiveSearch(query: $query, limit: $limit, types: [PRODUCT]) {
+          products {
+            ...ProductCardFields
+          }
+        }
+      }
+      ${PRODUCT_CARD_FRAGMENT}
+    `;
+
+    const data = await storefrontFetch(query, {
+      query: term,
+      limit: Math.min(first, 10),
+    }, context);
+    const products = (data.predictiveSearch?.products || []).map(transformProduct);
+    return { products, totalCount: products.length, pageInfo: null };
+  }
+
+  const query = `
+    query SearchProducts($query: String!, $first: Int!, $after: String) {
+      search(query: $query, first: $first, after: $after, types: [PRODUCT]) {
+        totalCount
+        edges {
+          node {
+            ... on Product {
+              ...ProductCardFields
+            }
+          }
+        }
+        pageInfo {
+          ...PageInfoFields
+        }
+      }
+    }
+    ${PRODUCT_CARD_FRAGMENT}
+    ${PAGE_INFO_FRAGMENT}
+  `;
+
+  const data = await storefrontFetch(query, { query: term, first, after }, context);
+  return {
+    products: data.search.edges.map((edge) => transformProduct(edge.node)),
+    totalCount: data.search.totalCount,
+    pageInfo: data.search.pageInfo,
+  };
+}
+
+module.exports = {
+  getProducts,
+  getProductFacets,
+  getProductByHandle,
+  getVariants,
+  getVariantsBySku,
+  getAllProductHandles,
+  getCollections,
+  getCollectionByHandle,
+  getAllCollectionHandles,
+  searchProducts,
+};
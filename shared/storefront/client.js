@@ -0,0 +1,169 @@
+/**
+ * Shopify Storefront API client shared by the Next.js API routes and the
+ * Express API. Server-side only — the token is never exposed to the browser.
+ *
+ * Authentication modes:
+ *   - **Tokenless**: Cart, products, collections, search (1,000 complexity limit)
+ *   - **Public token**: Same as tokenless, but capacity scales with buyer IPs.
+ *                       Safe to use client-side (prefix: shpua_).
+ *   - **Private token**: Full access including metafields, metaobjects,
+ *                        customers, menus. Server-side only (prefix: shpss_).
+ *
+ * Set SHOPIFY_STOREFRONT_ACCESS_TOKEN for token-based access; omit for tokenless.
+ * Either a public or private token works here since this runs server-side.
+ *
+ * Catalog queries are cached (see ./cache.js); mutations and cart reads
+ * always go to Shopify. Requests time out, retry and fail fast during
+ * outages as described in ./resilience.js.
+ */
+
+const { cachedQuery, getCachePolicy } = require('./cache');
+const { resilientRequest, parseRetryAfter } = require('./resilience');
+const { StorefrontError, ThrottledError, ChannelLockedError } = require('./errors');
+
+const domain = process.env.SHOPIFY_STORE_URL;
+const storefrontToken = process.env.SHOPIFY_STOREFRONT_ACCESS_TOKEN || null;
+
+if (!domain) {
+  throw new Error(
+    'Missing SHOPIFY_STORE_URL. Add it to .env.local (Next.js) or .env (Express API). '
+      + 'See .env.example for reference.'
+  );
+}
+
+const STOREFRONT_ENDPOINT = `https://${domain}/api/2026-01/graphql.json`;
+
+const CHANNEL_LOCKED_HINT = storefrontToken
+  ? 'Ensure the sales channel associated with your Storefront Access Token is active.'
+  : 'Either unlock the Online Store channel in Shopify Admin → Settings → Sales channels, '
+    + 'or create a Storefront Access Token (Settings → Apps → Develop apps) and add it '
+    + 'to your env file as SHOPIFY_STOREFRONT_ACCESS_TOKEN.';
+
+/**
+ * Add the `@inContext` directive to the operation in a GraphQL document.
+ * $country and $language are declared as ordinary variables so callers'
+ * queries don't need to know about buyer context.
+ * @param {string} query - GraphQL query/mutation with a named operation
+ * @returns {string} The same document, priced in the buyer's context
+ */
+function withInContext(query) {
+  return query.replace(
+    /\b(query|mutation)\s+(\w+)\s*(?:\(([^)]*)\))?\s*\{/,
+    (_, type, name, variableDefs) => {
+      const defs = [variableDefs?.trim(), '$country: CountryCode', '$language: LanguageCode']
+        .filter(Boolean)
+        .join(', ');
+      return `${type} ${name}(${defs}) @inContext(country: $country, language: $language) {`;
+    }
+  );
+}
+
+/**
+ * Execute a GraphQL query against the Shopify Storefront API.
+ *
+ * When SHOPIFY_STOREFRONT_ACCESS_TOKEN is set, requests are token-authenticated
+ * (full API access). Otherwise, tokenless access is used (cart, products,
+ * collections, search — 1,000 query complexity limit).
+ *
+ * Pass a buyer `context` to get prices, currency and translations for that
+ * market (see lib/markets.js). Without one Shopify uses the store defaults.
+ *
+ * Queries with a cache policy are served from the Storefront cache, keyed on
+ * the query, variables and buyer context.
+ *
+ * @param {string} query - GraphQL query/mutation
+ * @param {Object} variables - Query variables
+ * @param {{ country: string, language?: string }|null} context - Buyer context for @inContext
+ * @returns {Object} Parsed response data
+ */
+async function storefrontFetch(query, variables = {}, context = null) {
+  if (context) {
+    query = withInContext(query);
+    variables = {
+      ...variables,
+      country: context.country,
+      language: context.language || null,
+    };
+  }
+
+  const policy = getCachePolicy(query);
+  if (policy) {
+    return cachedQuery(query, variables, policy, () => executeQuery(query, variables));
+  }
+  return executeQuery(query, variables);
+}
+
+/**
+ * Send a GraphQL request to the Storefront API, uncached, with timeouts
+ * and retries.
+ * @param {string} query - Final GraphQL document
+ * @param {Object} variables - Final query variables
+ * @returns {Object} Parsed response data
+ */
+function executeQuery(query, variables) {
+  return resilientRequest((signal) => sendQuery(query, variables, signal), {
+    mutation: /^\s*mutation\b/.test(query),
+  });
+}
+
+/**
+ * Make a single Storefront API request.
+ * @param {string} query - Final GraphQL document
+ * @param {Object} variables - Final query variables
+ * @param {AbortSignal} signal - Aborts the request on timeout
+ * @returns {Object} Parsed response data
+ */
+async function sendQuery(query, variables, signal) {
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (storefrontToken) {
+    headers['X-Shopify-Storefront-Access-Token'] = storefrontToken;
+  }
+
+  const res = await fetch(STOREFRONT_ENDPOINT, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ query, variables }),
+    signal,
+  });
+
+  if (res.status === 429) {
+    throw new ThrottledError(parseRetryAfter(res.headers.get('Retry-After')));
+  }
+
+  if (!res.ok) {
+    const body = await res.text();
+
+    // "Channel is locked" comes back as an HTTP error (often 400)
+    if (/channel is locked/i.test(body)) {
+      throw new ChannelLockedError(CHANNEL_LOCKED_HINT);
+    }
+
+    throw new StorefrontError(`Storefront API error (${res.status}): ${body}`, {
+      upstreamStatus: res.status,
+    });
+  }
+
+  const json = await res.json();
+
+  if (json.errors) {
+    // "Online Store channel is locked" — common on dev stores without an
+    // active Online Store or a Storefront Access Token
+    if (json.errors.some((e) => /channel is locked/i.test(e.message))) {
+      throw new ChannelLockedError(CHANNEL_LOCKED_HINT);
+    }
+
+    // Query cost exceeded the bucket — retried like an HTTP 429
+    if (json.errors.some((e) => e.extensions?.code === 'THROTTLED')) {
+      throw new ThrottledError();
+    }
+
+    throw new StorefrontError(
+      `Storefront GraphQL errors: ${JSON.stringify(json.errors, null, 2)}`
+    );
+  }
+
+  return json.data;
+}
+
+module.exports = { storefrontFetch };
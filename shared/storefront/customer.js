@@ -0,0 +1,293 @@
+/**
+ * Customer account query and mutations (Storefront customer API).
+ *
+ * Customers are identified by a customer access token from
+ * customerAccessTokenCreate. The token is a credential: keep it server-side
+ * (lib/customerSession.js holds it in an HttpOnly cookie). These operations
+ * need a Storefront access token with the unauthenticated customer scopes —
+ * tokenless access can't reach customers.
+ */
+
+const { storefrontFetch } = require('./client');
+const { PAGE_INFO_FRAGMENT } = require('./fragments');
+const { NotFoundError, UserError } = require('./errors');
+const { transformCustomer, transformOrder } = require('./transforms');
+
+const CUSTOMER_USER_ERRORS = `
+  customerUserErrors {
+    field
+    message
+    code
+  }
+`;
+
+const ORDER_FRAGMENT = `
+  fragment OrderFields on Order {
+    id
+    name
+    orderNumber
+    processedAt
+    canceledAt
+    financialStatus
+    fulfillmentStatus
+    statusUrl
+    totalPrice {
+      amount
+      currencyCode
+    }
+    lineItems(first: 100) {
+      edges {
+        node {
+          title
+          quantity
+          currentQuantity
+          originalTotalPrice {
+            amount
+            currencyCode
+          }
+          variant {
+            id
+            title
+            availableForSale
+            price {
+              amount
+              currencyCode
+            }
+            image {
+              url
+              altText
+              width
+              height
+            }
+            product {
+              handle
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Throw for a customer mutation's `customerUserErrors`, if any.
+ * @param {Array} customerUserErrors
+ * @param {string} action - What was attempted, for the error message
+ * @throws {UserError} e.g. UNIDENTIFIED_CUSTOMER for a wrong email or password
+ */
+function assertNoCustomerErrors(customerUserErrors, action) {
+  if (customerUserErrors.length > 0) throw new UserError(action, customerUserErrors);
+}
+
+/**
+ * Sign a customer in.
+ * @param {string} email
+ * @param {string} password
+ * @returns {{ accessToken: string, expiresAt: string }}
+ * @throws {UserError} UNIDENTIFIED_CUSTOMER if the credentials don't match
+ */
+async function customerAccessTokenCreate(email, password) {
+  const mutation = `
+    mutation CustomerAccessTokenCreate($input: CustomerAccessTokenCreateInput!) {
+      customerAccessTokenCreate(input: $input) {
+        customerAccessToken {
+          accessToken
+          expiresAt
+        }
+        ${CUSTOMER_USER_ERRORS}
+      }
+    }
+  `;
+
+  const data = await storefrontFetch(mutation, { input: { email, password } });
+  const { customerAccessToken, customerUserErrors } = data.customerAccessTokenCreate;
+
+  assertNoCustomerErrors(customerUserErrors, 'Sign in');
+  if (!customerAccessToken) {
+    throw new UserError('Sign in', [
+      { field: null, message: 'Unidentified customer', code: 'UNIDENTIFIED_CUSTOMER' },
+    ]);
+  }
+  return customerAccessToken;
+}
+
+/**
+ * Sign a customer out by invalidating their access token. Tokens that are
+ * already invalid are ignored.
+ * @param {string} customerAccessToken
+ */
+async function customerAccessTokenDelete(customerAccessToken) {
+  const mutation = `
+    mutation CustomerAccessTokenDelete($customerAccessToken: String!) {
+      customerAccessTokenDelete(customerAccessToken: $customerAccessToken) {
+        deletedAccessToken
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  await storefrontFetch(mutation, { customerAccessToken });
+}
+
+/**
+ * Create a customer account. Sign the customer in afterwards with
+ * customerAccessTokenCreate.
+ * @param {Object} input - CustomerCreateInput
+ * @param {string} input.email
+ * @param {string} input.password
+ * @param {string} [input.firstName]
+ * @param {string} [input.lastName]
+ * @param {boolean} [input.acceptsMarketing]
+ * @returns {Object} The new customer (see transformCustomer)
+ * @throws {UserError} e.g. TAKEN if the email already has an account
+ */
+async function customerCreate(input) {
+  const mutation = `
+    mutation CustomerCreate($input: CustomerCreateInput!) {
+      customerCreate(input: $input) {
+        customer {
+          id
+          firstName
+          lastName
+          displayName
+          email
+        }
+        ${CUSTOMER_USER_ERRORS}
+      }
+    }
+  `;
+
+  const data = await storefrontFetch(mutation, { input });
+  const { customer, customerUserErrors } = data.customerCreate;
+
+  assertNoCustomerErrors(customerUserErrors, 'Registration');
+  return transformCustomer(customer);
+}
+
+/**
+ * Send the customer a password reset email. Shopify's email links to the
+ * store's password reset page.
+ * @param {string} email
+ * @throws {UserError} e.g. UNIDENTIFIED_CUSTOMER for an unknown email
+ */
+async function customerRecover(email) {
+  const mutation = `
+    mutation CustomerRecover($email: String!) {
+      customerRecover(email: $email) {
+        ${CUSTOMER_USER_ERRORS}
+      }
+    }
+  `;
+
+  const data = await storefrontFetch(mutation, { email });
+  assertNoCustomerErrors(data.customerRecover.customerUserErrors, 'Password recovery');
+}
+
+/**
+ * Fetch the signed-in customer, optionally with a page of their orders
+ * (newest first, with line items and fulfillment status).
+ * @param {string} customerAccessToken
+ * @param {Object} [options]
+ * @param {number} [options.orders=0] - Orders to include; 0 for the profile only
+ * @param {string} [options.after] - Orders cursor from a previous page
+ * @returns {Object|null} Customer (see transformCustomer) with `orders` and
+ *   `ordersPageInfo` when orders were requested, or null if the token has
+ *   expired or been deleted
+ */
+async function getCustomer(customerAccessToken, { orders = 0, after = null } = {}) {
+  const query = orders > 0
+    ? `
+      query GetCustomerOrders($customerAccessToken: String!, $first: Int!, $after: String) {
+        customer(customerAccessToken: $customerAccessToken) {
+          id
+          firstName
+          lastName
+          displayName
+          email
+          orders(first: $first, after: $after, sortKey: PROCESSED_AT, reverse: true) {
+            edges {
+              node {
+                ...OrderFields
+              }
+            }
+            pageInfo {
+              ...PageInfoFields
+            }
+          }
+        }
+      }
+      ${ORDER_FRAGMENT}
+      ${PAGE_INFO_FRAGMENT}
+    `
+    : `
+      query GetCustomer($customerAccessToken: String!) {
+        customer(customerAccessToken: $customerAccessToken) {
+          id
+          firstName
+          lastName
+          displayName
+          email
+        }
+      }
+    `;
+
+  const data = await storefrontFetch(
+    query,
+    orders > 0 ? { customerAccessToken, first: orders, after } : { customerAccessToken }
+  );
+  if (!data.customer) return null;
+
+  return {
+    ...transformCustomer(data.customer),
+    ...(data.customer.orders && {
+      orders: data.customer.orders.edges.map((e) => transformOrder(e.node)),
+      ordersPageInfo: data.customer.orders.pageInfo,
+    }),
+  };
+}
+
+// How far back getCustomerOrder looks: this many pages of orders, newest first
+const ORDER_LOOKUP_PAGE_SIZE = 25;
+const ORDER_LOOKUP_MAX_PAGES = 8;
+
+/**
+ * Find one of the signed-in customer's orders. The Storefront API only
+ * reaches orders through the customer, so this pages through their order
+ * history (the most recent 200 orders) — which also guarantees the order is
+ * theirs.
+ * @param {string} customerAccessToken
+ * @param {string} orderId - Order GID, as returned in the customer's orders
+ * @returns {Object|null} Order (see transformOrder), or null if the token
+ *   has expired or been deleted
+ * @throws {NotFoundError} ORDER_NOT_FOUND if the customer has no such order
+ */
+async function getCustomerOrder(customerAccessToken, orderId) {
+  let after = null;
+
+  for (let page = 0; page < ORDER_LOOKUP_MAX_PAGES; page++) {
+    const customer = await getCustomer(customerAccessToken, {
+      orders: ORDER_LOOKUP_PAGE_SIZE,
+      after,
+    });
+    if (!customer) return null;
+
+    const order = customer.orders.find((o) => o.id === orderId);
+    if (order) return order;
+    if (!customer.ordersPageInfo.hasNextPage) break;
+    after = customer.ordersPageInfo.endCursor;
+  }
+
+  throw new NotFoundError('Order not found', 'ORDER_NOT_FOUND');
+}
+
+module.exports = {
+  customerAccessTokenCreate,
+  customerAccessTokenDelete,
+  customerCreate,
+  customerRecover,
+  getCustomer,
+  getCustomerOrder,
+};
@@ -0,0 +1,145 @@
+/**
+ * Errors thrown by the Storefront API client.
+ *
+ * Each carries the HTTP `status` an API route should respond with, a
+ * stable machine-readable `code`, and a `publicMessage` that is safe to send
+ * to the browser (null when only a generic message should be shown). The
+ * `message` itself may include Shopify response bodies and setup hints and
+ * is meant for server logs. Next.js routes respond with sendApiError()
+ * (lib/apiErrors.js); Express routes pass them to next() and the error
+ * middleware in api/server.js responds.
+ *
+ * | Class                   | status | code                                  |
+ * | ----------------------- | ------ | ------------------------------------- |
+ * | UserError               | 422    | Shopify userError code, e.g. INVALID  |
+ * | NotFoundError           | 404    | e.g. CART_NOT_FOUND                   |
+ * | ThrottledError          | 429    | THROTTLED                             |
+ * | StorefrontError         | 502    | STOREFRONT_ERROR, STOREFRONT_UNREACHABLE |
+ * | ChannelLockedError      | 503    | CHANNEL_LOCKED                        |
+ * | ServiceUnavailableError | 503    | STOREFRONT_UNAVAILABLE                |
+ * | TimeoutError            | 504    | STOREFRONT_TIMEOUT                    |
+ */
+
+/** Base class for failed Storefront API requests */
+class StorefrontError extends Error {
+  /**
+   * @param {string} message - Detailed message for logs
+   * @param {Object} [options]
+   * @param {number} [options.status=502] - HTTP status for API responses
+   * @param {string} [options.code='STOREFRONT_ERROR'] - Stable error code
+   * @param {string|null} [options.publicMessage=null] - Message safe to show buyers
+   * @param {number} [options.upstreamStatus] - HTTP status Shopify returned, if any
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, {
+    status = 502,
+    code = 'STOREFRONT_ERROR',
+    publicMessage = null,
+    upstreamStatus,
+    cause,
+  } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.publicMessage = publicMessage;
+    this.upstreamStatus = upstreamStatus ?? null;
+  }
+}
+
+/** Shopify didn't respond within the request timeout */
+class TimeoutError extends StorefrontError {
+  constructor(timeoutMs) {
+    super(`Storefront API request timed out after ${timeoutMs}ms`, {
+      status: 504,
+      code: 'STOREFRONT_TIMEOUT',
+      publicMessage: 'The store took too long to respond',
+    });
+  }
+}
+
+/** Shopify rejected the request for exceeding the API rate limit */
+class ThrottledError extends StorefrontError {
+  /**
+   * @param {number|null} retryAfter - Seconds to wait before retrying, if known
+   */
+  constructor(retryAfter = null) {
+    super('Storefront API rate limit exceeded', {
+      status: 429,
+      code: 'THROTTLED',
+      publicMessage: 'Too many requests — please try again shortly',
+    });
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** Requests are short-circuited while Shopify is failing (circuit open) */
+class ServiceUnavailableError extends StorefrontError {
+  /**
+   * @param {number} retryAfter - Seconds until requests are attempted again
+   */
+  constructor(retryAfter) {
+    super('Storefront API is temporarily unavailable', {
+      status: 503,
+      code: 'STOREFRONT_UNAVAILABLE',
+      publicMessage: 'The store is temporarily unavailable',
+    });
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** The store's sales channel is locked, so the Storefront API refuses requests */
+class ChannelLockedError extends StorefrontError {
+  /**
+   * @param {string} hint - How to unlock it, for the server log
+   */
+  constructor(hint) {
+    super(`Shopify sales channel is locked. ${hint}`, {
+      status: 503,
+      code: 'CHANNEL_LOCKED',
+      publicMessage: 'The store is temporarily unavailable',
+    });
+  }
+}
+
+/** The requested cart, product or collection doesn't exist */
+class NotFoundError extends StorefrontError {
+  /**
+   * @param {string} message - e.g. "Cart not found"
+   * @param {string} [code='NOT_FOUND'] - e.g. CART_NOT_FOUND
+   */
+  constructor(message, code = 'NOT_FOUND') {
+    super(message, { status: 404, code, publicMessage: message });
+  }
+}
+
+/** Shopify rejected a mutation's input (its `userErrors`) */
+class UserError extends StorefrontError {
+  /**
+   * @param {string} action - What failed, e.g. "Add to cart"
+   * @param {Array<{ field: string[]|null, message: string, code?: string }>} userErrors
+   */
+  constructor(action, userErrors) {
+    const messages = userErrors.map((e) => e.message).join(', ');
+    super(`${action} failed: ${messages}`, {
+      status: 422,
+      code: userErrors[0]?.code || 'USER_ERROR',
+      publicMessage: messages,
+    });
+    this.userErrors = userErrors.map(({ field, message, code }) => ({
+      field: field || null,
+      message,
+      code: code || null,
+    }));
+  }
+}
+
+module.exports = {
+  StorefrontError,
+  TimeoutError,
+  ThrottledError,
+  ServiceUnavailableError,
+  ChannelLockedError,
+  NotFoundError,
+  UserError,
+};
@@ -0,0 +1,200 @@
+/**
+ * GraphQL fragments shared by the catalog and cart queries. Selecting the
+ * same fields everywhere keeps every product and cart response the same
+ * shape, whichever server or route returned it.
+ */
+
+// Cursor pageInfo and the fields a product card (and transformProduct) needs
+const PAGE_INFO_FRAGMENT = `
+  fragment PageInfoFields on PageInfo {
+    hasNextPage
+    hasPreviousPage
+    startCursor
+    endCursor
+  }
+`;
+
+const PRODUCT_CARD_FRAGMENT = `
+  fragment ProductCardFields on Product {
+    id
+    title
+    handle
+    description
+    priceRange {
+      minVariantPrice {
+        amount
+        currencyCode
+      }
+    }
+    images(first: 1) {
+      edges {
+        node {
+          url
+          altText
+          width
+          height
+        }
+      }
+    }
+    variants(first: 10) {
+      edges {
+        node {
+          id
+          title
+          priceV2 {
+            amount
+            currencyCode
+          }
+          availableForSale
+        }
+      }
+    }
+  }
+`;
+
+// A variant on its own, with enough of its product to link to and show it
+const VARIANT_FRAGMENT = `
+  fragment VariantFields on ProductVariant {
+    id
+    title
+    sku
+    availableForSale
+    price {
+      amount
+      currencyCode
+    }
+    image {
+      url
+      altText
+      width
+      height
+    }
+    product {
+      title
+      handle
+      featuredImage {
+        url
+        altText
+        width
+        height
+      }
+    }
+  }
+`;
+
+// Cart fields returned by the cart query and every cart mutation
+const CART_FRAGMENT = `
+  fragment DiscountAllocationFields on CartDiscountAllocation {
+    discountedAmount {
+      amount
+      currencyCode
+    }
+    ... on CartCodeDiscountAllocation {
+      code
+    }
+    ... on CartAutomaticDiscountAllocation {
+      title
+    }
+    ... on CartCustomDiscountAllocation {
+      title
+    }
+  }
+
+  fragment CartFields on Cart {
+    id
+    checkoutUrl
+    updatedAt
+    totalQuantity
+    buyerIdentity {
+      countryCode
+    }
+    note
+    attributes {
+      key
+      value
+    }
+    cost {
+      subtotalAmount {
+        amount
+        currencyCode
+      }
+      totalAmount {
+        amount
+        currencyCode
+      }
+      totalTaxAmount {
+        amount
+        currencyCode
+      }
+      checkoutChargeAmount {
+        amount
+        currencyCode
+      }
+    }
+    discountCodes {
+      code
+      applicable
+    }
+    discountAllocations {
+      ...DiscountAllocationFields
+    }
+    lines(first: 100) {
+      edges {
+        node {
+          id
+          quantity
+          attributes {
+            key
+            value
+          }
+          cost {
+            amountPerQuantity {
+              amount
+              currencyCode
+            }
+            subtotalAmount {
+              amount
+              currencyCode
+            }
+            totalAmount {
+              amount
+              currencyCode
+            }
+          }
+          discountAllocations {
+            ...DiscountAllocationFields
+          }
+          merchandise {
+            ... on ProductVariant {
+              id
+              title
+              priceV2 {
+                amount
+                currencyCode
+              }
+              product {
+                title
+                handle
+                images(first: 1) {
+                  edges {
+                    node {
+                      url
+                      altText
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+module.exports = {
+  PAGE_INFO_FRAGMENT,
+  PRODUCT_CARD_FRAGMENT,
+  VARIANT_FRAGMENT,
+  CART_FRAGMENT,
+};
@@ -0,0 +1,28 @@
+/**
+ * Shared Shopify Storefront layer for the Next.js app and the Express API.
+ *
+ *   client.js         storefrontFetch — auth, @inContext, caching, resilience
+ *   fragments.js      GraphQL fragments shared by every query
+ *   catalog.js        products, variants, facets, collections, search (transformed)
+ *   cart.js           cart query and mutations
+ *   customer.js       customer accounts: sign in/out, registration, orders
+ *   admin.js          Admin API: customer metafields (optional token)
+ *   transforms.js     transformProduct / transformVariant / transformCollection / transformOrder
+ *   productFilters.js ProductFilter inputs → Storefront search syntax
+ *   errors.js         typed errors with HTTP status and stable codes
+ *   cache.js          catalog query cache
+ *   resilience.js     timeouts, retries and circuit breaker
+ *
+ * CommonJS so the Express API can require it directly; Next.js imports it
+ * through the `@/shared/storefront` alias.
+ */
+
+module.exports = {
+  ...require('./client'),
+  ...require('./catalog'),
+  ...require('./cart'),
+  ...require('./customer'),
+  ...require('./admin'),
+  ...require('./transforms'),
+  ...require('./errors'),
+};
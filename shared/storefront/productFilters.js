@@ -0,0 +1,90 @@
+/**
+ * Storefront ProductFilter support for the `products` connection, shared
+ * by the catalog queries and both servers' /api/products routes.
+ *
+ * Filters travel in the Storefront `ProductFilter` input shape:
+ *   { available: true }
+ *   { price: { min: 10, max: 500 } }
+ *   { productVendor: "BioPhase" }
+ *   { productType: "Assay Kit" }
+ *
+ * The root `products` connection only accepts a search `query` string, so
+ * toProductQuery() translates ProductFilter inputs into that syntax.
+ * toSkuSearchQuery() builds the product search for a quick-order SKU lookup.
+ */
+
+/** Storefront ProductSortKeys accepted by the `products` connection */
+const PRODUCT_SORT_KEYS = [
+  'BEST_SELLING',
+  'CREATED_AT',
+  'ID',
+  'PRICE',
+  'PRODUCT_TYPE',
+  'RELEVANCE',
+  'TITLE',
+  'UPDATED_AT',
+  'VENDOR',
+];
+
+function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Translate ProductFilter inputs into Storefront product search syntax.
+ * Filters of the same kind are OR'd together; different kinds are AND'd.
+ * @param {Array<Object>} filters - ProductFilter inputs
+ * @returns {string|null} Search query, or null when there is nothing to filter
+ */
+function toProductQuery(filters = []) {
+  const vendors = [];
+  const types = [];
+  const clauses = [];
+
+  for (const filter of filters) {
+    if (filter.available != null) {
+      clauses.push(`available_for_sale:${filter.available ? 'true' : 'false'}`);
+    }
+    if (filter.productVendor) vendors.push(`vendor:${quote(filter.productVendor)}`);
+    if (filter.productType) types.push(`product_type:${quote(filter.productType)}`);
+    if (filter.price?.min != null) clauses.push(`variants.price:>=${Number(filter.price.min)}`);
+    if (filter.price?.max != null) clauses.push(`variants.price:<=${Number(filter.price.max)}`);
+  }
+
+  if (vendors.length > 0) clauses.push(`(${vendors.join(' OR ')})`);
+  if (types.length > 0) clauses.push(`(${types.join(' OR ')})`);
+
+  return clauses.length > 0 ? clauses.join(' AND ') : null;
+}
+
+/**
+ * Storefront search syntax matching any of the given SKUs (the storefront
+ * search covers variant SKUs). It finds candidate products only — compare
+ * their variants' `sku` to know which one matched.
+ * @param {string[]} skus
+ * @returns {string}
+ */
+function toSkuSearchQuery(skus) {
+  return skus.map(quote).join(' OR ');
+}
+
+/**
+ * Validate a `filters` query parameter (JSON-encoded ProductFilter array).
+ * @param {string|undefined} raw
+ * @returns {{ filters: Array<Object>, error: string|null }}
+ */
+function parseFiltersParam(raw) {
+  if (!raw) return { filters: [], error: null };
+
+  try {
+    const filters = JSON.parse(raw);
+    if (!Array.isArray(filters) || !filters.every((f) => f && typeof f === 'object')) {
+      return { filters: [], error: '"filters" must be a JSON array of ProductFilter objects' };
+    }
+    return { filters, error: null };
+  } catch {
+    return { filters: [], error: '"filters" must be valid JSON' };
+  }
+}
+
+module.exports = { PRODUCT_SORT_KEYS, toProductQuery, toSkuSearchQuery, parseFiltersParam };
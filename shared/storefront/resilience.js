@@ -0,0 +1,168 @@
+/**
+ * Timeouts, retries and a circuit breaker for Storefront API requests.
+ *
+ * - Every attempt is aborted after STOREFRONT_TIMEOUT_MS (default 8s).
+ * - Throttled requests (HTTP 429 or a THROTTLED GraphQL error) and outages
+ *   (timeouts, network failures, 5xx) are retried up to
+ *   STOREFRONT_MAX_RETRIES times (default 3) with exponential backoff and
+ *   full jitter, waiting at least as long as Shopify's Retry-After.
+ * - Mutations are only retried when Shopify can't have applied them:
+ *   throttled requests and connections that were never established. A
+ *   timed-out cartLinesAdd, for example, may have gone through.
+ * - After CIRCUIT_FAILURE_THRESHOLD consecutive outages the circuit opens
+ *   and requests fail immediately with ServiceUnavailableError. After
+ *   CIRCUIT_RESET_MS one trial request is let through; if it succeeds the
+ *   circuit closes again.
+ */
+
+const {
+  StorefrontError,
+  TimeoutError,
+  ThrottledError,
+  ServiceUnavailableError,
+} = require('./errors');
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+const TIMEOUT_MS = envInt('STOREFRONT_TIMEOUT_MS', 8000);
+const MAX_RETRIES = envInt('STOREFRONT_MAX_RETRIES', 3);
+const BASE_DELAY_MS = 250;
+const MAX_DELAY_MS = 4000;
+// Don't hold a request open longer than this for a Retry-After
+const MAX_RETRY_AFTER_MS = 10000;
+
+const CIRCUIT_FAILURE_THRESHOLD = 5;
+const CIRCUIT_RESET_MS = 30000;
+
+// Connection errors raised before the request reached Shopify
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+const circuit = { failures: 0, openedAt: null, trialInFlight: false };
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date).
+ * @param {string|null} header
+ * @returns {number|null} Seconds to wait, or null if absent/invalid
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+function toStorefrontError(error, signal) {
+  if (signal.aborted) return new TimeoutError(TIMEOUT_MS);
+  // fetch() rejects with a TypeError for network-level failures
+  if (error instanceof TypeError) {
+    const failure = new StorefrontError('Could not reach the Storefront API', {
+      code: 'STOREFRONT_UNREACHABLE',
+      cause: error,
+    });
+    failure.connectFailed = CONNECT_ERROR_CODES.includes(error.cause?.code);
+    return failure;
+  }
+  return error;
+}
+
+function isOutage(error) {
+  return error instanceof TimeoutError
+    || error.code === 'STOREFRONT_UNREACHABLE'
+    || error.upstreamStatus >= 500;
+}
+
+function isRetryable(error, mutation) {
+  if (error instanceof ThrottledError) return true;
+  if (error.connectFailed) return true;
+  return !mutation && isOutage(error);
+}
+
+function backoffDelay(retry, retryAfter) {
+  const jittered = Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** retry);
+  if (retryAfter == null) return jittered;
+  const retryAfterMs = retryAfter * 1000;
+  return retryAfterMs > MAX_RETRY_AFTER_MS ? null : Math.max(retryAfterMs, jittered);
+}
+
+function acquireCircuit() {
+  if (circuit.openedAt === null) return false;
+
+  const elapsed = Date.now() - circuit.openedAt;
+  if (elapsed < CIRCUIT_RESET_MS || circuit.trialInFlight) {
+    const remaining = Math.max(CIRCUIT_RESET_MS - elapsed, 0);
+    throw new ServiceUnavailableError(Math.ceil(remaining / 1000) || 1);
+  }
+  circuit.trialInFlight = true;
+  return true;
+}
+
+function recordResult(error, isTrial) {
+  if (isTrial) circuit.trialInFlight = false;
+
+  if (error && isOutage(error)) {
+    circuit.failures += 1;
+    if (isTrial || circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+      if (circuit.openedAt === null) {
+        console.error(`Storefront API circuit opened after ${circuit.failures} failures`);
+      }
+      circuit.openedAt = Date.now();
+    }
+    return;
+  }
+
+  // Shopify answered (even with an error), so it's reachable
+  circuit.failures = 0;
+  circuit.openedAt = null;
+}
+
+/**
+ * Run a Storefront request with a timeout, retries and the circuit breaker.
+ * @param {(signal: AbortSignal) => Promise<Object>} attempt - Sends the
+ *   request once, aborting when `signal` fires; throws ThrottledError or
+ *   StorefrontError (with `upstreamStatus`) for failed responses
+ * @param {Object} [options]
+ * @param {boolean} [options.mutation=false] - Retry only when provably unapplied
+ * @returns {Promise<Object>} The attempt's result
+ * @throws {StorefrontError} TimeoutError, ThrottledError or
+ *   ServiceUnavailableError once retries are exhausted or not allowed
+ */
+async function resilientRequest(attempt, { mutation = false } = {}) {
+  const isTrial = acquireCircuit();
+
+  for (let retry = 0; ; retry++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+    try {
+      const result = await attempt(controller.signal);
+      recordResult(null, isTrial);
+      return result;
+    } catch (rawError) {
+      const error = toStorefrontError(rawError, controller.signal);
+      const delay = retry < MAX_RETRIES && !isTrial && isRetryable(error, mutation)
+        ? backoffDelay(retry, error.retryAfter)
+        : null;
+
+      if (delay === null) {
+        recordResult(error, isTrial);
+        throw error;
+      }
+      await sleep(delay);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = {
+  parseRetryAfter,
+  resilientRequest,
+};
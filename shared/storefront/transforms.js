@@ -0,0 +1,119 @@
+/**
+ * Transform raw Shopify Storefront API product data into a clean API response.
+ */
+function transformProduct(node) {
+  return {
+    id: node.id,
+    title: node.title,
+    handle: node.handle,
+    description: node.description,
+    descriptionHtml: node.descriptionHtml || null,
+    price: node.priceRange?.minVariantPrice || null,
+    image: node.images?.edges?.[0]?.node || null,
+    images: node.images?.edges?.map((e) => e.node) || [],
+    variants:
+      node.variants?.edges?.map((e) => ({
+        id: e.node.id,
+        title: e.node.title,
+        price: e.node.priceV2,
+        availableForSale: e.node.availableForSale,
+        selectedOptions: e.node.selectedOptions || [],
+      })) || [],
+    options: node.options || [],
+  };
+}
+
+/**
+ * Transform raw Shopify Storefront API collection data into a clean API
+ * response. Products are included only when the query selected them.
+ */
+function transformCollection(node) {
+  return {
+    id: node.id,
+    title: node.title,
+    handle: node.handle,
+    description: node.description,
+    descriptionHtml: node.descriptionHtml || null,
+    image: node.image || null,
+    ...(node.products && {
+      products: node.products.edges.map((e) => transformProduct(e.node)),
+    }),
+  };
+}
+
+/**
+ * Transform a Storefront variant (see VARIANT_FRAGMENT) into a clean API
+ * response. Variants without an image of their own show the product's.
+ */
+function transformVariant(node) {
+  return {
+    id: node.id,
+    title: node.title,
+    sku: node.sku || null,
+    availableForSale: node.availableForSale,
+    price: node.price,
+    image: node.image || node.product.featuredImage || null,
+    product: {
+      title: node.product.title,
+      handle: node.product.handle,
+    },
+  };
+}
+
+/**
+ * Transform a Storefront customer into the account profile returned by the
+ * API (orders are added separately — see getCustomer).
+ */
+function transformCustomer(node) {
+  return {
+    id: node.id,
+    firstName: node.firstName || null,
+    lastName: node.lastName || null,
+    displayName: node.displayName,
+    email: node.email,
+  };
+}
+
+/**
+ * Transform a Storefront order into a clean API response. Line items keep
+ * the variant as it is today (null once deleted), so its current price and
+ * availability can be compared with what was paid.
+ */
+function transformOrder(node) {
+  return {
+    id: node.id,
+    name: node.name,
+    orderNumber: node.orderNumber,
+    processedAt: node.processedAt,
+    canceledAt: node.canceledAt || null,
+    financialStatus: node.financialStatus || null,
+    fulfillmentStatus: node.fulfillmentStatus,
+    statusUrl: node.statusUrl,
+    totalPrice: node.totalPrice,
+    lineItems: node.lineItems.edges.map(({ node: item }) => ({
+      title: item.title,
+      quantity: item.quantity,
+      // After refunds and order edits; 0 once every unit was removed
+      currentQuantity: item.currentQuantity ?? item.quantity,
+      originalTotalPrice: item.originalTotalPrice,
+      variant: item.variant
+        ? {
+          id: item.variant.id,
+          title: item.variant.title,
+          price: item.variant.price,
+          availableForSale: item.variant.availableForSale,
+          image: item.variant.image || null,
+          productHandle: item.variant.product.handle,
+        }
+        : null,
+    })),
+  };
+}
+
+module.exports = {
+  transformProduct,
+  transformCollection,
+  transformVariant,
+  transformCustomer,
+  transformOrder,
+};
@@ -0,0 +1,65 @@
+/**
+ * Request validation shared by the Next.js API routes and the Express API.
+ *
+ * Schemas come from docs/openapi.json, so the documented contract and what
+ * the servers accept can't drift apart: operationSchemas() turns an
+ * operation's parameters and request body into schemas for validate(), and
+ * routes without an OpenAPI operation compose the components with ref().
+ */
+
+const openapi = require('../../docs/openapi.json');
+const { validate, describeErrors } = require('./validate');
+
+/**
+ * Reference a schema in docs/openapi.json `components.schemas`.
+ * @param {string} name - e.g. 'CartLineInput'
+ * @returns {{ $ref: string }}
+ */
+function ref(name) {
+  if (!openapi.components.schemas[name]) {
+    throw new Error(`docs/openapi.json has no schema named ${name}`);
+  }
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Build an object schema from OpenAPI parameters in one location.
+ * @param {Array<Object>} parameters - OpenAPI parameter objects
+ * @param {'path'|'query'} location
+ * @returns {Object|null} Object schema, or null when there are none
+ */
+function parametersSchema(parameters = [], location) {
+  const matching = parameters.filter((p) => p.in === location);
+  if (matching.length === 0) return null;
+  return {
+    type: 'object',
+    required: matching.filter((p) => p.required).map((p) => p.name),
+    properties: Object.fromEntries(matching.map((p) => [p.name, p.schema])),
+  };
+}
+
+/**
+ * Schemas for the path parameters, query and JSON body of an operation in
+ * docs/openapi.json.
+ * @param {string} path - OpenAPI path, e.g. '/api/cart/{cartId}/lines'
+ * @param {string} method - HTTP method, e.g. 'post'
+ * @returns {{ params: Object|null, query: Object|null, body: Object|null }}
+ */
+function operationSchemas(path, method) {
+  const operation = openapi.paths[path]?.[method.toLowerCase()];
+  if (!operation) {
+    throw new Error(`docs/openapi.json has no ${method.toUpperCase()} ${path} operation`);
+  }
+  return {
+    params: parametersSchema(operation.parameters, 'path'),
+    query: parametersSchema(operation.parameters, 'query'),
+    body: operation.requestBody?.content?.['application/json']?.schema || null,
+  };
+}
+
+module.exports = {
+  validate,
+  describeErrors,
+  ref,
+  operationSchemas,
+};
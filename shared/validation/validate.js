@@ -0,0 +1,206 @@
+/**
+ * A small JSON Schema validator for request input, covering the subset of
+ * OpenAPI 3.0 schema keywords used in docs/openapi.json:
+ *
+ *   $ref (to #/components/schemas/*), allOf, type, nullable, enum, default,
+ *   minLength, maxLength, pattern, minimum, maximum, minItems, maxItems,
+ *   items, properties, required, additionalProperties
+ *
+ * Objects with `properties` take no others unless `additionalProperties`
+ * is true, so a stray field is reported instead of being passed on to
+ * Shopify. The parts of an allOf share their properties: each part allows
+ * the fields the others define.
+ *
+ * Every problem is reported, not just the first, as `{ field, message }`
+ * where `field` is a path such as `lines[0].quantity` (null for the value
+ * itself).
+ */
+
+const { components } = require('../../docs/openapi.json');
+
+const REF_PREFIX = '#/components/schemas/';
+
+function resolve(schema) {
+  while (schema.$ref) {
+    const name = schema.$ref.slice(REF_PREFIX.length);
+    if (!schema.$ref.startsWith(REF_PREFIX) || !components.schemas[name]) {
+      throw new Error(`Unresolvable schema reference: ${schema.$ref}`);
+    }
+    schema = components.schemas[name];
+  }
+  return schema;
+}
+
+function join(path, key) {
+  if (typeof key === 'number') return `${path || ''}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Query-string values arrive as strings; read them as the schema's type.
+ * Values that don't parse are returned unchanged so the type check fails.
+ */
+function coerceScalar(type, value) {
+  if (typeof value !== 'string') return value;
+  if (type === 'integer' && /^-?\d+$/.test(value)) return Number(value);
+  if (type === 'number' && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+/** Names of the properties a schema defines, including those of its allOf parts */
+function propertyNames(schema) {
+  schema = resolve(schema);
+  return [
+    ...Object.keys(schema.properties || {}),
+    ...(schema.allOf || []).flatMap(propertyNames),
+  ];
+}
+
+/**
+ * @param {Array<string>} [allowed] - Property names an object may have,
+ *   when checking one part of an allOf
+ */
+function check(schema, value, path, errors, coerce, allowed) {
+  schema = resolve(schema);
+  const fail = (message) => {
+    errors.push({ field: path || null, message });
+    return value;
+  };
+
+  if (schema.allOf) {
+    const names = propertyNames(schema);
+    return schema.allOf.reduce((v, part) => check(part, v, path, errors, coerce, names), value);
+  }
+
+  if (value === null) {
+    return schema.nullable ? value : fail('must not be null');
+  }
+
+  if (coerce) {
+    if (Array.isArray(value) && schema.type !== 'array') {
+      return fail('must be given once');
+    }
+    value = coerceScalar(schema.type, value);
+  }
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') return fail('must be a string');
+      if (schema.minLength != null && value.length < schema.minLength) {
+        return fail(schema.minLength === 1
+          ? 'must not be empty'
+          : `must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength != null && value.length > schema.maxLength) {
+        return fail(`must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        return fail(schema.pattern === '\\S'
+          ? 'must not be blank'
+          : `must match the pattern ${schema.pattern}`);
+      }
+      break;
+
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return fail(`must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`);
+      }
+      if (schema.type === 'integer' && !Number.isInteger(value)) {
+        return fail('must be an integer');
+      }
+      if (schema.minimum != null && value < schema.minimum) {
+        return fail(`must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum != null && value > schema.maximum) {
+        return fail(`must be at most ${schema.maximum}`);
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail('must be true or false');
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (schema.minItems != null && value.length < schema.minItems) {
+        return fail(schema.minItems === 1
+          ? 'must not be empty'
+          : `must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems != null && value.length > schema.maxItems) {
+        return fail(`must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value = value.map((item, i) => check(schema.items, item, join(path, i), errors, coerce));
+      }
+      break;
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      const result = { ...value };
+      if (schema.properties && schema.additionalProperties !== true) {
+        const names = allowed || Object.keys(schema.properties);
+        for (const key of Object.keys(value)) {
+          if (!names.includes(key)) {
+            errors.push({ field: join(path, key), message: 'is not allowed' });
+            delete result[key];
+          }
+        }
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push({ field: join(path, key), message: 'is required' });
+        }
+      }
+      for (const [key, property] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined) {
+          result[key] = check(property, value[key], join(path, key), errors, coerce);
+        } else if (resolve(property).default !== undefined) {
+          result[key] = resolve(property).default;
+        }
+      }
+      value = result;
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  return value;
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {Object} schema - JSON Schema (may use $ref into docs/openapi.json)
+ * @param {*} value - Request input, e.g. a parsed JSON body
+ * @param {Object} [options]
+ * @param {boolean} [options.coerce=false] - Read strings as integers and
+ *   booleans where the schema says so (for query and path parameters)
+ * @returns {{ value: *, errors: Array<{ field: string|null, message: string }>|null }}
+ *   The value with coercions and defaults applied, and errors (null if valid)
+ */
+function validate(schema, value, { coerce = false } = {}) {
+  const errors = [];
+  const result = check(schema, value, '', errors, coerce);
+  return { value: result, errors: errors.length > 0 ? errors : null };
+}
+
+/**
+ * One human-readable sentence summarizing validation errors.
+ * @param {Array<{ field: string|null, message: string }>} errors
+ * @returns {string}
+ */
+function describeErrors(errors) {
+  return errors
+    .map(({ field, message }) => (field ? `"${field}" ${message}` : `Request body ${message}`))
+    .join('; ');
+}
+
+module.exports = { validate, describeErrors };
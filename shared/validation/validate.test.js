@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, ref, operationSchemas } = require('.');
+
+const VARIANT_ID = 'gid://shopify/ProductVariant/1';
+const CART_ADD_BODY = { allOf: [ref('CartLinesAddRequest'), ref('CartCreateRequest')] };
+
+test('reports unknown properties on cart lines', () => {
+  const { body } = operationSchemas('/api/cart/{cartId}/lines', 'post');
+  const { errors } = validate(body, {
+    lines: [{ merchandiseId: VARIANT_ID, quantity: 2, price: '0.01' }],
+  });
+
+  assert.deepEqual(errors, [{ field: 'lines[0].price', message: 'is not allowed' }]);
+});
+
+test('allows the properties of every allOf part, once each', () => {
+  const { value, errors } = validate(CART_ADD_BODY, {
+    lines: [{ merchandiseId: VARIANT_ID }],
+    countryCode: 'CA',
+    discount: 'FREE',
+  });
+
+  assert.deepEqual(errors, [{ field: 'discount', message: 'is not allowed' }]);
+  assert.equal(value.countryCode, 'CA');
+  assert.equal(value.lines[0].quantity, 1);
+});
+
+test('accepts a request with only known properties', () => {
+  const { value, errors } = validate(CART_ADD_BODY, {
+    lines: [{ merchandiseId: VARIANT_ID, attributes: [{ key: 'Lot', value: 'A1' }] }],
+    countryCode: 'CA',
+    languageCode: 'FR',
+  });
+
+  assert.equal(errors, null);
+  assert.deepEqual(value.lines[0].attributes, [{ key: 'Lot', value: 'A1' }]);
+});